@@ -1,5 +1,37 @@
 'use strict';
 
+let errors = require('./src/errors');
+
 module.exports = {
     WebSite: require('./src/website'),
+    EdgeGridTransport: require('./src/transport'),
+    MockPapiServer: require('./src/mockserver'),
+    RetryPolicy: require('./src/retry'),
+    RequestScheduler: require('./src/scheduler'),
+    DryRunTransport: require('./src/dryrun'),
+    RecordingTransport: require('./src/recording'),
+    ReplayTransport: require('./src/replay'),
+    PropertyIndex: require('./src/propertyIndex'),
+    RuleValidator: require('./src/ruleValidator'),
+    credentials: require('./src/credentials'),
+    formatUpgrade: require('./src/formatUpgrade'),
+    ruleDiff: require('./src/ruleDiff'),
+    ruleEdits: require('./src/ruleEdits'),
+    ruleLinter: require('./src/ruleLinter'),
+    ruleSearch: require('./src/ruleSearch'),
+    ruleStats: require('./src/ruleStats'),
+    ruleNormalize: require('./src/ruleNormalize'),
+    ruleTree: require('./src/ruleTree'),
+    ruleWalk: require('./src/ruleWalk'),
+    ruleFiles: require('./src/ruleFiles'),
+    terraform: require('./src/terraform'),
+    templates: require('./src/templates'),
+    PapiError: errors.PapiError,
+    NotFoundError: errors.NotFoundError,
+    ForbiddenError: errors.ForbiddenError,
+    ConflictError: errors.ConflictError,
+    AlreadyActivatedError: errors.AlreadyActivatedError,
+    ValidationError: errors.ValidationError,
+    RateLimitedError: errors.RateLimitedError,
+    NetworkError: errors.NetworkError,
 };
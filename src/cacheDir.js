@@ -0,0 +1,76 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+
+/**
+ * Directories for what is kept between runs, such as the property index. They live in the home directory of the
+ * user rather than in the shared temporary directory, and what another user could have written is not trusted:
+ * a planted index entry would send changes to the wrong property.
+ */
+
+const ROOT = path.join(os.homedir(), '.akamai-cli', 'cache');
+
+/**
+ * Default directory of a cache
+ */
+function cacheDir(name) {
+    return path.join(ROOT, name);
+}
+
+/**
+ * Whether a file or directory can be trusted: not a symbolic link, owned by the user and not writable by others.
+ * Ownership is not checked where there are no user ids (Windows).
+ */
+function isPrivate(file) {
+    let stats;
+    try {
+        stats = fs.lstatSync(file);
+    } catch (e) {
+        return false;
+    }
+    if (stats.isSymbolicLink() || (stats.mode & 0o022))
+        return false;
+    return !process.getuid || stats.uid === process.getuid();
+}
+
+/**
+ * Create a directory and its missing parents, readable by the user only
+ *
+ * @throws {Error} when the directory exists but is not private (see isPrivate)
+ */
+function ensurePrivate(dir) {
+    if (!fs.existsSync(dir)) {
+        ensureParent(path.dirname(dir));
+        fs.mkdirSync(dir, 0o700);
+    }
+    if (!isPrivate(dir))
+        throw new Error(`${dir} is writable by others or not owned by you, remove it or choose another directory`);
+}
+
+function ensureParent(dir) {
+    if (fs.existsSync(dir))
+        return;
+    ensureParent(path.dirname(dir));
+    fs.mkdirSync(dir, 0o700);
+}
+
+module.exports = {
+    cacheDir: cacheDir,
+    isPrivate: isPrivate,
+    ensurePrivate: ensurePrivate
+};
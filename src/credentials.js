@@ -0,0 +1,151 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let fs = require('fs');
+let untildify = require('untildify');
+let errors = require('./errors');
+
+/**
+ * Reading and checking {OPEN} API credentials, from the environment or an edgerc file.
+ *
+ * Credentials in the environment use the edgerc key names in upper case with an `AKAMAI_` prefix:
+ * `AKAMAI_CLIENT_TOKEN`, `AKAMAI_CLIENT_SECRET`, `AKAMAI_ACCESS_TOKEN` and `AKAMAI_HOST`. Variables naming the
+ * section, such as `AKAMAI_PAPI_HOST` for the `[papi]` section, take precedence over the unprefixed ones.
+ */
+
+const KEYS = ['client_token', 'client_secret', 'access_token', 'host'];
+const OPTIONAL_KEYS = ['max_body'];
+
+/**
+ * Credentials of a section from environment variables
+ *
+ * @param {string} section edgerc section the variables stand in for
+ * @param {Object} env variables to read, defaults to process.env
+ * @returns {Object} `clientToken`, `clientSecret`, `accessToken`, `host` and the `source` variable prefix, or null
+ *     when no variable is set
+ * @throws {ValidationError} when only some of the variables are set
+ */
+function fromEnvironment(section = 'default', env = process.env) {
+    let prefixes = [`AKAMAI_${section.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`, 'AKAMAI_'];
+    let prefix = prefixes.find(candidate => KEYS.some(key => env[candidate + key.toUpperCase()]));
+    if (!prefix)
+        return null;
+    let missing = KEYS.filter(key => !env[prefix + key.toUpperCase()]).map(key => prefix + key.toUpperCase());
+    if (missing.length > 0)
+        throw new errors.ValidationError(`Incomplete credentials in the environment, missing ${missing.join(', ')}`);
+    return {
+        clientToken: env[`${prefix}CLIENT_TOKEN`],
+        clientSecret: env[`${prefix}CLIENT_SECRET`],
+        accessToken: env[`${prefix}ACCESS_TOKEN`],
+        host: env[`${prefix}HOST`].replace(/\/$/, ''),
+        source: prefix
+    };
+}
+
+/**
+ * Parse an edgerc file
+ *
+ * @returns {Object} by section name, each section maps keys to `{value, line}`; lines which are neither a section,
+ *     a setting nor a comment are listed under `invalid` with their line number
+ */
+function parseEdgerc(text) {
+    let sections = {};
+    let invalid = [];
+    let current = null;
+    text.split(/\r?\n/).forEach((raw, index) => {
+        let line = raw.trim();
+        let number = index + 1;
+        if (!line || line[0] === ';' || line[0] === '#')
+            return;
+        let header = line.match(/^\[(.*)\]$/);
+        if (header) {
+            current = header[1].trim();
+            sections[current] = sections[current] || { line: number, keys: {}, duplicates: [] };
+            return;
+        }
+        let setting = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+        if (!setting || !current) {
+            invalid.push({ line: number, text: raw });
+            return;
+        }
+        let quoted = setting[2].match(/^(['"])(.*)\1\s*(;.*)?$/);
+        let value = quoted ? quoted[2] : setting[2].replace(/\s*;.*$/, '');
+        if (sections[current].keys[setting[1]])
+            sections[current].duplicates.push({ key: setting[1], line: number });
+        sections[current].keys[setting[1]] = { value: value, line: number };
+    });
+    return { sections: sections, invalid: invalid };
+}
+
+/**
+ * Check a section of an edgerc file for the mistakes which make requests fail later with less helpful errors:
+ * missing file or section, missing or malformed keys, hosts with a scheme or path, and files readable by others.
+ *
+ * @returns {Object[]} findings, each with `level` (error or warning) and `message`, empty when the section is fine
+ */
+function checkEdgerc(file, section = 'default') {
+    let findings = [];
+    let error = message => findings.push({ level: 'error', message: message });
+    let warning = message => findings.push({ level: 'warning', message: message });
+    let text;
+    file = untildify(file);
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        error(`Cannot read ${file}: ${e.message}`);
+        return findings;
+    }
+    try {
+        if (process.platform !== 'win32' && (fs.statSync(file).mode & 0o077))
+            warning(`${file} can be read by other users, restrict it with chmod 600`);
+    } catch (e) {
+        // the file was readable a moment ago, its permissions are only advice
+    }
+
+    let parsed = parseEdgerc(text);
+    parsed.invalid.forEach(item => warning(`Line ${item.line} is not a setting of a section: ${item.text.trim()}`));
+    let found = parsed.sections[section];
+    if (!found) {
+        let names = Object.keys(parsed.sections);
+        error(`No [${section}] section in ${file}` + (names.length ? `, it has ${names.map(name => `[${name}]`).join(' ')}` : ''));
+        return findings;
+    }
+    found.duplicates.forEach(item => warning(`${item.key} is set again on line ${item.line}, the last value is used`));
+    Object.keys(found.keys)
+        .filter(key => KEYS.indexOf(key) < 0 && OPTIONAL_KEYS.indexOf(key) < 0)
+        .forEach(key => warning(`Unknown setting ${key} on line ${found.keys[key].line}`));
+    KEYS.filter(key => !found.keys[key] || !found.keys[key].value)
+        .forEach(key => error(`Missing ${key} in [${section}]`));
+
+    let value = key => found.keys[key] && found.keys[key].value;
+    if (value('host') && !/^(https:\/\/)?akab-[\w-]+\.luna\.akamaiapis\.net\/?$/.test(value('host')))
+        error(`host should look like akab-xxxx.luna.akamaiapis.net, got ${value('host')}`);
+    ['client_token', 'access_token'].forEach(key => {
+        if (value(key) && !/^akab-[\w-]+$/.test(value(key)))
+            error(`${key} should start with akab-`);
+    });
+    if (value('client_secret') && !/^[A-Za-z0-9+/]+={0,2}$/.test(value('client_secret')))
+        error('client_secret is not base64, check it was copied completely');
+    if (value('max_body') && isNaN(Number(value('max_body'))))
+        error(`max_body should be a number of bytes, got ${value('max_body')}`);
+    return findings;
+}
+
+module.exports = {
+    KEYS: KEYS,
+    fromEnvironment: fromEnvironment,
+    parseEdgerc: parseEdgerc,
+    checkEdgerc: checkEdgerc
+};
@@ -0,0 +1,228 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let url = require('url');
+let ruleDiff = require('./ruleDiff');
+
+const SEARCH_PATH = '/papi/v1/search/find-by-value';
+const PROPERTY_PATH = /^\/papi\/v1\/properties\/(prp_[^/]+)(?:\/versions(?:\/(\d+)(\/rules|\/hostnames)?)?)?(?:\/activations(?:\/([^/]+))?)?\/?$/;
+
+/**
+ * Transport wrapper used for dry runs (`dryRun` WebSite option, `--dry-run`). Lookups are passed on to the wrapped
+ * transport, while POST, PUT and DELETE requests are printed and answered locally as if they had succeeded. What
+ * the dry run pretends to have done is remembered, so a command creating a version and then updating its rules
+ * reads back its own (unsent) changes. Rule updates are printed with a diff against the rules they would replace.
+ */
+class DryRunTransport {
+
+    /**
+     * @param transport {Object} receiving the lookups
+     * @param options {Object} `log` function used for the output, defaults to console.log
+     */
+    constructor(transport, options = {}) {
+        this._transport = transport;
+        this._log = options.log || console.log;
+        this._properties = {};
+        this._versions = {};
+        this._latest = {};
+        this._counter = 0;
+        this.requests = [];
+    }
+
+    send(request) {
+        let method = (request.method || 'GET').toUpperCase();
+        let parsed = url.parse(request.path, true);
+        if (method === 'GET' || method === 'HEAD')
+            return this._read(request, parsed);
+        if (method === 'POST' && parsed.pathname === SEARCH_PATH)
+            return this._search(request);
+        return this._write(request, method, parsed);
+    }
+
+    _read(request, parsed) {
+        let matches = parsed.pathname.match(PROPERTY_PATH);
+        if (!matches)
+            return this._transport.send(request);
+        let propertyId = matches[1];
+        let version = matches[2];
+        let property = this._properties[propertyId];
+
+        if (matches[4])
+            return /^atv_dryrun/.test(matches[4]) ? json(this._activation(propertyId, matches[4])) : this._transport.send(request);
+        if (/\/(versions|activations)\/?$/.test(parsed.pathname))
+            return this._transport.send(request);
+        if (!version)
+            return property ? json({ properties: { items: [property] } }) : this._transport.send(request);
+
+        let stored = this._versions[`${propertyId}/${version}`];
+        if (stored && matches[3] === '/rules' && stored.rules)
+            return json(stored.rules);
+        if (stored && matches[3] === '/hostnames' && stored.hostnames)
+            return json(envelope(propertyId, version, { hostnames: { items: stored.hostnames } }));
+        if (stored && !matches[3] && property)
+            return json(envelope(propertyId, version, { versions: { items: [{ propertyVersion: Number(version), productId: property.productId, ruleFormat: stored.rules.ruleFormat }] } }));
+        if (stored && stored.source) {
+            // versions created by the dry run start as a copy of their source version
+            let copy = Object.assign({}, request, { path: request.path.replace(`/versions/${version}`, `/versions/${stored.source}`) });
+            return this._read(copy, url.parse(copy.path, true));
+        }
+        return this._transport.send(request);
+    }
+
+    _search(request) {
+        let query = typeof request.body === 'string' ? JSON.parse(request.body) : (request.body || {});
+        let items = Object.keys(this._properties)
+            .map(propertyId => this._properties[propertyId])
+            .filter(property => query.propertyName && property.propertyName === query.propertyName)
+            .map(property => ({
+                propertyId: property.propertyId,
+                propertyName: property.propertyName,
+                contractId: property.contractId,
+                groupId: property.groupId,
+                propertyVersion: 1
+            }));
+        if (items.length === 0)
+            return this._transport.send(request);
+        return json({ versions: { items: items } });
+    }
+
+    _write(request, method, parsed) {
+        let body = typeof request.body === 'string' && request.body.length > 0 ? JSON.parse(request.body) : request.body;
+        this.requests.push({ method: method, path: request.path, body: body });
+        this._log('[dry run] %s %s', method, request.path);
+        if (body !== undefined)
+            this._log(JSON.stringify(body, null, 2));
+
+        let query = queryString(parsed.query);
+        let matches = parsed.pathname.match(PROPERTY_PATH);
+        if (method === 'POST' && /^\/papi\/v1\/properties\/?$/.test(parsed.pathname))
+            return this._createProperty(body, parsed.query, query);
+        if (method === 'POST' && parsed.pathname === '/papi/v1/edgehostnames')
+            return json({ edgeHostnameLink: `/papi/v1/edgehostnames/ehn_dryrun${++this._counter}?${query}` }, 201);
+        if (method === 'POST' && parsed.pathname === '/papi/v1/cpcodes')
+            return json({ cpcodeLink: `/papi/v1/cpcodes/cpc_0?${query}` }, 201);
+        if (method === 'PUT' && /^\/user-admin\//.test(parsed.pathname))
+            return Promise.resolve({ statusCode: 204, headers: {}, body: '' });
+        if (!matches)
+            return json({});
+
+        let propertyId = matches[1];
+        if (method === 'POST' && /\/versions\/?$/.test(parsed.pathname))
+            return this._createVersion(request, propertyId, body, query);
+        if (method === 'POST' && /\/activations\/?$/.test(parsed.pathname))
+            return json({ activationLink: `/papi/v1/properties/${propertyId}/activations/atv_dryrun${++this._counter}?${query}` }, 201);
+        if (method === 'PUT' && matches[3] === '/rules')
+            return this._putRules(request, propertyId, matches[2], body);
+        if (method === 'PUT' && matches[3] === '/hostnames') {
+            this._version(propertyId, matches[2]).hostnames = body;
+            return json({ propertyId: propertyId, propertyVersion: Number(matches[2]), hostnames: { items: body } });
+        }
+        if (method === 'DELETE')
+            return json({ message: 'Deletion Successful.' });
+        return json({});
+    }
+
+    _createProperty(body, params, query) {
+        let propertyId = `prp_dryrun${++this._counter}`;
+        let cloneFrom = body.cloneFrom || {};
+        this._properties[propertyId] = {
+            propertyId: propertyId,
+            propertyName: body.propertyName,
+            contractId: params.contractId,
+            groupId: params.groupId,
+            productId: body.productId,
+            latestVersion: 1,
+            stagingVersion: null,
+            productionVersion: null
+        };
+        let rules = cloneFrom.rules || { ruleFormat: 'latest', rules: { name: 'default', options: {}, behaviors: [], children: [] } };
+        this._versions[`${propertyId}/1`] = {
+            rules: Object.assign({}, rules, { propertyId: propertyId, propertyName: body.propertyName, propertyVersion: 1 }),
+            hostnames: []
+        };
+        return json({ propertyLink: `/papi/v1/properties/${propertyId}?${query}` }, 201);
+    }
+
+    _createVersion(request, propertyId, body, query) {
+        let property = this._properties[propertyId] ? json({ properties: { items: [this._properties[propertyId]] } })
+            : this._transport.send({ method: 'GET', path: request.path.replace(/\/versions\?/, '?') });
+        return property.then(response => {
+            if (response.statusCode >= 400)
+                return response;
+            let latestVersion = JSON.parse(response.body).properties.items[0].latestVersion;
+            let version = Math.max(latestVersion, this._latest[propertyId] || 0) + 1;
+            this._latest[propertyId] = version;
+            if (this._properties[propertyId])
+                this._properties[propertyId].latestVersion = version;
+            let source = this._versions[`${propertyId}/${body.createFromVersion}`];
+            this._versions[`${propertyId}/${version}`] = {
+                source: source && source.source ? source.source : body.createFromVersion,
+                rules: source && source.rules,
+                hostnames: source && source.hostnames
+            };
+            this._log('[dry run] would create %s v%s from v%s', propertyId, version, body.createFromVersion);
+            return json({ versionLink: `/papi/v1/properties/${propertyId}/versions/${version}?${query}` }, 201);
+        });
+    }
+
+    _putRules(request, propertyId, version, body) {
+        return this._read({ method: 'GET', path: request.path }, url.parse(request.path, true))
+            .then(response => {
+                let current = response.statusCode < 400 ? JSON.parse(response.body) : {};
+                let format = ((request.headers || {})['Content-Type'] || '').match(/papirules\.([\w-]+)\+json/);
+                let updated = Object.assign({}, current, {
+                    rules: body.rules,
+                    comments: body.comments,
+                    ruleFormat: format ? format[1] : current.ruleFormat
+                });
+                let changes = ruleDiff.diffRules(current, updated);
+                this._log('[dry run] rule changes for %s v%s:', propertyId, version);
+                this._log(changes.length > 0 ? ruleDiff.formatDiff(changes) : '(none)');
+                this._version(propertyId, version).rules = updated;
+                return json(updated);
+            });
+    }
+
+    _version(propertyId, version) {
+        let key = `${propertyId}/${version}`;
+        this._versions[key] = this._versions[key] || {};
+        return this._versions[key];
+    }
+
+    _activation(propertyId, activationId) {
+        return {
+            propertyId: propertyId,
+            activations: { items: [{ activationId: activationId, propertyId: propertyId, status: 'ACTIVE' }] }
+        };
+    }
+}
+
+function envelope(propertyId, version, extra) {
+    return Object.assign({ propertyId: propertyId, propertyVersion: Number(version) }, extra);
+}
+
+function queryString(params) {
+    return Object.keys(params).map(key => `${key}=${params[key]}`).join('&');
+}
+
+function json(body, statusCode = 200) {
+    return Promise.resolve({
+        statusCode: statusCode,
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+module.exports = DryRunTransport;
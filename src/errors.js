@@ -0,0 +1,174 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+/**
+ * Base class of every error raised by WebSite. Besides the message it carries what is known about the failed call:
+ * the HTTP `status`, the PAPI problem `type`, `title`, `detail` and `errors` list, and the `method` and `path` of the
+ * request. `exitCode` is used by the command line tool.
+ */
+class PapiError extends Error {
+
+    /**
+     * @param {string} message
+     * @param {Object} details any of `status`, `type`, `title`, `detail`, `errors`, `method`, `path`, `body`, `cause`
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = details.status;
+        this.type = details.type;
+        this.title = details.title;
+        this.detail = details.detail;
+        this.errors = details.errors || [];
+        this.method = details.method;
+        this.path = details.path;
+        this.body = details.body;
+        this.cause = details.cause;
+    }
+
+    get exitCode() {
+        return 2;
+    }
+
+    /**
+     * Build the error matching an unsuccessful response
+     *
+     * @param {Object} response with `statusCode` and the (problem+json) `body`
+     * @param {Object} request the request which got the response
+     * @param {string} message to use instead of the one derived from the problem details
+     */
+    static fromResponse(response, request = {}, message = null) {
+        let problem = {};
+        try {
+            problem = typeof response.body === 'string' ? JSON.parse(response.body) : (response.body || {});
+        } catch (e) {
+            problem = { detail: String(response.body).substring(0, 200) };
+        }
+        return PapiError.fromProblem(problem, request, response.statusCode, message, response.body);
+    }
+
+    /**
+     * Build the error matching a parsed PAPI problem document
+     */
+    static fromProblem(problem, request = {}, status = null, message = null, body = null) {
+        problem = problem || {};
+        status = status || problem.status;
+        let ErrorClass = classify(status, problem);
+        let summary = problem.title || (status ? `HTTP ${status}` : 'Request failed');
+        if (problem.detail && problem.detail !== problem.title)
+            summary += `: ${problem.detail}`;
+        return new ErrorClass(message || summary, {
+            status: status,
+            type: problem.type,
+            title: problem.title,
+            detail: problem.detail,
+            errors: problem.errors,
+            method: request.method || (request.path ? 'GET' : undefined),
+            path: request.path,
+            body: body === null ? problem : body
+        });
+    }
+
+    /**
+     * Wrap whatever made a request fail without a usable response (connection errors, exhausted retries)
+     */
+    static fromFailure(error, request = {}) {
+        if (error instanceof PapiError)
+            return error;
+        if (error && error.response)
+            return PapiError.fromResponse(error.response, request, error.message);
+        return new NetworkError((error && error.message) || 'No response from server', {
+            method: request.method || 'GET',
+            path: request.path,
+            cause: error
+        });
+    }
+}
+
+class NotFoundError extends PapiError {
+    get exitCode() {
+        return 3;
+    }
+}
+
+class ForbiddenError extends PapiError {
+    get exitCode() {
+        return 4;
+    }
+}
+
+class ConflictError extends PapiError {
+    get exitCode() {
+        return 5;
+    }
+}
+
+/**
+ * Raised when changing a property version which has been activated, such versions can no longer be edited
+ */
+class AlreadyActivatedError extends ConflictError {
+}
+
+/**
+ * Raised for requests PAPI (or WebSite itself) considers invalid. `errors` holds PAPI's per field problems.
+ */
+class ValidationError extends PapiError {
+    get exitCode() {
+        return 6;
+    }
+}
+
+class RateLimitedError extends PapiError {
+    get exitCode() {
+        return 7;
+    }
+}
+
+/**
+ * Raised when no response could be obtained. `cause` holds the underlying socket error.
+ */
+class NetworkError extends PapiError {
+    get exitCode() {
+        return 8;
+    }
+}
+
+function classify(status, problem) {
+    let text = `${problem.type || ''} ${problem.title || ''}`;
+    if (/already[ _-]activated|not[ _-]editable/i.test(text))
+        return AlreadyActivatedError;
+    if (status === 404)
+        return NotFoundError;
+    if (status === 401 || status === 403)
+        return ForbiddenError;
+    if (status === 409 || status === 412)
+        return ConflictError;
+    if (status === 400 || status === 422 || status === 415)
+        return ValidationError;
+    if (status === 429)
+        return RateLimitedError;
+    return PapiError;
+}
+
+module.exports = {
+    PapiError: PapiError,
+    NotFoundError: NotFoundError,
+    ForbiddenError: ForbiddenError,
+    ConflictError: ConflictError,
+    AlreadyActivatedError: AlreadyActivatedError,
+    ValidationError: ValidationError,
+    RateLimitedError: RateLimitedError,
+    NetworkError: NetworkError
+};
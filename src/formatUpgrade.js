@@ -0,0 +1,208 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let ruleWalk = require('./ruleWalk');
+
+/**
+ * Moving rules from one rule format to another. The behaviors and criteria of two formats are compared through the
+ * catalog of their schemas (`definitions.catalog`), which tells what was added, removed or became required. PAPI
+ * does not publish renames: a behavior or an option is taken as renamed when exactly one was removed and one was
+ * added with the very same schema.
+ *
+ * What can be migrated without a decision is: renamed behaviors, criteria and options, options the new format no
+ * longer has (dropped) and options which became required and have a default. Behaviors and criteria the new format
+ * no longer has, and required options without a default, are left for the user.
+ */
+
+/**
+ * Compare the catalogs of two rule format schemas
+ *
+ * @param {Object} fromSchema schema of the rule format the rules have
+ * @param {Object} toSchema schema of the rule format to move them to
+ * @returns {Object[]} the changes, each with the `kind` (behavior or criteria), its `name`, the `option` when it is
+ *     about an option and the `change`: added, removed, renamed (`to` giving the new name) or required (with the
+ *     `default` when the schema has one)
+ */
+function compareSchemas(fromSchema, toSchema) {
+    let changes = [];
+    let before = catalog(fromSchema);
+    let after = catalog(toSchema);
+    ['behavior', 'criteria'].forEach(kind => {
+        let kept = Object.keys(before[kind]).filter(name => after[kind][name]);
+        let renamed = renames(before[kind], after[kind], entry => entry.options.properties ? entry.options : null);
+        changed(before[kind], after[kind], renamed).forEach(change => changes.push(Object.assign({ kind: kind }, change)));
+        kept.forEach(name => {
+            let from = before[kind][name].options;
+            let to = after[kind][name].options;
+            let fromOptions = from.properties || {};
+            let toOptions = to.properties || {};
+            changed(fromOptions, toOptions, renames(fromOptions, toOptions, option => option))
+                .forEach(change => changes.push({
+                    kind: kind,
+                    name: name,
+                    option: change.name,
+                    change: change.change,
+                    to: change.to
+                }));
+            (to.required || []).filter(option => (from.required || []).indexOf(option) < 0).forEach(option => {
+                let change = { kind: kind, name: name, option: option, change: 'required' };
+                if (toOptions[option] && toOptions[option].default !== undefined)
+                    change.default = toOptions[option].default;
+                changes.push(change);
+            });
+        });
+    });
+    changes.forEach(change => {
+        if (change.to === undefined)
+            delete change.to;
+    });
+    return changes;
+}
+
+/**
+ * Move a rule tree to another rule format. The rules given are left as they are.
+ *
+ * @param {Object} rules rule tree, as retrieved
+ * @param {Object[]} changes between its rule format and the new one, see compareSchemas
+ * @param {string} ruleFormat the new rule format
+ * @returns {Object} the migrated `rules` and the `migrations`, each with the `path` of what was found (as in
+ *     ruleDiff), a `message` and whether it was made `automatic`ally or is left to do
+ */
+function migrate(rules, changes, ruleFormat) {
+    let migrated = JSON.parse(JSON.stringify(rules));
+    let migrations = [];
+    let note = (path, automatic, message) => migrations.push({ path: path, message: message, automatic: automatic });
+    if (ruleFormat)
+        migrated.ruleFormat = ruleFormat;
+    let about = (kind, name) => changes.filter(change => change.kind === kind && change.name === name);
+    ruleWalk.walk(migrated.rules || migrated, (rule, rulePath) => {
+        ['behavior', 'criteria'].forEach(kind => {
+            let list = (kind === 'behavior' ? rule.behaviors : rule.criteria) || [];
+            list.forEach((item, index) => {
+                let path = ruleWalk.itemPath(rulePath, kind, list, index);
+                let kindName = kind === 'behavior' ? 'behavior' : 'criterion';
+                let whole = about(kind, item.name).filter(change => !change.option);
+                if (whole.some(change => change.change === 'removed'))
+                    return note(path, false, `the ${kindName} ${item.name} is not in ${ruleFormat}, replace or remove it`);
+                let renamed = whole.find(change => change.change === 'renamed');
+                if (renamed) {
+                    note(path, true, `renamed the ${kindName} ${item.name} to ${renamed.to}`);
+                    item.name = renamed.to;
+                }
+                let options = item.options || {};
+                about(kind, item.name).filter(change => change.option).forEach(change => {
+                    let has = Object.prototype.hasOwnProperty.call(options, change.option);
+                    if (change.change === 'renamed' && has) {
+                        note(`${path}.${change.option}`, true, `renamed the option ${change.option} to ${change.to}`);
+                        options[change.to] = options[change.option];
+                        delete options[change.option];
+                    } else if (change.change === 'removed' && has) {
+                        note(`${path}.${change.option}`, true, `dropped the option ${change.option} ` +
+                            `(${JSON.stringify(options[change.option])}), ${ruleFormat} has no such option`);
+                        delete options[change.option];
+                    } else if (change.change === 'required' && !has) {
+                        if (change.default === undefined)
+                            return note(`${path}.${change.option}`, false, `the option ${change.option} is required in ${ruleFormat}, give it a value`);
+                        note(`${path}.${change.option}`, true, `set the option ${change.option}, required in ${ruleFormat}, ` +
+                            `to its default ${JSON.stringify(change.default)}`);
+                        options[change.option] = change.default;
+                        item.options = options;
+                    }
+                });
+            });
+        });
+    });
+    return { rules: migrated, migrations: migrations };
+}
+
+/**
+ * Render the changes between two rule formats as text, one line per change: `+` added, `-` removed, `~` renamed
+ * and `!` required
+ */
+function formatChanges(changes) {
+    const symbols = { added: '+', removed: '-', renamed: '~', required: '!' };
+    return changes.map(change => {
+        let line = `${symbols[change.change]} ${change.kind} ${change.name}${change.option ? '.' + change.option : ''}`;
+        if (change.change === 'renamed')
+            line += ` -> ${change.to}`;
+        else if (change.change === 'required')
+            line += ' is required' + (change.default !== undefined ? `, default ${JSON.stringify(change.default)}` : '');
+        return line;
+    }).join('\n');
+}
+
+// Behaviors and criteria of a schema by name, each with the schema of its options
+function catalog(schema) {
+    let entries = ((schema || {}).definitions || {}).catalog || {};
+    let read = definitions => {
+        let result = {};
+        Object.keys(definitions || {}).forEach(name => {
+            let properties = definitions[name].properties || {};
+            result[name] = { options: properties.options || {} };
+        });
+        return result;
+    };
+    return { behavior: read(entries.behaviors), criteria: read(entries.criteria) };
+}
+
+// Added and removed entries of two maps, with the renames found in between
+function changed(before, after, renamed) {
+    let changes = [];
+    Object.keys(before).forEach(name => {
+        if (after[name])
+            return;
+        let rename = renamed.find(pair => pair.from === name);
+        changes.push(rename ? { name: name, change: 'renamed', to: rename.to } : { name: name, change: 'removed' });
+    });
+    Object.keys(after).forEach(name => {
+        if (!before[name] && !renamed.some(pair => pair.to === name))
+            changes.push({ name: name, change: 'added' });
+    });
+    return changes;
+}
+
+// A removed entry and an added one are the same renamed when their schemas are the only ones to match
+function renames(before, after, schemaOf) {
+    let removed = Object.keys(before).filter(name => !after[name]);
+    let added = Object.keys(after).filter(name => !before[name]);
+    let matches = (from, to) => schemaOf(before[from]) !== null && same(schemaOf(before[from]), schemaOf(after[to]));
+    let pairs = [];
+    removed.forEach(from => {
+        let candidates = added.filter(to => matches(from, to));
+        if (candidates.length === 1 && removed.filter(other => matches(other, candidates[0])).length === 1)
+            pairs.push({ from: from, to: candidates[0] });
+    });
+    return pairs;
+}
+
+function same(a, b) {
+    return JSON.stringify(sorted(a)) === JSON.stringify(sorted(b));
+}
+
+function sorted(value) {
+    if (Array.isArray(value))
+        return value.map(sorted);
+    if (!value || typeof value !== 'object')
+        return value;
+    let result = {};
+    Object.keys(value).sort().forEach(key => result[key] = sorted(value[key]));
+    return result;
+}
+
+module.exports = {
+    compareSchemas: compareSchemas,
+    migrate: migrate,
+    formatChanges: formatChanges
+};
@@ -0,0 +1,1027 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let url = require('url');
+let fs = require('fs');
+let md5 = require('md5');
+let untildify = require('untildify');
+
+const PROBLEM_BASE = 'https://problems.luna.akamaiapis.net/papi/v0/';
+
+function defaultRules(productId) {
+    return {
+        name: 'default',
+        children: [
+            {
+                name: 'Performance',
+                children: [],
+                behaviors: [
+                    {
+                        name: 'sureRoute',
+                        options: {
+                            enabled: true,
+                            type: 'PERFORMANCE',
+                            testObjectUrl: '/akamai/sureroute-testobject.html',
+                            toHostStatus: 'INCOMING_HH',
+                            raceStatTtl: '30m',
+                            forceSslForward: false,
+                            enableCustomKey: false
+                        }
+                    },
+                    {
+                        name: 'http2',
+                        options: {
+                            enabled: ''
+                        }
+                    }
+                ],
+                criteria: [],
+                criteriaMustSatisfy: 'all'
+            },
+            {
+                name: 'Static Content',
+                children: [],
+                behaviors: [
+                    {
+                        name: 'caching',
+                        options: {
+                            behavior: 'MAX_AGE',
+                            mustRevalidate: false,
+                            ttl: '7d'
+                        }
+                    }
+                ],
+                criteria: [
+                    {
+                        name: 'fileExtension',
+                        options: {
+                            matchOperator: 'IS_ONE_OF',
+                            values: ['css', 'js', 'jpg', 'png', 'gif'],
+                            matchCaseSensitive: false
+                        }
+                    }
+                ],
+                criteriaMustSatisfy: 'all'
+            }
+        ],
+        behaviors: [
+            {
+                name: 'origin',
+                options: {
+                    originType: 'CUSTOMER',
+                    hostname: 'origin.example.com',
+                    forwardHostHeader: 'REQUEST_HOST_HEADER',
+                    cacheKeyHostname: 'ORIGIN_HOSTNAME',
+                    compress: true,
+                    enableTrueClientIp: false,
+                    httpPort: 80,
+                    httpsPort: 443,
+                    verificationMode: 'PLATFORM_SETTINGS'
+                }
+            },
+            {
+                name: 'cpCode',
+                options: {
+                    value: {
+                        id: 100001,
+                        products: [productId]
+                    }
+                }
+            },
+            {
+                name: 'caching',
+                options: {
+                    behavior: 'NO_STORE'
+                }
+            }
+        ],
+        options: {
+            is_secure: false
+        },
+        variables: [],
+        comments: 'The default rule'
+    };
+}
+
+// Rule format schema in the shape PAPI publishes, with a small catalog of behaviors and criteria. The formats from
+// v2018-09-12 on differ a little from the older ones, to have something to upgrade.
+function ruleSchema(ruleFormat) {
+    let recent = ruleFormat === 'latest' || ruleFormat >= 'v2018-09-12';
+    let catalog = (names, options) => {
+        let entries = {};
+        names.forEach(name => {
+            entries[name] = {
+                type: 'object',
+                properties: {
+                    name: { enum: [name] },
+                    options: options[name] || { type: 'object' },
+                    uuid: { type: 'string' },
+                    templateUuid: { type: 'string' }
+                },
+                additionalProperties: false
+            };
+        });
+        return entries;
+    };
+    let behaviors = catalog(['origin', 'cpCode', 'caching', 'sureRoute', 'http2', 'prefetch', 'prefetchable',
+        'setVariable', 'gzipResponse', 'allowPost', 'downstreamCache', 'modifyOutgoingResponseHeader',
+        recent ? 'mPulse' : 'realUserMonitoring'], {
+        origin: {
+            type: 'object',
+            properties: {
+                originType: { enum: ['CUSTOMER', 'NET_STORAGE', 'MEDIA_SERVICE_LIVE'] },
+                hostname: { type: 'string' },
+                forwardHostHeader: { enum: ['REQUEST_HOST_HEADER', 'ORIGIN_HOSTNAME', 'CUSTOM'] },
+                customForwardHostHeader: { type: 'string' },
+                cacheKeyHostname: { enum: ['REQUEST_HOST_HEADER', 'ORIGIN_HOSTNAME'] },
+                compress: { type: 'boolean' },
+                enableTrueClientIp: { type: 'boolean' },
+                httpPort: { type: 'integer' },
+                httpsPort: { type: 'integer' },
+                verificationMode: { enum: ['PLATFORM_SETTINGS', 'CUSTOM', 'THIRD_PARTY'] }
+            },
+            additionalProperties: false
+        },
+        allowPost: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                [recent ? 'allowWithoutContentLength' : 'allowNoContentLength']: { type: 'boolean' }
+            },
+            additionalProperties: false
+        },
+        downstreamCache: Object.assign(recent ? { required: ['behavior'] } : {}, {
+            type: 'object',
+            properties: {
+                behavior: { enum: ['ALLOW', 'MUST_REVALIDATE', 'BUST', 'TUNNEL_ORIGIN', 'NONE'], default: 'ALLOW' },
+                allowBehavior: { enum: ['LESSER', 'GREATER', 'REMAINING_LIFETIME', 'FROM_MAX_AGE', 'FROM_VALUE'] },
+                sendHeaders: { enum: ['CACHE_CONTROL', 'EXPIRES', 'CACHE_CONTROL_AND_EXPIRES'] },
+                sendPrivate: { type: 'boolean' }
+            }
+        }),
+        cpCode: {
+            type: 'object',
+            required: ['value'],
+            properties: {
+                value: {
+                    type: 'object',
+                    required: ['id'],
+                    properties: { id: { type: 'integer' } }
+                }
+            }
+        },
+        caching: {
+            type: 'object',
+            properties: {
+                behavior: { enum: ['MAX_AGE', 'NO_STORE', 'BYPASS_CACHE', 'CACHE_CONTROL', 'EXPIRES', 'CACHE_CONTROL_AND_EXPIRES'] },
+                mustRevalidate: { type: 'boolean' },
+                ttl: { type: 'string', pattern: '^[0-9]+[smhd]$' }
+            }
+        }
+    });
+    if (recent)
+        behaviors.origin.properties.options.properties.ipVersion = { enum: ['IPV4', 'DUAL_STACK', 'IPV6'] };
+    let criteria = catalog(['fileExtension', 'path', 'hostname', 'contentType', 'requestHeader'], {});
+    let list = (definitions, prefix) => ({
+        type: 'object',
+        required: ['name'],
+        anyOf: Object.keys(definitions).map(name => ({ $ref: `#/definitions/catalog/${prefix}/${name}` }))
+    });
+    return {
+        $schema: 'http://json-schema.org/draft-04/schema#',
+        description: `Rule format ${ruleFormat}`,
+        type: 'object',
+        required: ['rules'],
+        properties: {
+            rules: { $ref: '#/definitions/rule' },
+            ruleFormat: { type: 'string' },
+            comments: { type: 'string' }
+        },
+        definitions: {
+            catalog: { behaviors: behaviors, criteria: criteria },
+            behavior: list(behaviors, 'behaviors'),
+            criterion: list(criteria, 'criteria'),
+            rule: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string' },
+                    uuid: { type: 'string' },
+                    templateUuid: { type: 'string' },
+                    comments: { type: 'string' },
+                    criteriaMustSatisfy: { enum: ['all', 'any'] },
+                    options: { type: 'object' },
+                    variables: { type: 'array' },
+                    behaviors: { type: 'array', items: { $ref: '#/definitions/behavior' } },
+                    criteria: { type: 'array', items: { $ref: '#/definitions/criterion' } },
+                    children: { type: 'array', items: { $ref: '#/definitions/rule' } }
+                },
+                additionalProperties: false
+            }
+        }
+    };
+}
+
+/**
+ * Seed data used when the server is started without a state file: one account, contract and group, the products
+ * used by the CLI, and a single `example.com` property with one version.
+ */
+function defaultState() {
+    let state = {
+        accountId: 'act_B-C-MOCK',
+        accountName: 'Offline Account',
+        nextId: 200000,
+        contracts: [
+            { contractId: 'ctr_C-MOCK', contractTypeName: 'DIRECT_CUSTOMER' }
+        ],
+        groups: [
+            { groupId: 'grp_10001', groupName: 'Offline Group', contractIds: ['ctr_C-MOCK'] },
+            { groupId: 'grp_10002', groupName: 'Offline Subgroup', parentGroupId: 'grp_10001', contractIds: ['ctr_C-MOCK'] }
+        ],
+        products: [
+            { productId: 'prd_SPM', productName: 'Ion Premier' },
+            { productId: 'prd_Site_Accel', productName: 'Dynamic Site Accelerator' },
+            { productId: 'prd_Download_Delivery', productName: 'Download Delivery' }
+        ],
+        ruleFormats: ['latest', 'v2017-06-19', 'v2018-02-27', 'v2018-09-12'],
+        properties: {},
+        edgeHostnames: {
+            ehn_100001: {
+                edgeHostnameId: 'ehn_100001',
+                domainPrefix: 'www.example.com',
+                domainSuffix: 'edgesuite.net',
+                edgeHostnameDomain: 'www.example.com.edgesuite.net',
+                productId: 'prd_SPM',
+                secure: false,
+                ipVersionBehavior: 'IPV4',
+                contractId: 'ctr_C-MOCK',
+                groupId: 'grp_10001'
+            }
+        },
+        cpcodes: {
+            cpc_100001: {
+                cpcodeId: 'cpc_100001',
+                cpcodeName: 'example.com',
+                productIds: ['prd_SPM'],
+                contractId: 'ctr_C-MOCK',
+                groupId: 'grp_10001'
+            }
+        },
+        activations: {}
+    };
+    return state;
+}
+
+function problem(statusCode, type, title, detail) {
+    return {
+        statusCode: statusCode,
+        body: { type: PROBLEM_BASE + type, title: title, detail: detail, status: statusCode }
+    };
+}
+
+/**
+ * In-process stand-in for the Property Manager API. It keeps properties, versions, rules, hostnames, activations,
+ * edge hostnames and cpcodes in memory and answers the same requests WebSite sends, so it can be passed to the
+ * WebSite constructor as its `transport` to exercise the library and the CLI without network or credentials.
+ *
+ * When a `file` is given the state is loaded from it (if it exists) and written back after every change, which lets
+ * consecutive CLI invocations share the same fake account.
+ */
+class MockPapiServer {
+
+    /**
+     * @param options {Object} `file` to persist the state to, or `state` to start from an explicit state object
+     */
+    constructor(options = {}) {
+        this._file = options.file ? untildify(options.file) : null;
+        if (options.state)
+            this._state = options.state;
+        else if (this._file && fs.existsSync(this._file))
+            this._state = JSON.parse(fs.readFileSync(this._file, 'utf8'));
+        else {
+            this._state = defaultState();
+            this.addProperty({
+                propertyName: 'example.com',
+                hostnames: ['www.example.com'],
+                edgeHostnameId: 'ehn_100001'
+            });
+        }
+        this.requests = [];
+        this._routes = [
+            ['GET', /^\/papi\/v1\/groups$/, this._listGroups],
+            ['GET', /^\/papi\/v1\/contracts$/, this._listContracts],
+            ['GET', /^\/papi\/v1\/products$/, this._listProducts],
+            ['GET', /^\/papi\/v1\/rule-formats$/, this._listRuleFormats],
+            ['GET', /^\/papi\/v1\/schemas\/products\/(prd_\w+)\/([\w.-]+)$/, this._getRuleSchema],
+            ['POST', /^\/papi\/v1\/search\/find-by-value$/, this._search],
+            ['GET', /^\/papi\/v1\/properties\/?$/, this._listProperties],
+            ['POST', /^\/papi\/v1\/properties\/?$/, this._createProperty],
+            ['GET', /^\/papi\/v1\/properties\/(prp_\w+)$/, this._getProperty],
+            ['DELETE', /^\/papi\/v1\/properties\/(prp_\w+)$/, this._deleteProperty],
+            ['GET', /^\/papi\/v1\/properties\/(prp_\w+)\/versions$/, this._listVersions],
+            ['POST', /^\/papi\/v1\/properties\/(prp_\w+)\/versions$/, this._createVersion],
+            ['GET', /^\/papi\/v1\/properties\/(prp_\w+)\/versions\/(\d+)$/, this._getVersion],
+            ['GET', /^\/papi\/v1\/properties\/(prp_\w+)\/versions\/(\d+)\/rules$/, this._getRules],
+            ['PUT', /^\/papi\/v1\/properties\/(prp_\w+)\/versions\/(\d+)\/rules$/, this._putRules],
+            ['GET', /^\/papi\/v1\/properties\/(prp_\w+)\/versions\/(\d+)\/hostnames\/?$/, this._getHostnames],
+            ['PUT', /^\/papi\/v1\/properties\/(prp_\w+)\/versions\/(\d+)\/hostnames\/?$/, this._putHostnames],
+            ['GET', /^\/papi\/v1\/properties\/(prp_\w+)\/activations$/, this._listActivations],
+            ['POST', /^\/papi\/v1\/properties\/(prp_\w+)\/activations$/, this._activate],
+            ['GET', /^\/papi\/v1\/properties\/(prp_\w+)\/activations\/(atv_\w+)$/, this._getActivation],
+            ['GET', /^\/papi\/v1\/edgehostnames$/, this._listEdgeHostnames],
+            ['POST', /^\/papi\/v1\/edgehostnames$/, this._createEdgeHostname],
+            ['GET', /^\/papi\/v1\/cpcodes$/, this._listCpcodes],
+            ['POST', /^\/papi\/v1\/cpcodes$/, this._createCpcode],
+            ['GET', /^\/identity-management\/v3\/api-clients\/self$/, this._getApiClient],
+            ['GET', /^\/user-admin\/v1\/accounts\/([^/]+)\/groups\/(\d+)\/properties$/, this._listAssets],
+            ['PUT', /^\/user-admin\/v1\/accounts\/([^/]+)\/properties\/([^/]+)$/, this._moveAsset]
+        ];
+    }
+
+    /**
+     * Transport entry point, see EdgeGridTransport#send
+     */
+    send(request) {
+        return Promise.resolve(this.handle(request));
+    }
+
+    /**
+     * Synchronously answer a request
+     *
+     * @param request {Object} with the `method`, `path`, `headers` and `body` of the request
+     * @returns {Object} the response with `statusCode`, `headers` and a string `body`
+     */
+    handle(request) {
+        let method = (request.method || 'GET').toUpperCase();
+        let parsed = url.parse(request.path, true);
+        let body = request.body;
+        if (typeof body === 'string' && body.length > 0)
+            body = JSON.parse(body);
+
+        this.requests.push({ method: method, path: request.path });
+
+        let result;
+        let pathMatched = false;
+        for (let route of this._routes) {
+            let matches = parsed.pathname.match(route[1]);
+            if (!matches)
+                continue;
+            pathMatched = true;
+            if (route[0] !== method)
+                continue;
+            result = route[2].call(this, {
+                params: matches.slice(1),
+                query: parsed.query,
+                headers: request.headers || {},
+                body: body
+            });
+            break;
+        }
+        if (!result)
+            result = pathMatched ? problem(405, 'method-not-allowed', 'Method not allowed', `${method} is not supported on ${parsed.pathname}`)
+                : problem(404, 'not-found', 'Not found', `No resource at ${parsed.pathname}`);
+
+        if (method !== 'GET' && result.statusCode < 400)
+            this._save();
+
+        let isProblem = result.statusCode >= 400;
+        return {
+            statusCode: result.statusCode,
+            headers: Object.assign({
+                'content-type': isProblem ? 'application/problem+json' : 'application/json'
+            }, result.headers),
+            body: result.body === undefined ? '' : JSON.stringify(result.body)
+        };
+    }
+
+    /**
+     * Seed a property. Useful for tests which need a known configuration to work with.
+     *
+     * @param options {Object} `propertyName` and optionally `contractId`, `groupId`, `productId`, `rules`,
+     *     `hostnames` (list of cnameFrom values), `edgeHostnameId`, `ruleFormat` and `versions` (number of versions)
+     * @returns {Object} the property metadata
+     */
+    addProperty(options) {
+        let property = {
+            propertyId: this._nextId('prp_'),
+            propertyName: options.propertyName,
+            contractId: options.contractId || this._state.contracts[0].contractId,
+            groupId: options.groupId || this._state.groups[0].groupId,
+            productId: options.productId || 'prd_SPM',
+            latestVersion: 0,
+            stagingVersion: null,
+            productionVersion: null,
+            versions: {}
+        };
+        property.assetId = 'aid_' + property.propertyId.substring(4);
+        this._state.properties[property.propertyId] = property;
+
+        let hostnames = (options.hostnames || []).map(hostname => {
+            return {
+                cnameType: 'EDGE_HOSTNAME',
+                cnameFrom: hostname,
+                edgeHostnameId: options.edgeHostnameId || 'ehn_100001'
+            };
+        });
+        let count = options.versions || 1;
+        for (let i = 0; i < count; i++)
+            this._newVersion(property, {
+                rules: JSON.parse(JSON.stringify(options.rules || defaultRules(property.productId))),
+                ruleFormat: options.ruleFormat || 'latest',
+                hostnames: JSON.parse(JSON.stringify(hostnames))
+            });
+        this._save();
+        return this._propertyMeta(property);
+    }
+
+    /**
+     * Direct access to the stored state, e.g. to inspect the result of a command in a test
+     */
+    get state() {
+        return this._state;
+    }
+
+    _save() {
+        if (this._file)
+            fs.writeFileSync(this._file, JSON.stringify(this._state, '', 2));
+    }
+
+    _nextId(prefix) {
+        this._state.nextId += 1;
+        return prefix + this._state.nextId;
+    }
+
+    _group(groupId) {
+        return this._state.groups.find(group => group.groupId === groupId);
+    }
+
+    _property(propertyId) {
+        return this._state.properties[propertyId];
+    }
+
+    _propertyMeta(property) {
+        return {
+            accountId: this._state.accountId,
+            contractId: property.contractId,
+            groupId: property.groupId,
+            propertyId: property.propertyId,
+            propertyName: property.propertyName,
+            latestVersion: property.latestVersion,
+            stagingVersion: property.stagingVersion,
+            productionVersion: property.productionVersion,
+            assetId: property.assetId,
+            note: property.note
+        };
+    }
+
+    _versionMeta(property, version) {
+        return {
+            propertyVersion: version.propertyVersion,
+            updatedByUser: 'mock',
+            updatedDate: version.updatedDate,
+            productionStatus: property.productionVersion === version.propertyVersion ? 'ACTIVE' : 'INACTIVE',
+            stagingStatus: property.stagingVersion === version.propertyVersion ? 'ACTIVE' : 'INACTIVE',
+            etag: version.etag,
+            productId: property.productId,
+            ruleFormat: version.ruleFormat,
+            note: version.note
+        };
+    }
+
+    _envelope(property, extra) {
+        return Object.assign({
+            accountId: this._state.accountId,
+            contractId: property.contractId,
+            groupId: property.groupId,
+            propertyId: property.propertyId,
+            propertyName: property.propertyName
+        }, extra);
+    }
+
+    _link(path, property) {
+        return `${path}?contractId=${property.contractId}&groupId=${property.groupId}`;
+    }
+
+    _newVersion(property, content) {
+        property.latestVersion += 1;
+        let version = {
+            propertyVersion: property.latestVersion,
+            ruleFormat: content.ruleFormat,
+            rules: content.rules,
+            comments: content.comments,
+            hostnames: content.hostnames,
+            note: content.note,
+            updatedDate: new Date().toISOString(),
+            activated: false
+        };
+        version.etag = md5(JSON.stringify([property.propertyId, version.propertyVersion, version.rules, version.updatedDate]));
+        property.versions[version.propertyVersion] = version;
+        return version;
+    }
+
+    /**
+     * Resolve the property and version named in the request path, or produce the matching problem response
+     */
+    _lookup(req) {
+        let property = this._property(req.params[0]);
+        if (!property)
+            return { error: problem(404, 'property-not-found', 'Not Found', `Property ${req.params[0]} does not exist`) };
+        if (req.params.length < 2)
+            return { property: property };
+        let version = property.versions[req.params[1]];
+        if (!version)
+            return { error: problem(404, 'version-not-found', 'Not Found', `Version ${req.params[1]} of ${property.propertyId} does not exist`) };
+        return { property: property, version: version };
+    }
+
+    _listGroups() {
+        return {
+            statusCode: 200,
+            body: {
+                accountId: this._state.accountId,
+                accountName: this._state.accountName,
+                groups: { items: this._state.groups }
+            }
+        };
+    }
+
+    _getApiClient() {
+        return {
+            statusCode: 200,
+            body: {
+                clientId: 'mock-client',
+                apiAccess: {
+                    allAccessibleApis: false,
+                    apis: [
+                        { apiName: 'Property Manager (PAPI)', accessLevel: 'READ-WRITE' },
+                        { apiName: 'User Admin', accessLevel: 'READ-WRITE' }
+                    ]
+                }
+            }
+        };
+    }
+
+    _listContracts() {
+        return {
+            statusCode: 200,
+            body: {
+                accountId: this._state.accountId,
+                contracts: { items: this._state.contracts }
+            }
+        };
+    }
+
+    _listProducts(req) {
+        if (!this._state.contracts.find(contract => contract.contractId === req.query.contractId))
+            return problem(403, 'forbidden', 'Forbidden', `No access to contract ${req.query.contractId}`);
+        return {
+            statusCode: 200,
+            body: {
+                accountId: this._state.accountId,
+                contractId: req.query.contractId,
+                products: { items: this._state.products }
+            }
+        };
+    }
+
+    _listRuleFormats() {
+        return {
+            statusCode: 200,
+            body: { ruleFormats: { items: this._state.ruleFormats } }
+        };
+    }
+
+    _getRuleSchema(req) {
+        let productId = req.params[0];
+        let ruleFormat = req.params[1];
+        if (!this._state.products.find(product => product.productId === productId))
+            return problem(404, 'not-found', 'Not found', `Unknown product ${productId}`);
+        if (this._state.ruleFormats.indexOf(ruleFormat) < 0)
+            return problem(404, 'not-found', 'Not found', `Unknown rule format ${ruleFormat}`);
+        return { statusCode: 200, body: ruleSchema(ruleFormat) };
+    }
+
+    _search(req) {
+        let body = req.body || {};
+        let items = [];
+        Object.keys(this._state.properties).map(propertyId => {
+            let property = this._state.properties[propertyId];
+            let versions = [property.latestVersion, property.stagingVersion, property.productionVersion]
+                .filter((version, index, list) => version && list.indexOf(version) === index);
+            versions.map(versionNumber => {
+                let version = property.versions[versionNumber];
+                let hostnames = version.hostnames || [];
+                let match;
+                if (body.propertyName)
+                    match = property.propertyName === body.propertyName;
+                else if (body.hostname)
+                    match = hostnames.some(host => host.cnameFrom === body.hostname);
+                else if (body.edgeHostname)
+                    match = hostnames.some(host => this._cnameTo(host) === body.edgeHostname);
+                if (!match)
+                    return;
+                items.push(Object.assign(this._envelope(property, {
+                    propertyVersion: versionNumber,
+                    updatedDate: version.updatedDate,
+                    productionStatus: property.productionVersion === versionNumber ? 'ACTIVE' : 'INACTIVE',
+                    stagingStatus: property.stagingVersion === versionNumber ? 'ACTIVE' : 'INACTIVE',
+                    etag: version.etag
+                }), body.hostname ? { hostname: body.hostname } : {}, body.edgeHostname ? { edgeHostname: body.edgeHostname } : {}));
+            });
+        });
+        return { statusCode: 200, body: { versions: { items: items } } };
+    }
+
+    _listProperties(req) {
+        let group = this._group(req.query.groupId);
+        if (!group || group.contractIds.indexOf(req.query.contractId) < 0)
+            return problem(403, 'forbidden', 'Forbidden', `No access to ${req.query.contractId} / ${req.query.groupId}`);
+        let items = Object.keys(this._state.properties)
+            .map(propertyId => this._state.properties[propertyId])
+            .filter(property => property.groupId === group.groupId && property.contractId === req.query.contractId)
+            .map(property => this._propertyMeta(property));
+        return { statusCode: 200, body: { properties: { items: items } } };
+    }
+
+    _createProperty(req) {
+        let body = req.body || {};
+        let group = this._group(req.query.groupId);
+        if (!group || group.contractIds.indexOf(req.query.contractId) < 0)
+            return problem(403, 'forbidden', 'Forbidden', `No access to ${req.query.contractId} / ${req.query.groupId}`);
+        if (!body.propertyName)
+            return problem(400, 'json-error', 'Bad Request', 'propertyName is required');
+        let exists = Object.keys(this._state.properties)
+            .some(propertyId => this._state.properties[propertyId].propertyName === body.propertyName);
+        if (exists)
+            return problem(400, 'duplicate-property-name', 'Bad Request', `A property named ${body.propertyName} already exists`);
+
+        let rules, ruleFormat = 'latest';
+        if (body.cloneFrom) {
+            let source = this._property(body.cloneFrom.propertyId);
+            let sourceVersion = source && source.versions[body.cloneFrom.version];
+            if (!sourceVersion)
+                return problem(400, 'clone-from-not-found', 'Bad Request', `Cannot clone ${body.cloneFrom.propertyId} v${body.cloneFrom.version}`);
+            rules = JSON.parse(JSON.stringify(sourceVersion.rules));
+            ruleFormat = sourceVersion.ruleFormat;
+        } else if (!this._state.products.find(product => product.productId === body.productId)) {
+            return problem(400, 'invalid-product', 'Bad Request', `Unknown product ${body.productId}`);
+        }
+
+        let property = {
+            propertyId: this._nextId('prp_'),
+            propertyName: body.propertyName,
+            contractId: req.query.contractId,
+            groupId: req.query.groupId,
+            productId: body.productId || 'prd_SPM',
+            latestVersion: 0,
+            stagingVersion: null,
+            productionVersion: null,
+            versions: {}
+        };
+        property.assetId = 'aid_' + property.propertyId.substring(4);
+        this._state.properties[property.propertyId] = property;
+        this._newVersion(property, {
+            rules: rules || defaultRules(property.productId),
+            ruleFormat: ruleFormat,
+            hostnames: []
+        });
+        return {
+            statusCode: 201,
+            body: { propertyLink: this._link(`/papi/v1/properties/${property.propertyId}`, property) }
+        };
+    }
+
+    _getProperty(req) {
+        let found = this._lookup(req);
+        if (found.error)
+            return found.error;
+        return { statusCode: 200, body: { properties: { items: [this._propertyMeta(found.property)] } } };
+    }
+
+    _deleteProperty(req) {
+        let found = this._lookup(req);
+        if (found.error)
+            return found.error;
+        if (found.property.stagingVersion || found.property.productionVersion)
+            return problem(403, 'property-active', 'Property is active', `Deactivate ${found.property.propertyName} before deleting it`);
+        delete this._state.properties[found.property.propertyId];
+        return { statusCode: 200, body: { message: 'Deletion Successful.' } };
+    }
+
+    _listVersions(req) {
+        let found = this._lookup(req);
+        if (found.error)
+            return found.error;
+        let property = found.property;
+        let items = Object.keys(property.versions)
+            .map(version => this._versionMeta(property, property.versions[version]))
+            .reverse();
+        return { statusCode: 200, body: this._envelope(property, { versions: { items: items } }) };
+    }
+
+    _createVersion(req) {
+        let found = this._lookup(req);
+        if (found.error)
+            return found.error;
+        let property = found.property;
+        let body = req.body || {};
+        let source = property.versions[body.createFromVersion];
+        if (!source)
+            return problem(400, 'version-not-found', 'Bad Request', `Cannot create a version from ${body.createFromVersion}`);
+        if (body.createFromVersionEtag && body.createFromVersionEtag !== source.etag)
+            return problem(412, 'etag-mismatch', 'Precondition Failed', `Version ${source.propertyVersion} was modified`);
+        let version = this._newVersion(property, JSON.parse(JSON.stringify({
+            rules: source.rules,
+            ruleFormat: source.ruleFormat,
+            comments: source.comments,
+            hostnames: source.hostnames
+        })));
+        return {
+            statusCode: 201,
+            body: { versionLink: this._link(`/papi/v1/properties/${property.propertyId}/versions/${version.propertyVersion}`, property) }
+        };
+    }
+
+    _getVersion(req) {
+        let found = this._lookup(req);
+        if (found.error)
+            return found.error;
+        return {
+            statusCode: 200,
+            body: this._envelope(found.property, { versions: { items: [this._versionMeta(found.property, found.version)] } })
+        };
+    }
+
+    _rulesBody(property, version) {
+        let body = this._envelope(property, {
+            propertyVersion: version.propertyVersion,
+            etag: version.etag,
+            ruleFormat: version.ruleFormat,
+            rules: version.rules
+        });
+        if (version.comments)
+            body.comments = version.comments;
+        return body;
+    }
+
+    _getRules(req) {
+        let found = this._lookup(req);
+        if (found.error)
+            return found.error;
+        return { statusCode: 200, body: this._rulesBody(found.property, found.version) };
+    }
+
+    _putRules(req) {
+        let found = this._lookup(req);
+        if (found.error)
+            return found.error;
+        let property = found.property;
+        let version = found.version;
+        if (version.activated)
+            return problem(403, 'property-version-not-editable', 'Property version already activated',
+                `Version ${version.propertyVersion} of ${property.propertyName} has been activated and cannot be modified`);
+        let ifMatch = req.headers['If-Match'] || req.headers['if-match'];
+        if (ifMatch && ifMatch.replace(/"/g, '') !== version.etag)
+            return problem(412, 'precondition-failed', 'Precondition Failed',
+                `Version ${version.propertyVersion} of ${property.propertyName} was modified after etag ${ifMatch} was read`);
+        let body = req.body || {};
+        if (!body.rules || body.rules.name !== 'default')
+            return problem(400, 'json-error', 'Bad Request', 'The request body must contain a default rule');
+
+        let contentType = req.headers['Content-Type'] || req.headers['content-type'] || '';
+        let format = contentType.match(/papirules\.([\w-]+)\+json/);
+        if (format) {
+            if (this._state.ruleFormats.indexOf(format[1]) < 0)
+                return problem(415, 'unsupported-media-type', 'Unsupported Media Type', `Unknown rule format ${format[1]}`);
+            version.ruleFormat = format[1];
+        }
+        version.rules = body.rules;
+        version.comments = body.comments;
+        version.updatedDate = new Date().toISOString();
+        version.etag = md5(JSON.stringify([property.propertyId, version.propertyVersion, version.rules, version.updatedDate]));
+        return { statusCode: 200, body: this._rulesBody(property, version) };
+    }
+
+    _cnameTo(host) {
+        let ehn = host.edgeHostnameId && this._state.edgeHostnames[host.edgeHostnameId];
+        return ehn ? ehn.edgeHostnameDomain : host.cnameTo;
+    }
+
+    _hostnamesBody(property, version) {
+        let items = (version.hostnames || []).map(host => {
+            let item = Object.assign({}, host);
+            item.cnameTo = this._cnameTo(host);
+            return item;
+        });
+        return this._envelope(property, {
+            propertyVersion: version.propertyVersion,
+            etag: version.etag,
+            hostnames: { items: items }
+        });
+    }
+
+    _getHostnames(req) {
+        let found = this._lookup(req);
+        if (found.error)
+            return found.error;
+        return { statusCode: 200, body: this._hostnamesBody(found.property, found.version) };
+    }
+
+    _putHostnames(req) {
+        let found = this._lookup(req);
+        if (found.error)
+            return found.error;
+        if (found.version.activated)
+            return problem(403, 'property-version-not-editable', 'Property version already activated',
+                `Version ${found.version.propertyVersion} has been activated and cannot be modified`);
+        if (!Array.isArray(req.body))
+            return problem(400, 'json-error', 'Bad Request', 'The request body must be a list of hostnames');
+        let hostnames = [];
+        for (let host of req.body) {
+            if (!host || !host.cnameFrom)
+                return problem(400, 'json-error', 'Bad Request', 'Every hostname needs a cnameFrom');
+            if (host.edgeHostnameId && !this._state.edgeHostnames[host.edgeHostnameId])
+                return problem(400, 'invalid-edge-hostname', 'Bad Request', `Unknown edge hostname ${host.edgeHostnameId}`);
+            let entry = { cnameType: host.cnameType || 'EDGE_HOSTNAME', cnameFrom: host.cnameFrom };
+            if (host.edgeHostnameId)
+                entry.edgeHostnameId = host.edgeHostnameId;
+            else
+                entry.cnameTo = host.cnameTo;
+            hostnames.push(entry);
+        }
+        found.version.hostnames = hostnames;
+        return { statusCode: 200, body: this._hostnamesBody(found.property, found.version) };
+    }
+
+    _listActivations(req) {
+        let found = this._lookup(req);
+        if (found.error)
+            return found.error;
+        let items = Object.keys(this._state.activations)
+            .map(activationId => this._state.activations[activationId])
+            .filter(activation => activation.propertyId === found.property.propertyId);
+        return { statusCode: 200, body: this._envelope(found.property, { activations: { items: items } }) };
+    }
+
+    _activate(req) {
+        let found = this._lookup(req);
+        if (found.error)
+            return found.error;
+        let property = found.property;
+        let body = req.body || {};
+        let network = body.network;
+        let versionNumber = Number(body.propertyVersion);
+        if (network !== 'STAGING' && network !== 'PRODUCTION')
+            return problem(400, 'json-error', 'Bad Request', `Unknown network ${network}`);
+        if (!property.versions[versionNumber])
+            return problem(400, 'version-not-found', 'Bad Request', `Version ${body.propertyVersion} does not exist`);
+        let key = network === 'STAGING' ? 'stagingVersion' : 'productionVersion';
+        let activationType = body.activationType || 'ACTIVATE';
+
+        if (activationType === 'DEACTIVATE') {
+            if (property[key] !== versionNumber)
+                return problem(422, 'property_version_not_active', 'Property version not active',
+                    `Property not active in ${network}`);
+            property[key] = null;
+        } else {
+            property[key] = versionNumber;
+            property.versions[versionNumber].activated = true;
+        }
+
+        let activation = {
+            activationId: this._nextId('atv_'),
+            propertyId: property.propertyId,
+            propertyName: property.propertyName,
+            propertyVersion: versionNumber,
+            network: network,
+            activationType: activationType,
+            status: 'ACTIVE',
+            submitDate: new Date().toISOString(),
+            updateDate: new Date().toISOString(),
+            note: body.note,
+            notifyEmails: body.notifyEmails
+        };
+        this._state.activations[activation.activationId] = activation;
+        return {
+            statusCode: 201,
+            body: { activationLink: this._link(`/papi/v1/properties/${property.propertyId}/activations/${activation.activationId}`, property) }
+        };
+    }
+
+    _getActivation(req) {
+        let found = this._lookup({ params: req.params.slice(0, 1) });
+        if (found.error)
+            return found.error;
+        let activation = this._state.activations[req.params[1]];
+        if (!activation || activation.propertyId !== found.property.propertyId)
+            return problem(404, 'activation-not-found', 'Not Found', `Activation ${req.params[1]} does not exist`);
+        return { statusCode: 200, body: this._envelope(found.property, { activations: { items: [activation] } }) };
+    }
+
+    _listEdgeHostnames(req) {
+        let items = Object.keys(this._state.edgeHostnames)
+            .map(edgeHostnameId => this._state.edgeHostnames[edgeHostnameId])
+            .filter(ehn => !req.query.contractId || ehn.contractId === req.query.contractId);
+        return {
+            statusCode: 200,
+            body: {
+                accountId: this._state.accountId,
+                contractId: req.query.contractId,
+                groupId: req.query.groupId,
+                edgeHostnames: { items: items }
+            }
+        };
+    }
+
+    _createEdgeHostname(req) {
+        let body = req.body || {};
+        if (!body.domainPrefix || !body.domainSuffix || !body.productId)
+            return problem(400, 'json-error', 'Bad Request', 'domainPrefix, domainSuffix and productId are required');
+        let domain = `${body.domainPrefix}.${body.domainSuffix}`;
+        let exists = Object.keys(this._state.edgeHostnames)
+            .some(edgeHostnameId => this._state.edgeHostnames[edgeHostnameId].edgeHostnameDomain === domain);
+        if (exists)
+            return problem(400, 'duplicate-edge-hostname', 'Bad Request', `Edge hostname ${domain} already exists`);
+        let ehn = {
+            edgeHostnameId: this._nextId('ehn_'),
+            domainPrefix: body.domainPrefix,
+            domainSuffix: body.domainSuffix,
+            edgeHostnameDomain: domain,
+            productId: body.productId,
+            secure: !!body.secure,
+            ipVersionBehavior: body.ipVersionBehavior || 'IPV4',
+            contractId: req.query.contractId,
+            groupId: req.query.groupId
+        };
+        this._state.edgeHostnames[ehn.edgeHostnameId] = ehn;
+        return {
+            statusCode: 201,
+            body: { edgeHostnameLink: `/papi/v1/edgehostnames/${ehn.edgeHostnameId}?contractId=${ehn.contractId}&groupId=${ehn.groupId}` }
+        };
+    }
+
+    _listCpcodes(req) {
+        let items = Object.keys(this._state.cpcodes)
+            .map(cpcodeId => this._state.cpcodes[cpcodeId])
+            .filter(cpcode => !req.query.contractId || cpcode.contractId === req.query.contractId);
+        return { statusCode: 200, body: { accountId: this._state.accountId, cpcodes: { items: items } } };
+    }
+
+    _createCpcode(req) {
+        let body = req.body || {};
+        if (!body.productId || !body.cpcodeName)
+            return problem(400, 'json-error', 'Bad Request', 'productId and cpcodeName are required');
+        let cpcode = {
+            cpcodeId: this._nextId('cpc_'),
+            cpcodeName: body.cpcodeName,
+            productIds: [body.productId],
+            contractId: req.query.contractId,
+            groupId: req.query.groupId
+        };
+        this._state.cpcodes[cpcode.cpcodeId] = cpcode;
+        return {
+            statusCode: 201,
+            body: { cpcodeLink: `/papi/v1/cpcodes/${cpcode.cpcodeId}?contractId=${cpcode.contractId}&groupId=${cpcode.groupId}` }
+        };
+    }
+
+    _listAssets(req) {
+        let items = Object.keys(this._state.properties)
+            .map(propertyId => this._state.properties[propertyId])
+            .filter(property => property.groupId.substring(4) === req.params[1])
+            .map(property => {
+                return { assetId: property.assetId, assetName: property.propertyName };
+            });
+        return { statusCode: 200, body: items };
+    }
+
+    _moveAsset(req) {
+        let body = req.body || {};
+        let property = Object.keys(this._state.properties)
+            .map(propertyId => this._state.properties[propertyId])
+            .find(candidate => candidate.assetId === req.params[1]);
+        if (!property)
+            return problem(404, 'not-found', 'Not Found', `Asset ${req.params[1]} does not exist`);
+        let destination = this._group('grp_' + body.destinationGroupId);
+        if (!destination)
+            return problem(400, 'invalid-group', 'Bad Request', `Unknown group ${body.destinationGroupId}`);
+        property.groupId = destination.groupId;
+        return { statusCode: 204 };
+    }
+}
+
+MockPapiServer.defaultRules = defaultRules;
+
+module.exports = MockPapiServer;
@@ -0,0 +1,185 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let fs = require('fs');
+let path = require('path');
+let md5 = require('md5');
+let cacheDir = require('./cacheDir');
+
+/**
+ * On-disk index from property names and hostnames to the property id, contract and group, kept between runs so
+ * a lookup does not need the `find-by-value` searches or a crawl of every group. Only this identity is stored, the
+ * property metadata (versions, activations) is always read fresh.
+ *
+ * There is one index file per {OPEN} API host, edgerc section and account switch key. Entries expire after `ttl`
+ * seconds (PROPERTY_INDEX_TTL, default one day), a `ttl` of 0 disables the index. Files another user could have
+ * written are ignored (see cacheDir).
+ */
+class PropertyIndex {
+
+    /**
+     * @param options {Object} `host` and `section` of the credentials, `dir` holding the index files (by default
+     *     `~/.akamai-cli/cache/property-index`), `ttl` in seconds and `readOnly` to never write the files
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || cacheDir.cacheDir('property-index');
+        this.host = options.host || '';
+        this.section = options.section || 'default';
+        let ttl = options.ttl !== undefined && options.ttl !== null ? options.ttl : process.env.PROPERTY_INDEX_TTL;
+        this.ttl = ttl === undefined || ttl === '' || isNaN(Number(ttl)) ? 86400 : Number(ttl);
+        this.readOnly = !!options.readOnly;
+        this._now = options.now || Date.now;
+        this._indexes = {};
+    }
+
+    get enabled() {
+        return this.ttl > 0;
+    }
+
+    /**
+     * Path of the index file used for an account switch key
+     */
+    file(accountKey) {
+        return path.join(this.dir, `${md5(`${this.host}|${this.section}|${accountKey || ''}`)}.json`);
+    }
+
+    /**
+     * Look up a property by id, name or hostname
+     *
+     * @returns {Object} `propertyId`, `propertyName`, `contractId`, `groupId` and `hostnames`, or undefined when
+     *     the property is not indexed or its entry expired
+     */
+    find(accountKey, lookup) {
+        if (!this.enabled)
+            return undefined;
+        let properties = this._load(accountKey).properties;
+        let found = Object.keys(properties)
+            .map(propertyId => properties[propertyId])
+            .find(entry => entry.propertyId === lookup || entry.propertyName === lookup ||
+                (entry.hostnames || []).indexOf(lookup) >= 0);
+        if (!found || this._now() - found.indexedAt > this.ttl * 1000)
+            return undefined;
+        return found;
+    }
+
+    /**
+     * Add or refresh the entry of a property, merging the hostnames with the ones already known
+     */
+    add(accountKey, property, hostnames = []) {
+        if (!this.enabled)
+            return;
+        let index = this._load(accountKey);
+        let previous = index.properties[property.propertyId];
+        let known = previous && this._now() - previous.indexedAt <= this.ttl * 1000 ? previous.hostnames : [];
+        index.properties[property.propertyId] = entry(property, known.concat(hostnames.filter(host => known.indexOf(host) < 0)), this._now());
+        this._save(accountKey);
+    }
+
+    /**
+     * Forget a property, for instance after it was deleted or its hostnames changed
+     */
+    remove(accountKey, propertyId) {
+        let index = this._load(accountKey);
+        if (!index.properties[propertyId])
+            return;
+        delete index.properties[propertyId];
+        this._save(accountKey);
+    }
+
+    /**
+     * Forget every property of an account
+     */
+    clear(accountKey) {
+        this._indexes[accountKey || ''] = { builtAt: null, properties: {} };
+        this._save(accountKey);
+    }
+
+    /**
+     * Replace the index of an account with a complete list of properties
+     *
+     * @param {Object[]} entries each with the `property` metadata and its `hostnames`
+     */
+    rebuild(accountKey, entries) {
+        let now = this._now();
+        let index = { builtAt: new Date(now).toISOString(), properties: {} };
+        entries.forEach(item => {
+            index.properties[item.property.propertyId] = entry(item.property, item.hostnames || [], now);
+        });
+        this._indexes[accountKey || ''] = index;
+        this._save(accountKey);
+    }
+
+    /**
+     * Summary of the index of an account: `file`, `builtAt` of the last rebuild, number of `properties` and
+     * `hostnames` which have not expired
+     */
+    stats(accountKey) {
+        let properties = this._load(accountKey).properties;
+        let current = Object.keys(properties)
+            .map(propertyId => properties[propertyId])
+            .filter(item => this._now() - item.indexedAt <= this.ttl * 1000);
+        return {
+            file: this.file(accountKey),
+            builtAt: this._load(accountKey).builtAt,
+            properties: current.length,
+            hostnames: current.reduce((count, item) => count + (item.hostnames || []).length, 0)
+        };
+    }
+
+    _load(accountKey) {
+        let key = accountKey || '';
+        if (!this._indexes[key]) {
+            let file = this.file(accountKey);
+            this._indexes[key] = { builtAt: null, properties: {} };
+            if (!fs.existsSync(file))
+                return this._indexes[key];
+            if (!cacheDir.isPrivate(this.dir) || !cacheDir.isPrivate(file)) {
+                console.error('... ignoring the property index %s, it is writable by others or not owned by you', file);
+                return this._indexes[key];
+            }
+            try {
+                this._indexes[key] = JSON.parse(fs.readFileSync(file));
+            } catch (error) {
+                // an unreadable index is rebuilt as lookups are made
+            }
+        }
+        return this._indexes[key];
+    }
+
+    _save(accountKey) {
+        if (this.readOnly)
+            return;
+        try {
+            cacheDir.ensurePrivate(this.dir);
+            fs.writeFileSync(this.file(accountKey), JSON.stringify(this._load(accountKey)), { mode: 0o600 });
+        } catch (error) {
+            // the index only saves time, failing to write it must not fail the command
+            console.error('... unable to save the property index: %s', error.message);
+        }
+    }
+}
+
+function entry(property, hostnames, now) {
+    return {
+        propertyId: property.propertyId,
+        propertyName: property.propertyName,
+        contractId: property.contractId,
+        groupId: property.groupId,
+        hostnames: hostnames,
+        indexedAt: now
+    };
+}
+
+module.exports = PropertyIndex;
@@ -0,0 +1,99 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let fs = require('fs');
+let untildify = require('untildify');
+
+// Headers which carry credentials or session state, never written to a cassette
+const SCRUBBED_HEADERS = ['authorization', 'cookie', 'set-cookie', 'proxy-authorization'];
+
+/**
+ * Transport wrapper saving every request and its response (or failure) to a cassette file, which ReplayTransport
+ * can serve back later. The file is rewritten after each request, so it is complete up to the point where a command
+ * failed. Credentials and signing headers are removed before anything is written.
+ *
+ * Cassettes are JSON: `{"interactions": [{"request": {method, path, headers, body}, "response": {statusCode,
+ * headers, body}}]}`, an interaction which failed without a response has `"error": {code, message}` instead.
+ */
+class RecordingTransport {
+
+    /**
+     * @param transport {Object} sending the requests
+     * @param file {string} cassette to write
+     */
+    constructor(transport, file) {
+        this._transport = transport;
+        this._file = untildify(file);
+        this.interactions = [];
+    }
+
+    send(request) {
+        let recorded = {
+            method: (request.method || 'GET').toUpperCase(),
+            path: request.path,
+            headers: scrub(request.headers),
+            body: parseBody(request.body)
+        };
+        return this._transport.send(request)
+            .then(response => {
+                this._save({
+                    request: recorded,
+                    response: {
+                        statusCode: response.statusCode,
+                        headers: scrub(response.headers),
+                        body: parseBody(response.body)
+                    }
+                });
+                return response;
+            }, error => {
+                this._save({
+                    request: recorded,
+                    error: { code: error && error.code, message: error && error.message }
+                });
+                return Promise.reject(error);
+            });
+    }
+
+    _save(interaction) {
+        this.interactions.push(interaction);
+        fs.writeFileSync(this._file, JSON.stringify({ interactions: this.interactions }, null, 2));
+    }
+}
+
+function scrub(headers) {
+    if (!headers)
+        return undefined;
+    let clean = {};
+    Object.keys(headers).forEach(name => {
+        if (SCRUBBED_HEADERS.indexOf(name.toLowerCase()) < 0)
+            clean[name] = headers[name];
+    });
+    return clean;
+}
+
+// JSON bodies are kept as objects so cassettes stay readable and can be edited by hand
+function parseBody(body) {
+    if (typeof body !== 'string' || body.length === 0)
+        return body;
+    try {
+        return JSON.parse(body);
+    } catch (e) {
+        return body;
+    }
+}
+
+RecordingTransport.SCRUBBED_HEADERS = SCRUBBED_HEADERS;
+
+module.exports = RecordingTransport;
@@ -0,0 +1,79 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let fs = require('fs');
+let untildify = require('untildify');
+
+/**
+ * Transport answering requests from a cassette written by RecordingTransport, without credentials or network.
+ * Requests are matched by method, path and body, or by method and path alone when no recorded body matches. When the
+ * same request was recorded several times the recorded answers are served in their original order, and the last one
+ * is repeated once they are used up. A request which was not recorded fails with an error naming it.
+ */
+class ReplayTransport {
+
+    /**
+     * @param cassette {string|Object} file written by RecordingTransport, or its parsed content
+     */
+    constructor(cassette) {
+        let content = typeof cassette === 'string' ? JSON.parse(fs.readFileSync(untildify(cassette))) : cassette;
+        this._interactions = {};
+        this._served = {};
+        (content.interactions || []).forEach(interaction => {
+            let keys = [requestKey(interaction.request)];
+            if (requestKey(interaction.request, true) !== keys[0])
+                keys.push(requestKey(interaction.request, true));
+            keys.forEach(key => {
+                this._interactions[key] = this._interactions[key] || [];
+                this._interactions[key].push(interaction);
+            });
+        });
+    }
+
+    send(request) {
+        let key = requestKey(request, true);
+        if (!this._interactions[key])
+            key = requestKey(request);
+        let recorded = this._interactions[key];
+        if (!recorded) {
+            let error = new Error(`No recorded response for ${key}`);
+            error.code = 'ENOTRECORDED';
+            return Promise.reject(error);
+        }
+        let index = Math.min(this._served[key] || 0, recorded.length - 1);
+        this._served[key] = index + 1;
+        let interaction = recorded[index];
+        if (interaction.error) {
+            let error = new Error(interaction.error.message);
+            error.code = interaction.error.code;
+            return Promise.reject(error);
+        }
+        let response = interaction.response;
+        return Promise.resolve({
+            statusCode: response.statusCode,
+            headers: Object.assign({}, response.headers),
+            body: typeof response.body === 'string' || response.body === undefined ? response.body : JSON.stringify(response.body)
+        });
+    }
+}
+
+function requestKey(request, withBody = false) {
+    let key = `${(request.method || 'GET').toUpperCase()} ${request.path}`;
+    if (withBody && request.body !== undefined && request.body !== '')
+        key += ' ' + (typeof request.body === 'string' ? request.body : JSON.stringify(request.body));
+    return key;
+}
+
+module.exports = ReplayTransport;
@@ -0,0 +1,161 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Connection errors raised before the request reached the server, safe to retry for any method
+const NOT_SENT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Connection errors where the server may or may not have processed the request
+const DROPPED_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'ECONNABORTED'];
+
+function sleep(time) {
+    return new Promise((resolve) => setTimeout(resolve, time));
+}
+
+function header(response, name) {
+    if (!response || !response.headers)
+        return undefined;
+    let key = Object.keys(response.headers).find(candidate => candidate.toLowerCase() === name);
+    return key ? response.headers[key] : undefined;
+}
+
+/**
+ * Retry policy shared by every request a WebSite sends. Throttled (429) requests are always retried, server errors
+ * (5xx) and dropped connections only when the method is idempotent or the request provably never reached the server.
+ * The wait between attempts honors `Retry-After` and `X-RateLimit-Next`, and otherwise grows exponentially with
+ * jitter. Once `retries` attempts or the `budget` (ms) are used up the request fails with a descriptive error.
+ *
+ * Defaults can be changed with the REQUEST_RETRIES, REQUEST_RETRY_DELAY and REQUEST_RETRY_BUDGET environment variables.
+ */
+class RetryPolicy {
+
+    /**
+     * @param options {Object} `retries` (attempts after the first one), `minDelay` and `maxDelay` for the backoff
+     *     (ms), `budget` the total time (ms) allowed for one request including waits, `factor` of the backoff
+     */
+    constructor(options = {}) {
+        this.retries = numberOption(options.retries, process.env.REQUEST_RETRIES, 5);
+        this.minDelay = numberOption(options.minDelay, process.env.REQUEST_RETRY_DELAY, 1000);
+        this.maxDelay = numberOption(options.maxDelay, null, 60000);
+        this.budget = numberOption(options.budget, process.env.REQUEST_RETRY_BUDGET, 300000);
+        this.factor = numberOption(options.factor, null, 2);
+        this._sleep = options.sleep || sleep;
+        this._now = options.now || Date.now;
+    }
+
+    /**
+     * Run `attempt` until it produces a final response
+     *
+     * @param {Object} request being sent, used to decide whether it can be repeated and for messages
+     * @param {Function} attempt returning a Promise of the response, called once per try
+     * @returns {Promise} resolving with the first non-retryable response, rejecting once the policy gives up
+     */
+    run(request, attempt) {
+        let started = this._now();
+        let tries = 0;
+
+        let next = () => {
+            tries += 1;
+            return attempt()
+                .then(response => {
+                    return this.shouldRetry(request, response) ? retry(response, null) : response;
+                }, error => {
+                    if (this.shouldRetry(request, null, error))
+                        return retry(null, error);
+                    return Promise.reject(this._giveUp(request, null, error, tries, started, false));
+                });
+        };
+
+        let retry = (response, error) => {
+            let delay = this.delay(tries, response);
+            if (tries > this.retries || this._now() - started + delay > this.budget)
+                return Promise.reject(this._giveUp(request, response, error, tries, started, true));
+            console.error('... %s for %s %s, retrying in %ss (attempt %s of %s)',
+                response ? 'HTTP ' + response.statusCode : (error && error.code) || 'no response',
+                request.method || 'GET', request.path, (delay / 1000).toFixed(1), tries + 1, this.retries + 1);
+            return this._sleep(delay).then(next);
+        };
+
+        return next();
+    }
+
+    /**
+     * Whether the outcome of one attempt warrants another one
+     */
+    shouldRetry(request, response, error) {
+        let idempotent = IDEMPOTENT_METHODS.indexOf((request.method || 'GET').toUpperCase()) >= 0;
+        if (response) {
+            // a 429 is refused before any processing, a 503 may come after a POST created something
+            if (response.statusCode === 429)
+                return true;
+            return response.statusCode >= 500 && idempotent;
+        }
+        let code = error && error.code;
+        if (NOT_SENT_ERRORS.indexOf(code) >= 0)
+            return true;
+        return idempotent && (!code || DROPPED_ERRORS.indexOf(code) >= 0);
+    }
+
+    /**
+     * Time to wait (ms) before the next attempt
+     *
+     * @param {number} tries attempts made so far
+     * @param {Object} response of the last attempt, if any
+     */
+    delay(tries, response) {
+        let retryAfter = header(response, 'retry-after');
+        if (retryAfter !== undefined) {
+            let seconds = Number(retryAfter);
+            let wait = isNaN(seconds) ? Date.parse(retryAfter) - this._now() : seconds * 1000;
+            if (!isNaN(wait))
+                return Math.max(wait, 0);
+        }
+        let next = header(response, 'x-ratelimit-next');
+        if (next !== undefined) {
+            let wait = Date.parse(next) - this._now();
+            if (!isNaN(wait))
+                return Math.max(wait, 0);
+        }
+        let backoff = Math.min(this.maxDelay, this.minDelay * Math.pow(this.factor, tries - 1));
+        // full jitter on the upper half keeps parallel clients from retrying in lockstep
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    _giveUp(request, response, error, tries, started, retried) {
+        let reason = response ? `HTTP ${response.statusCode}` : (error && (error.code || error.message)) || 'no response';
+        let message = `${request.method || 'GET'} ${request.path} failed: ${reason}`;
+        if (retried)
+            message = `Giving up on ${request.method || 'GET'} ${request.path} after ${tries} attempts ` +
+                `in ${((this._now() - started) / 1000).toFixed(1)}s: ${reason}`;
+        let failure = new Error(message);
+        failure.code = error && error.code;
+        failure.cause = error;
+        failure.response = response;
+        return failure;
+    }
+}
+
+function numberOption(value, env, fallback) {
+    if (value !== undefined && value !== null)
+        return Number(value);
+    if (env !== undefined && env !== null && env !== '')
+        return Number(env);
+    return fallback;
+}
+
+RetryPolicy.IDEMPOTENT_METHODS = IDEMPOTENT_METHODS;
+
+module.exports = RetryPolicy;
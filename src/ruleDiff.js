@@ -0,0 +1,219 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let ruleWalk = require('./ruleWalk');
+
+/**
+ * Structural comparison of rule trees. Rules are matched by name and behaviors, criteria and variables by their name
+ * rather than by position, so inserting a rule does not show up as a change of all the rules after it.
+ *
+ * Changes are reported with a path naming what changed:
+ *  - `default/Performance` a rule, by the names of the rules leading to it
+ *  - `default/Performance.sureRoute` a behavior of that rule, `.sureRoute.testObjectUrl` one of its options
+ *  - `default/Static Content[fileExtension]` a criterion, `[fileExtension].values` one of its options
+ *  - `default/Performance:criteriaMustSatisfy` an attribute of the rule itself
+ *  - `variables.PMUSER_ORIGIN`, `ruleFormat` and `comments` for the rest of the rule tree
+ * A second behavior (or rule, criterion) with the same name is suffixed `#2`, the third `#3` and so on. Changes
+ * inside a rule also carry the path of that `rule`, added, removed and moved rules the path of their parent.
+ */
+
+const RULE_ATTRIBUTES = ['criteriaMustSatisfy', 'comments', 'uuid', 'templateUuid', 'templateLink', 'criteriaLocked'];
+
+/**
+ * Compare two rule trees
+ *
+ * @param {Object} before rule tree, either as retrieved (with `rules`) or just the default rule
+ * @param {Object} after rule tree in the same form
+ * @returns {Object[]} the changes, each with `op` (added, removed, changed or moved), `kind` (rule, behavior,
+ *     criteria, option, attribute, variable), `path`, the `before` and `after` values and the `rule` they belong to
+ */
+function diffRules(before, after) {
+    let changes = [];
+    before = before || {};
+    after = after || {};
+    let beforeRule = before.rules || before;
+    let afterRule = after.rules || after;
+    if (before.rules || after.rules) {
+        ['ruleFormat', 'comments'].forEach(key => {
+            if (!same(before[key], after[key]))
+                changes.push(change('changed', 'attribute', key, before[key], after[key]));
+        });
+        diffNamed(changes, 'variable', 'variables.', '', beforeRule.variables, afterRule.variables, diffObject);
+    }
+    diffRule(changes, ruleName(beforeRule, afterRule), beforeRule, afterRule);
+    return changes;
+}
+
+/**
+ * Render changes as text, one line per change: `+` added, `-` removed, `~` changed, `>` moved
+ */
+function formatDiff(changes) {
+    const symbols = { added: '+', removed: '-', changed: '~', moved: '>' };
+    return changes.map(item => {
+        let line = `${symbols[item.op]} ${item.path}`;
+        if (item.op === 'changed')
+            line += `: ${show(item.before)} -> ${show(item.after)}`;
+        else if (item.op === 'moved')
+            line += `: position ${item.before + 1} -> ${item.after + 1}`;
+        else if (item.kind !== 'rule')
+            line += ` ${show(summary(item.kind, item.op === 'added' ? item.after : item.before))}`;
+        return line;
+    }).join('\n');
+}
+
+/**
+ * Render changes like a unified diff: a `@@ rule @@` hunk for each rule with changes, `-` lines for what the rule
+ * had before and `+` lines for what it has after. Changes outside the rules are listed first.
+ *
+ * @param {string} fromLabel name of the old rule tree for the `---` header
+ * @param {string} toLabel name of the new rule tree for the `+++` header
+ */
+function formatUnified(changes, fromLabel, toLabel) {
+    let lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+    let hunks = [];
+    changes.forEach(item => {
+        let name = item.rule || '(rule tree)';
+        let hunk = hunks.find(entry => entry.name === name);
+        if (!hunk)
+            hunks.push(hunk = { name: name, changes: [] });
+        hunk.changes.push(item);
+    });
+    hunks.forEach(hunk => {
+        lines.push(`@@ ${hunk.name} @@`);
+        hunk.changes.forEach(item => {
+            let label = item.rule ? item.path.slice(item.rule.length) : item.path;
+            if (item.op === 'moved') {
+                lines.push(`-${label} at position ${item.before + 1}`);
+                lines.push(`+${label} at position ${item.after + 1}`);
+                return;
+            }
+            if (item.op !== 'added')
+                lines.push.apply(lines, block('-', label, item.before));
+            if (item.op !== 'removed')
+                lines.push.apply(lines, block('+', label, item.after));
+        });
+    });
+    return lines.join('\n');
+}
+
+function diffRule(changes, path, before, after) {
+    let start = changes.length;
+    RULE_ATTRIBUTES.forEach(key => {
+        if (!same(before[key], after[key]))
+            changes.push(change('changed', 'attribute', `${path}:${key}`, before[key], after[key]));
+    });
+    diffObject(changes, path, before.options || {}, after.options || {});
+    diffNamed(changes, 'behavior', `${path}.`, '', before.behaviors, after.behaviors, diffItem);
+    diffNamed(changes, 'criteria', `${path}[`, ']', before.criteria, after.criteria, diffItem);
+    diffNamed(changes, 'rule', `${path}/`, '', before.children, after.children, diffRule);
+    // changes of child rules were tagged by their own diffRule, the rest belongs to this rule
+    changes.slice(start).forEach(item => {
+        if (!item.rule)
+            item.rule = path;
+    });
+}
+
+function diffItem(changes, path, before, after) {
+    diffObject(changes, path, before.options || {}, after.options || {});
+}
+
+/**
+ * Match two lists by the `name` of their entries and report added, removed and reordered entries. Entries present
+ * in both lists are compared with `compare`.
+ */
+function diffNamed(changes, kind, prefix, suffix, beforeList, afterList, compare) {
+    let beforeKeys = ruleWalk.labels(beforeList);
+    let afterKeys = ruleWalk.labels(afterList);
+    let beforeNames = beforeKeys.map(entry => entry.label);
+    let afterNames = afterKeys.map(entry => entry.label);
+
+    beforeKeys.forEach(entry => {
+        if (afterNames.indexOf(entry.label) < 0)
+            changes.push(change('removed', kind, prefix + entry.label + suffix, entry.value, undefined));
+    });
+    let common = afterNames.filter(key => beforeNames.indexOf(key) >= 0);
+    let commonBefore = beforeNames.filter(key => afterNames.indexOf(key) >= 0);
+    afterKeys.forEach((entry, index) => {
+        let path = prefix + entry.label + suffix;
+        let beforeIndex = beforeNames.indexOf(entry.label);
+        if (beforeIndex < 0) {
+            changes.push(change('added', kind, path, undefined, entry.value));
+            return;
+        }
+        let position = common.indexOf(entry.label);
+        if (commonBefore.indexOf(entry.label) !== position)
+            changes.push(change('moved', kind, path, beforeIndex, index));
+        compare(changes, path, beforeKeys[beforeIndex].value, entry.value);
+    });
+}
+
+/**
+ * Compare two option objects key by key. Nested objects are descended into, arrays are compared as a whole.
+ */
+function diffObject(changes, path, before, after) {
+    let keys = Object.keys(before);
+    Object.keys(after).forEach(key => {
+        if (keys.indexOf(key) < 0)
+            keys.push(key);
+    });
+    keys.forEach(key => {
+        let a = before[key];
+        let b = after[key];
+        if (isObject(a) && isObject(b))
+            return diffObject(changes, `${path}.${key}`, a, b);
+        if (a === undefined)
+            changes.push(change('added', 'option', `${path}.${key}`, undefined, b));
+        else if (b === undefined)
+            changes.push(change('removed', 'option', `${path}.${key}`, a, undefined));
+        else if (!same(a, b))
+            changes.push(change('changed', 'option', `${path}.${key}`, a, b));
+    });
+}
+
+function ruleName(before, after) {
+    return after.name || before.name || 'default';
+}
+
+function change(op, kind, path, before, after) {
+    return { op: op, kind: kind, path: path, before: before, after: after };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function summary(kind, value) {
+    return (kind === 'behavior' || kind === 'criteria') && value ? value.options : value;
+}
+
+function show(value) {
+    return value === undefined ? '(none)' : JSON.stringify(value);
+}
+
+// Lines of a unified diff showing a value, objects are spread over several lines
+function block(sign, label, value) {
+    let text = value === undefined ? '(none)' : JSON.stringify(value, null, 2);
+    return text.split('\n').map((line, index) => index === 0 ? `${sign}${label}: ${line}` : `${sign} ${line}`);
+}
+
+module.exports = {
+    diffRules: diffRules,
+    formatDiff: formatDiff,
+    formatUnified: formatUnified
+};
@@ -0,0 +1,384 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let errors = require('./errors');
+let ruleWalk = require('./ruleWalk');
+
+/**
+ * Editing of rule trees by path: any behavior or criterion of the rule format, and the rules themselves. Paths are
+ * the ones of the changes reported by ruleDiff:
+ *  - `default/Performance/JPEG Images` a rule, by the names of the rules leading to it
+ *  - `default/Performance.caching` a behavior of that rule, `.caching.ttl` one of its options
+ *  - `default/Static Content[fileExtension]` a criterion, `[fileExtension].values` one of its options
+ *  - `default/Performance:comments` an attribute of the rule itself
+ * A second rule, behavior or criterion with the same name is addressed with `#2`, the third with `#3` and so on.
+ * Rule names may contain dots and brackets, the path is matched against the names of the rule tree.
+ */
+
+/**
+ * Find what a path points to
+ *
+ * @param {Object} tree rule tree, either as retrieved (with `rules`) or just the default rule
+ * @param {string} path see above
+ * @returns {Object} the `rule` with its `rulePath` and `parent` rule, the `kind` (rule, behavior, criteria or
+ *     attribute), the behavior or criterion `item` with its `list` and `index`, and the `options` keys below it
+ * @throws {ValidationError} naming the part of the path which was not found and what exists there
+ */
+function resolve(tree, path) {
+    let rule = tree.rules || tree;
+    let root = rule.name || 'default';
+    if (!startsWithLabel(path, root, '/.[:'))
+        throw new errors.ValidationError(`${path} does not start with the name of the default rule, ${root}`);
+    let rulePath = root;
+    let parent = null;
+    let rest = path.substring(root.length);
+    while (rest[0] === '/') {
+        let children = ruleWalk.labels(rule.children);
+        let child = longest(children.filter(entry => startsWithLabel(rest.substring(1), entry.label, '/.[:')));
+        if (!child)
+            throw notFound(`${rulePath} has no child rule ${rest.substring(1).split(/[/.[:]/)[0]}`, 'child rules', children);
+        parent = rule;
+        rule = child.value;
+        rulePath += '/' + child.label;
+        rest = rest.substring(child.label.length + 1);
+    }
+    let target = { rule: rule, rulePath: rulePath, parent: parent, kind: 'rule', options: [] };
+    if (rest === '')
+        return target;
+    if (rest[0] === ':') {
+        target.kind = 'attribute';
+        target.options = [rest.substring(1)];
+        return target;
+    }
+    let kind = rest[0] === '.' ? 'behavior' : 'criteria';
+    let list = rule[kind === 'behavior' ? 'behaviors' : 'criteria'] || [];
+    let entries = ruleWalk.labels(list);
+    let name = rest.substring(1);
+    let entry = kind === 'behavior' ?
+        longest(entries.filter(candidate => startsWithLabel(name, candidate.label, '.'))) :
+        entries.find(candidate => name.indexOf(candidate.label + ']') === 0);
+    if (!entry) {
+        let wanted = kind === 'behavior' ? name.split('.')[0] : name.split(']')[0];
+        throw notFound(`${rulePath} has no ${kind === 'behavior' ? 'behavior' : 'criterion'} ${wanted}`,
+            kind === 'behavior' ? 'behaviors' : 'criteria', entries);
+    }
+    rest = name.substring(entry.label.length + (kind === 'behavior' ? 0 : 1));
+    if (rest !== '' && rest[0] !== '.')
+        throw new errors.ValidationError(`Unexpected "${rest}" after ${path.substring(0, path.length - rest.length)}`);
+    return Object.assign(target, {
+        kind: kind,
+        item: entry.value,
+        list: list,
+        index: list.indexOf(entry.value),
+        options: rest === '' ? [] : rest.substring(1).split('.')
+    });
+}
+
+/**
+ * Set an option of a behavior or criterion, creating the objects leading to it, all its options when the path
+ * stops at the behavior or criterion, or an attribute of a rule
+ *
+ * @returns {string} what was changed
+ */
+function set(tree, path, value) {
+    let target = resolve(tree, path);
+    if (target.kind === 'rule')
+        throw new errors.ValidationError(`${path} is a rule, give the behavior or criterion to change as in ${path}.caching.ttl`);
+    if (target.kind === 'attribute') {
+        target.rule[target.options[0]] = value;
+        return `set ${path} to ${JSON.stringify(value)}`;
+    }
+    if (target.options.length === 0) {
+        if (!value || typeof value !== 'object' || Array.isArray(value))
+            throw new errors.ValidationError(`The options of ${path} should be an object`);
+        target.item.options = value;
+        return `set the options of ${path} to ${JSON.stringify(value)}`;
+    }
+    let options = target.item.options = target.item.options || {};
+    target.options.slice(0, -1).forEach(key => {
+        if (options[key] === undefined || options[key] === null)
+            options[key] = {};
+        else if (typeof options[key] !== 'object')
+            throw new errors.ValidationError(`${key} of ${path} is not an object`);
+        options = options[key];
+    });
+    let key = target.options[target.options.length - 1];
+    let before = options[key];
+    options[key] = value;
+    return before === undefined ? `set ${path} to ${JSON.stringify(value)}` :
+        `changed ${path} from ${JSON.stringify(before)} to ${JSON.stringify(value)}`;
+}
+
+/**
+ * Remove an option, a whole behavior or criterion, or an attribute of a rule
+ *
+ * @returns {string} what was removed
+ */
+function unset(tree, path) {
+    let target = resolve(tree, path);
+    if (target.kind === 'rule')
+        throw new errors.ValidationError(`${path} is a rule, only behaviors, criteria, options and rule attributes can be removed`);
+    if (target.kind === 'attribute') {
+        if (target.rule[target.options[0]] === undefined)
+            throw new errors.ValidationError(`${target.rulePath} has no ${target.options[0]}`);
+        delete target.rule[target.options[0]];
+        return `removed ${path}`;
+    }
+    if (target.options.length === 0) {
+        target.list.splice(target.index, 1);
+        return `removed ${path}`;
+    }
+    let options = target.item.options || {};
+    target.options.slice(0, -1).forEach(key => {
+        options = options && typeof options === 'object' ? options[key] : undefined;
+    });
+    let key = target.options[target.options.length - 1];
+    if (!options || typeof options !== 'object' || options[key] === undefined)
+        throw new errors.ValidationError(`${path} is not set`);
+    delete options[key];
+    return `removed ${path}`;
+}
+
+/**
+ * Append a behavior or criterion to a rule
+ *
+ * @param {string} rulePath path of the rule
+ * @param {string} kind `behavior` or `criteria`
+ * @param {Object|string} item the behavior or criterion with its `name` and `options`, or its JSON
+ * @returns {string} what was added
+ */
+function add(tree, rulePath, kind, item) {
+    if (typeof item === 'string') {
+        try {
+            item = JSON.parse(item);
+        } catch (e) {
+            throw new errors.ValidationError(`Cannot read the ${kind === 'behavior' ? 'behavior' : 'criterion'} to add, ${e.message}`);
+        }
+    }
+    let target = resolve(tree, rulePath);
+    if (target.kind !== 'rule')
+        throw new errors.ValidationError(`${rulePath} is not a rule`);
+    if (!item || typeof item !== 'object' || Array.isArray(item) || typeof item.name !== 'string')
+        throw new errors.ValidationError(`A ${kind === 'behavior' ? 'behavior' : 'criterion'} is an object with a name and options`);
+    let key = kind === 'behavior' ? 'behaviors' : 'criteria';
+    target.rule[key] = target.rule[key] || [];
+    target.rule[key].push(Object.assign({ options: {} }, item));
+    let entry = ruleWalk.labels(target.rule[key]).pop();
+    return `added ${target.rulePath}${kind === 'behavior' ? `.${entry.label}` : `[${entry.label}]`}`;
+}
+
+/**
+ * Insert a child rule
+ *
+ * @param {string} parentPath path of the rule to add to
+ * @param {Object|string} rule the rule, or its JSON. Missing `children`, `behaviors` and `criteria` are added empty.
+ * @param {number} index position among the children of the parent, from 0, by default after the last one
+ * @returns {string} what was added
+ */
+function addRule(tree, parentPath, rule, index) {
+    if (typeof rule === 'string') {
+        try {
+            rule = JSON.parse(rule);
+        } catch (e) {
+            throw new errors.ValidationError(`Cannot read the rule to add, ${e.message}`);
+        }
+    }
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule) || typeof rule.name !== 'string')
+        throw new errors.ValidationError('A rule is an object with a name');
+    ['children', 'behaviors', 'criteria'].forEach(key => {
+        if (rule[key] !== undefined && !Array.isArray(rule[key]))
+            throw new errors.ValidationError(`${key} of rule ${rule.name} should be a list`);
+    });
+    let parent = ruleAt(tree, parentPath);
+    let children = parent.rule.children = parent.rule.children || [];
+    let position = insertAt(index, children.length, parent.rulePath);
+    children.splice(position, 0, Object.assign({ name: rule.name, children: [], behaviors: [], criteria: [] }, rule));
+    return `added ${parent.rulePath}/${labelOf(children, children[position])} at index ${position}`;
+}
+
+/**
+ * Remove a rule with its children
+ *
+ * @returns {string} what was removed
+ */
+function removeRule(tree, path) {
+    let target = ruleAt(tree, path);
+    if (!target.parent)
+        throw new errors.ValidationError('The default rule cannot be removed');
+    target.parent.children.splice(target.parent.children.indexOf(target.rule), 1);
+    return `removed ${target.rulePath}`;
+}
+
+/**
+ * Move a rule to another position among its siblings, or under another rule
+ *
+ * @param {string} toPath path of the new parent, by default the current one
+ * @param {number} index position among the children of the new parent after the move, by default the last
+ * @returns {string} what was moved
+ */
+function moveRule(tree, path, toPath, index) {
+    let target = ruleAt(tree, path);
+    if (!target.parent)
+        throw new errors.ValidationError('The default rule cannot be moved');
+    let destination = toPath ? ruleAt(tree, toPath) : { rule: target.parent, rulePath: target.rulePath.replace(/\/[^/]*$/, '') };
+    if (contains(target.rule, destination.rule))
+        throw new errors.ValidationError(`${target.rulePath} cannot be moved into itself`);
+    let siblings = target.parent.children;
+    siblings.splice(siblings.indexOf(target.rule), 1);
+    let children = destination.rule.children = destination.rule.children || [];
+    let position = insertAt(index, children.length, destination.rulePath);
+    children.splice(position, 0, target.rule);
+    return `moved ${target.rulePath} to ${destination.rulePath}/${labelOf(children, target.rule)} at index ${position}`;
+}
+
+/**
+ * Give a rule another name
+ *
+ * @returns {string} what was renamed
+ */
+function renameRule(tree, path, name) {
+    let target = ruleAt(tree, path);
+    if (!target.parent)
+        throw new errors.ValidationError('The default rule cannot be renamed');
+    if (typeof name !== 'string' || name.trim() === '')
+        throw new errors.ValidationError('A rule needs a name');
+    target.rule.name = name;
+    return `renamed ${target.rulePath} to ${name}`;
+}
+
+/**
+ * Set the comments of a rule, an empty text removes them
+ *
+ * @returns {string} what was commented
+ */
+function commentRule(tree, path, comments) {
+    let target = ruleAt(tree, path);
+    if (typeof comments !== 'string')
+        throw new errors.ValidationError('Comments of a rule are a text');
+    if (comments === '') {
+        delete target.rule.comments;
+        return `removed the comments of ${target.rulePath}`;
+    }
+    target.rule.comments = comments;
+    return `commented ${target.rulePath}`;
+}
+
+/**
+ * Apply a list of edits, in order, to a rule tree
+ *
+ * @param {Object[]} edits each with an `op`: `set` with a `path` and `value`, `unset` with a `path`, `add` with
+ *     the `path` of a rule, the `kind` (`behavior` or `criteria`) and the `value` to add, `add-rule` with the
+ *     `path` of the parent, the rule as `value` and an optional `index`, `remove-rule` with a `path`, `move-rule`
+ *     with a `path`, the path of the new parent as `to` and an `index`, `rename-rule` and `comment-rule` with a
+ *     `path` and `value`
+ * @returns {string[]} what was changed, one entry per edit
+ */
+function apply(tree, edits) {
+    return edits.map(edit => {
+        switch (edit.op) {
+            case 'set':
+                return set(tree, edit.path, edit.value);
+            case 'unset':
+                return unset(tree, edit.path);
+            case 'add':
+                return add(tree, edit.path || (tree.rules || tree).name || 'default', edit.kind, edit.value);
+            case 'add-rule':
+                return addRule(tree, edit.path || (tree.rules || tree).name || 'default', edit.value, edit.index);
+            case 'remove-rule':
+                return removeRule(tree, edit.path);
+            case 'move-rule':
+                return moveRule(tree, edit.path, edit.to, edit.index);
+            case 'rename-rule':
+                return renameRule(tree, edit.path, edit.value);
+            case 'comment-rule':
+                return commentRule(tree, edit.path, edit.value);
+            default:
+                throw new errors.ValidationError(`Unknown rule edit ${edit.op}`);
+        }
+    });
+}
+
+/**
+ * Split a `path=value` assignment. The value is read as JSON when it is valid JSON (numbers, booleans, quoted
+ * strings, lists and objects) and taken as a string otherwise.
+ *
+ * @returns {Object} the `path` and the `value`
+ */
+function parseAssignment(text) {
+    let equals = text.indexOf('=');
+    if (equals <= 0)
+        throw new errors.ValidationError(`Expected <path>=<value>, got ${text}`);
+    return { path: text.substring(0, equals), value: parseValue(text.substring(equals + 1)) };
+}
+
+function parseValue(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+function ruleAt(tree, path) {
+    let target = resolve(tree, path);
+    if (target.kind !== 'rule')
+        throw new errors.ValidationError(`${path} is not a rule`);
+    return target;
+}
+
+// Position to insert at in a list of `length` entries
+function insertAt(index, length, rulePath) {
+    if (index === undefined || index === null)
+        return length;
+    if (!Number.isInteger(Number(index)) || index < 0 || index > length)
+        throw new errors.ValidationError(`Index ${index} is out of range, ${rulePath} has ${length} child rule${length === 1 ? '' : 's'}`);
+    return Number(index);
+}
+
+function contains(rule, other) {
+    return rule === other || (rule.children || []).some(child => contains(child, other));
+}
+
+function labelOf(list, value) {
+    return ruleWalk.labels(list).find(entry => entry.value === value).label;
+}
+
+// Whether text starts with a label followed by its end or one of the separators
+function startsWithLabel(text, label, separators) {
+    return text.indexOf(label) === 0 && (text.length === label.length || separators.indexOf(text[label.length]) >= 0);
+}
+
+function longest(entries) {
+    return entries.sort((a, b) => b.label.length - a.label.length)[0];
+}
+
+function notFound(message, what, entries) {
+    let names = entries.map(entry => entry.label);
+    return new errors.ValidationError(names.length > 0 ? `${message}, its ${what}: ${names.join(', ')}` : `${message}, it has no ${what}`);
+}
+
+module.exports = {
+    resolve: resolve,
+    set: set,
+    unset: unset,
+    add: add,
+    addRule: addRule,
+    removeRule: removeRule,
+    moveRule: moveRule,
+    renameRule: renameRule,
+    commentRule: commentRule,
+    apply: apply,
+    parseAssignment: parseAssignment
+};
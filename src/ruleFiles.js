@@ -0,0 +1,229 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let fs = require('fs');
+let path = require('path');
+let untildify = require('untildify');
+let yaml = require('js-yaml');
+let errors = require('./errors');
+let ruleNormalize = require('./ruleNormalize');
+
+/**
+ * Reading and writing rule trees on disk, either as one JSON or YAML file (as retrieved from PAPI) or as a directory of
+ * snippets. A snippet directory has a `main.json` holding the rule tree with its top level rules replaced by
+ * `"#include:<file>"` references, and one file per child rule next to it: each snippet has its own child rules
+ * replaced by references the same way, down to the deepest rules. References are relative to the directory and
+ * cannot point outside of it.
+ */
+
+const MAIN_FILE = 'main.json';
+const INCLUDE = '#include:';
+const FORMATS = ['json', 'yaml'];
+
+/*
+ * YAML is read with the JSON schema of js-yaml, so that `2018-02-27` or `yes` stay the strings they are in JSON, and
+ * written with the default one, which quotes such strings for any YAML reader. Keys of rule trees are written in the
+ * order of ruleNormalize, whatever order PAPI gave them in, and long strings are not folded: a change shows as one
+ * line in a diff.
+ */
+const YAML_READ = { schema: yaml.JSON_SCHEMA };
+const YAML_WRITE = { lineWidth: -1, noRefs: true };
+
+/**
+ * Format of a file: `format` when it is given, otherwise `yaml` for the .yaml and .yml extensions and `json` for
+ * everything else
+ *
+ * @throws {ValidationError} when `format` is neither json nor yaml
+ */
+function formatOf(file, format = null) {
+    if (format) {
+        format = String(format).toLowerCase().replace(/^yml$/, 'yaml');
+        if (FORMATS.indexOf(format) < 0)
+            throw new errors.ValidationError(`Unknown format ${format}, the formats are: ${FORMATS.join(', ')}`);
+        return format;
+    }
+    return /\.ya?ml$/i.test(file || '') ? 'yaml' : 'json';
+}
+
+/**
+ * Read a rule tree from a JSON or YAML file or a snippet directory. The metadata of a file written normalized (see
+ * ruleNormalize) is read back from the file next to it.
+ *
+ * @param {string} format of the file when its extension does not tell it, see formatOf
+ * @throws {ValidationError} naming the file when a file is missing, cannot be parsed or is not a rule
+ */
+function read(source, format = null) {
+    source = untildify(source);
+    if (isDirectory(source))
+        return readSnippets(source);
+    let rules = readFile(source, source, format);
+    // a single snippet brings the rules it includes along
+    let tree = rules && (rules.rules || rules);
+    if (tree && Array.isArray(tree.children) && tree.children.some(child => typeof child === 'string'))
+        resolveIncludes(path.dirname(path.resolve(source)), tree, [path.basename(source)], []);
+    let metadata = ruleNormalize.metadataFile(source);
+    if (rules && rules.rules && fs.existsSync(metadata))
+        rules = ruleNormalize.denormalize(rules, readFile(metadata, metadata, format));
+    return rules;
+}
+
+/**
+ * Write a rule tree to a JSON or YAML file
+ *
+ * @param {string} format of the file when its extension does not tell it, see formatOf
+ */
+function write(target, rules, format = null) {
+    fs.writeFileSync(untildify(target), stringify(rules, formatOf(target, format)));
+}
+
+/**
+ * Parse the content of a rule file
+ *
+ * @param {string} name of the file, for the error
+ * @throws {ValidationError} when the text cannot be parsed
+ */
+function parse(text, format = 'json', name = 'the rules') {
+    format = formatOf(null, format);
+    try {
+        return format === 'yaml' ? yaml.safeLoad(text, Object.assign({ filename: name }, YAML_READ)) : JSON.parse(text);
+    } catch (e) {
+        throw new errors.ValidationError(`${name} is not valid ${format === 'yaml' ? 'YAML' : 'JSON'}: ${e.message}`);
+    }
+}
+
+/**
+ * Render a rule tree as the content of a rule file, JSON indented by two spaces or YAML with its keys in a canonical
+ * order (see ruleNormalize.canonical)
+ */
+function stringify(rules, format = 'json') {
+    return formatOf(null, format) === 'yaml' ? yaml.safeDump(ruleNormalize.canonical(rules), YAML_WRITE) : JSON.stringify(rules, '', 2);
+}
+
+/**
+ * Split a rule tree into a snippet directory, creating it when needed. The file of a child rule is named after the
+ * rule, prefixed with the file of its parent below the top level (`Static_Content-Images.json`).
+ *
+ * @returns {string[]} names of the files written, `main.json` first and every rule before its children
+ */
+function writeSnippets(dir, rules) {
+    dir = untildify(dir);
+    if (!fs.existsSync(dir))
+        fs.mkdirSync(dir);
+    let main = JSON.parse(JSON.stringify(rules));
+    let tree = main.rules || main;
+    let written = [MAIN_FILE];
+    let split = (rule, prefix) => {
+        if (!rule.children)
+            return;
+        rule.children = rule.children.map(child => {
+            let file = snippetName(prefix + child.name, written);
+            written.push(file);
+            split(child, file.replace(/\.json$/, '-'));
+            fs.writeFileSync(path.join(dir, file), JSON.stringify(child, '', 2));
+            return INCLUDE + file;
+        });
+    };
+    split(tree, '');
+    fs.writeFileSync(path.join(dir, MAIN_FILE), JSON.stringify(main, '', 2));
+    let stale = fs.readdirSync(dir).filter(file => /\.json$/.test(file) && written.indexOf(file) < 0);
+    if (stale.length > 0)
+        console.error('... %s no longer included, remove them if they are not used elsewhere: %s', stale.length > 1 ? 'these files are' : 'this file is', stale.join(', '));
+    return written;
+}
+
+/**
+ * Reassemble a rule tree from a snippet directory
+ *
+ * @throws {ValidationError} when a snippet is missing, invalid, outside of the directory or includes itself
+ */
+function readSnippets(dir) {
+    dir = path.resolve(untildify(dir));
+    let used = [MAIN_FILE];
+    let main = readFile(path.join(dir, MAIN_FILE), MAIN_FILE);
+    let tree = main.rules || main;
+    resolveIncludes(dir, tree, [MAIN_FILE], used);
+    let unused = fs.readdirSync(dir).filter(file => /\.json$/.test(file) && used.indexOf(file) < 0);
+    if (unused.length > 0)
+        console.error('... ignoring snippets which are not included: %s', unused.join(', '));
+    return main;
+}
+
+function resolveIncludes(dir, rule, chain, used) {
+    let where = chain[chain.length - 1];
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule) || typeof rule.name !== 'string')
+        throw new errors.ValidationError(`${where}: a rule needs an object with a name`);
+    ['behaviors', 'criteria', 'children'].forEach(key => {
+        if (rule[key] !== undefined && !Array.isArray(rule[key]))
+            throw new errors.ValidationError(`${where}: ${key} of rule ${rule.name} should be a list`);
+    });
+    rule.children = (rule.children || []).map(child => {
+        if (typeof child !== 'string')
+            return resolveIncludes(dir, child, chain, used);
+        if (child.indexOf(INCLUDE) !== 0)
+            throw new errors.ValidationError(`${where}: unexpected "${child}" in the children of ${rule.name}, includes are written "${INCLUDE}<file>"`);
+        let file = child.substring(INCLUDE.length).trim();
+        let resolved = path.resolve(dir, file);
+        let relative = path.relative(dir, resolved);
+        if (relative.indexOf('..') === 0 || path.isAbsolute(relative))
+            throw new errors.ValidationError(`${where}: ${file} is outside of the snippet directory`);
+        if (chain.indexOf(relative) >= 0)
+            throw new errors.ValidationError(`${where}: ${file} includes itself (${chain.concat(relative).join(' -> ')})`);
+        if (used.indexOf(relative) < 0)
+            used.push(relative);
+        return resolveIncludes(dir, readFile(resolved, `${relative} (included from ${where})`), chain.concat(relative), used);
+    });
+    return rule;
+}
+
+function readFile(file, name = file, format = null) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw new errors.ValidationError(`Cannot read ${name}: ${e.code === 'ENOENT' ? 'no such file' : e.message}`);
+    }
+    return parse(text, formatOf(file, format), name);
+}
+
+// File name for a rule, unique among the files already written
+function snippetName(ruleName, taken) {
+    let base = String(ruleName || 'rule').replace(/[^\w.-]+/g, '_').replace(/^[._]+|_+$/g, '') || 'rule';
+    let name = `${base}.json`;
+    // compared without case, for file systems which ignore it
+    let used = candidate => taken.some(file => file.toLowerCase() === candidate.toLowerCase());
+    for (let i = 2; used(name); i++)
+        name = `${base}_${i}.json`;
+    return name;
+}
+
+function isDirectory(file) {
+    try {
+        return fs.statSync(file).isDirectory();
+    } catch (e) {
+        return false;
+    }
+}
+
+module.exports = {
+    MAIN_FILE: MAIN_FILE,
+    FORMATS: FORMATS,
+    formatOf: formatOf,
+    read: read,
+    write: write,
+    parse: parse,
+    stringify: stringify,
+    writeSnippets: writeSnippets,
+    readSnippets: readSnippets
+};
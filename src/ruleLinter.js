@@ -0,0 +1,243 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let fs = require('fs');
+let path = require('path');
+let untildify = require('untildify');
+let errors = require('./errors');
+let ruleWalk = require('./ruleWalk');
+
+/**
+ * Best-practice checks of rule trees, beyond what the rule format schema allows. Each check has a name and a level,
+ * `error`, `warning` or `off`, which a project lint config can change:
+ *
+ *     {
+ *         "checks": {
+ *             "empty-rule": "off",
+ *             "max-depth": { "level": "error", "max": 4 },
+ *             "no-store-static": { "extensions": ["css", "js", "woff2"] }
+ *         }
+ *     }
+ *
+ * Findings name the rule, behavior or variable with the paths of ruleDiff (`default/Static Content.caching`).
+ */
+
+const CONFIG_FILE = '.akamai-property-lint.json';
+
+const STATIC_EXTENSIONS = ['css', 'js', 'jpg', 'jpeg', 'png', 'gif', 'svg', 'ico', 'webp', 'woff', 'woff2', 'ttf',
+    'eot', 'otf', 'mp4', 'pdf'];
+
+const CHECKS = {
+    'missing-cpcode': {
+        level: 'error',
+        description: 'the default rule has a cpCode behavior',
+        check: (tree, options, report) => {
+            if (!(tree.behaviors || []).some(behavior => behavior.name === 'cpCode'))
+                report(tree.name || 'default', 'the default rule has no cpCode behavior, traffic would not be reported');
+        }
+    },
+    'origin-verification': {
+        level: 'warning',
+        description: 'origins verify the certificate of the origin server',
+        check: (tree, options, report) => {
+            ruleWalk.walk(tree, (rule, rulePath) => {
+                (rule.behaviors || []).forEach((behavior, index, list) => {
+                    if (behavior.name !== 'origin' || !behavior.options || behavior.options.originType === 'NET_STORAGE')
+                        return;
+                    let mode = behavior.options.verificationMode;
+                    let where = ruleWalk.itemPath(rulePath, 'behavior', list, index);
+                    if (!mode)
+                        report(where, 'the origin has no verificationMode, its certificate is not verified');
+                    else if (mode === 'CUSTOM' && (behavior.options.customValidCnValues || []).length === 0)
+                        report(where, 'the origin verifies the certificate against no valid CN values');
+                });
+            });
+        }
+    },
+    'no-store-static': {
+        level: 'warning',
+        description: 'static content is cached',
+        check: (tree, options, report) => {
+            let extensions = options.extensions || STATIC_EXTENSIONS;
+            ruleWalk.walk(tree, (rule, rulePath) => {
+                let matched = [];
+                (rule.criteria || []).forEach(criterion => {
+                    if (criterion.name === 'fileExtension' && criterion.options && criterion.options.matchOperator !== 'IS_NOT_ONE_OF')
+                        matched = matched.concat((criterion.options.values || []).filter(value => extensions.indexOf(String(value).toLowerCase()) >= 0));
+                });
+                if (matched.length === 0)
+                    return;
+                (rule.behaviors || []).forEach((behavior, index, list) => {
+                    let how = behavior.name === 'caching' && behavior.options && behavior.options.behavior;
+                    if (how === 'NO_STORE' || how === 'BYPASS_CACHE')
+                        report(ruleWalk.itemPath(rulePath, 'behavior', list, index), `static content (${matched.join(', ')}) is not cached, caching is ${how}`);
+                });
+            });
+        }
+    },
+    'duplicate-rule-name': {
+        level: 'warning',
+        description: 'sibling rules have different names',
+        check: (tree, options, report) => {
+            ruleWalk.walk(tree, (rule, rulePath) => {
+                ruleWalk.labels(rule.children).forEach(child => {
+                    if (child.label === `${child.value.name}#2`)
+                        report(`${rulePath}/${child.label}`, `${rulePath} has more than one child rule named ${child.value.name}`);
+                });
+            });
+        }
+    },
+    'empty-rule': {
+        level: 'warning',
+        description: 'rules have behaviors or children',
+        check: (tree, options, report) => {
+            ruleWalk.walk(tree, (rule, rulePath, depth) => {
+                if (depth > 0 && (rule.behaviors || []).length === 0 && (rule.children || []).length === 0)
+                    report(rulePath, 'the rule has no behaviors and no children');
+            });
+        }
+    },
+    'unused-variable': {
+        level: 'warning',
+        description: 'declared user variables are used',
+        check: (tree, options, report) => {
+            let rules = Object.assign({}, tree, { variables: [] });
+            let text = JSON.stringify(rules);
+            (tree.variables || []).forEach(variable => {
+                let name = variable.name;
+                // read as {{user.PMUSER_X}}, written by setVariable as PMUSER_X
+                if (text.indexOf(`{{user.${name}}}`) < 0 && text.indexOf(`"${name}"`) < 0)
+                    report(`variables.${name}`, `${name} is declared but never used`);
+            });
+        }
+    },
+    'max-depth': {
+        level: 'warning',
+        max: 5,
+        description: 'rules are not nested too deep',
+        check: (tree, options, report) => {
+            ruleWalk.walk(tree, (rule, rulePath, depth) => {
+                if (depth === options.max + 1)
+                    report(rulePath, `the rule is nested ${depth} levels deep, more than ${options.max}`);
+            });
+        }
+    }
+};
+
+/**
+ * Read a lint config
+ *
+ * @param {string} file the config file, by default `.akamai-property-lint.json` in the current directory when it
+ *     exists
+ * @returns {Object} the config, empty when there is none
+ */
+function loadConfig(file) {
+    if (!file) {
+        file = path.resolve(CONFIG_FILE);
+        if (!fs.existsSync(file))
+            return {};
+    }
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(untildify(file), 'utf8'));
+    } catch (e) {
+        throw new errors.ValidationError(`Cannot read the lint config ${file}: ${e.message}`);
+    }
+    Object.keys(config.checks || {}).forEach(name => {
+        if (!CHECKS[name])
+            throw new errors.ValidationError(`Unknown check ${name} in ${file}, the checks are: ${Object.keys(CHECKS).join(', ')}`);
+    });
+    return config;
+}
+
+/**
+ * Run the checks on a rule tree
+ *
+ * @param {Object} rules rule tree, either as retrieved (with `rules`) or just the default rule
+ * @param {Object} config see loadConfig
+ * @returns {Object[]} the findings, each with the `check`, its `level`, the `path` of what was found and a `message`
+ */
+function lint(rules, config = {}) {
+    let tree = rules.rules || rules;
+    let findings = [];
+    Object.keys(CHECKS).forEach(name => {
+        let options = checkOptions(name, config);
+        if (options.level === 'off')
+            return;
+        CHECKS[name].check(tree, options, (where, message) => {
+            findings.push({ check: name, level: options.level, path: where, message: message });
+        });
+    });
+    return findings;
+}
+
+/**
+ * Render findings as text, one line per finding
+ */
+function formatText(findings) {
+    return findings.map(finding => `${finding.level === 'error' ? 'error  ' : 'warning'} ${finding.path}: ${finding.message} (${finding.check})`).join('\n');
+}
+
+/**
+ * Render findings as a JUnit report, with one test case per check which fails when it found anything
+ *
+ * @param {string} name of the test suite, usually the property or the file
+ */
+function formatJUnit(findings, name, config = {}) {
+    let checks = Object.keys(CHECKS).filter(check => checkOptions(check, config).level !== 'off');
+    let failed = checks.filter(check => findings.some(finding => finding.check === check)).length;
+    let lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="akamai property lint" tests="${checks.length}" failures="${failed}">`,
+        `  <testsuite name="${xml(name)}" tests="${checks.length}" failures="${failed}">`
+    ];
+    checks.forEach(check => {
+        let found = findings.filter(finding => finding.check === check);
+        if (found.length === 0) {
+            lines.push(`    <testcase classname="${xml(name)}" name="${check}"/>`);
+            return;
+        }
+        let summary = `${found.length} finding${found.length > 1 ? 's' : ''}: ${CHECKS[check].description}`;
+        lines.push(`    <testcase classname="${xml(name)}" name="${check}">`);
+        lines.push(`      <failure type="${found.some(finding => finding.level === 'error') ? 'error' : 'warning'}" message="${xml(summary)}">` +
+            xml(found.map(finding => `${finding.path}: ${finding.message}`).join('\n')) + '</failure>');
+        lines.push('    </testcase>');
+    });
+    lines.push('  </testsuite>', '</testsuites>');
+    return lines.join('\n');
+}
+
+function checkOptions(name, config) {
+    let configured = (config.checks || {})[name];
+    if (typeof configured === 'string')
+        configured = { level: configured };
+    let options = Object.assign({ level: CHECKS[name].level }, CHECKS[name], configured);
+    if (['error', 'warning', 'off'].indexOf(options.level) < 0)
+        throw new errors.ValidationError(`The level of ${name} should be error, warning or off, not ${options.level}`);
+    return options;
+}
+
+function xml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    CHECKS: CHECKS,
+    CONFIG_FILE: CONFIG_FILE,
+    loadConfig: loadConfig,
+    lint: lint,
+    formatText: formatText,
+    formatJUnit: formatJUnit
+};
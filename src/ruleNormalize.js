@@ -0,0 +1,116 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+/**
+ * A canonical form of retrieved rules, for keeping them in version control. Only the `rules` and the `ruleFormat` stay
+ * in the rule file; what changes with every version (`etag`, `propertyVersion`, `accountId`, the version comments...)
+ * goes to the metadata, written next to it. The keys of rules, behaviors and criteria come in a fixed order and the
+ * keys of options are sorted, while rules, behaviors, criteria and the values of list options keep their order:
+ * that order means something to PAPI.
+ *
+ * denormalize() puts the metadata back, so updating from a normalized file sends what updating from the retrieved
+ * file would have sent.
+ */
+
+// What stays in the rule file
+const RULE_FILE_KEYS = ['ruleFormat', 'rules'];
+
+// The order of the keys of a rule, the ones not listed come sorted before `children`
+const RULE_KEYS = ['name', 'comments', 'uuid', 'templateUuid', 'templateLink', 'options', 'variables',
+    'criteriaMustSatisfy', 'criteria', 'behaviors'];
+
+/**
+ * Normalize rules as retrieved
+ *
+ * @param {Object} rules as retrieved, with `rules` (or just the default rule)
+ * @returns {Object} the normalized `rules` and the `metadata` taken out of them
+ */
+function normalize(rules) {
+    if (!rules.rules)
+        return { rules: normalizeRule(rules), metadata: {} };
+    let normalized = {};
+    let metadata = {};
+    RULE_FILE_KEYS.filter(key => key in rules).forEach(key => normalized[key] = key === 'rules' ? normalizeRule(rules.rules) : rules[key]);
+    Object.keys(rules).filter(key => RULE_FILE_KEYS.indexOf(key) < 0).sort().forEach(key => metadata[key] = rules[key]);
+    return { rules: normalized, metadata: metadata };
+}
+
+/**
+ * Put the metadata of normalize() back into rules. What the rules have wins over the metadata.
+ */
+function denormalize(rules, metadata) {
+    return Object.assign({}, metadata || {}, rules);
+}
+
+/**
+ * Rules with their keys in the order of normalize(), the metadata kept in front of them sorted by name. What is not a
+ * rule tree (a list of variables...) is returned as it is.
+ */
+function canonical(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules) || !rules.rules)
+        return rules;
+    let normalized = normalize(rules);
+    return denormalize(normalized.rules, normalized.metadata);
+}
+
+/**
+ * Name of the metadata file of a rule file: `rules.meta.json` for `rules.json`
+ */
+function metadataFile(file) {
+    let match = /^(.*[^/\\])(\.[^./\\]+)$/.exec(file);
+    return match ? `${match[1]}.meta${match[2]}` : `${file}.meta`;
+}
+
+function normalizeRule(rule) {
+    let result = {};
+    let keys = Object.keys(rule);
+    RULE_KEYS.concat(keys.filter(key => RULE_KEYS.indexOf(key) < 0 && key !== 'children').sort(), ['children'])
+        .filter(key => keys.indexOf(key) >= 0)
+        .forEach(key => {
+            let value = rule[key];
+            if (key === 'children')
+                value = value.map(normalizeRule);
+            else if (key === 'behaviors' || key === 'criteria')
+                value = value.map(normalizeItem);
+            else
+                value = sortKeys(value);
+            result[key] = value;
+        });
+    return result;
+}
+
+// A behavior or a criterion: its name first
+function normalizeItem(item) {
+    let result = { name: item.name };
+    Object.keys(item).filter(key => key !== 'name').sort().forEach(key => result[key] = sortKeys(item[key]));
+    return result;
+}
+
+function sortKeys(value) {
+    if (Array.isArray(value))
+        return value.map(sortKeys);
+    if (!value || typeof value !== 'object')
+        return value;
+    let result = {};
+    Object.keys(value).sort().forEach(key => result[key] = sortKeys(value[key]));
+    return result;
+}
+
+module.exports = {
+    normalize: normalize,
+    denormalize: denormalize,
+    canonical: canonical,
+    metadataFile: metadataFile
+};
@@ -0,0 +1,98 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let errors = require('./errors');
+let ruleEdits = require('./ruleEdits');
+let ruleWalk = require('./ruleWalk');
+
+/**
+ * Finding behaviors and criteria in rule trees. A query has:
+ *  - `behavior` the name of the behavior to find
+ *  - `criteria` the name of a criterion: alone, the criteria of that name are found, with `behavior` only the
+ *    behaviors of rules under such a criterion (in the rule itself or in a rule around it)
+ *  - `options` the values the options of what is found must have, by option name (`value.id` for nested ones).
+ *    A string with `*` matches as a wildcard, and a list option matches when one of its values does.
+ *
+ * Matches are reported with the paths of ruleDiff (`default/Performance.sureRoute`, `default/Images[fileExtension]`).
+ */
+
+/**
+ * Build a query from `k=v` option filters
+ *
+ * @param {string} behavior name of the behavior, or null
+ * @param {string[]} options filters written `name=value`, the value read as JSON when it is valid JSON
+ * @param {string} criteria name of the criterion, or null
+ * @throws {ValidationError} when there is neither a behavior nor a criterion to find
+ */
+function query(behavior, options = [], criteria = null) {
+    if (!behavior && !criteria)
+        throw new errors.ValidationError('Give the behavior or the criterion to find');
+    let values = {};
+    (options || []).forEach(text => {
+        let assignment = ruleEdits.parseAssignment(text);
+        values[assignment.path] = assignment.value;
+    });
+    return { behavior: behavior || null, criteria: criteria || null, options: values };
+}
+
+/**
+ * Find what a query asks for in a rule tree
+ *
+ * @param {Object} rules rule tree, either as retrieved (with `rules`) or just the default rule
+ * @returns {Object[]} the matches, each with the `path` and the `rule` path of what was found and its `options`
+ */
+function find(rules, search) {
+    let matches = [];
+    let kind = search.behavior ? 'behavior' : 'criteria';
+    let name = search.behavior || search.criteria;
+    ruleWalk.walk(rules.rules || rules, (rule, rulePath, depth, inherited) => {
+        let criteria = inherited.concat(rule.criteria || []);
+        if (search.behavior && search.criteria && !criteria.some(criterion => criterion.name === search.criteria))
+            return;
+        let list = (kind === 'behavior' ? rule.behaviors : rule.criteria) || [];
+        list.forEach((item, index) => {
+            if (item.name !== name || !matchesOptions(item.options || {}, search.options))
+                return;
+            matches.push({
+                path: ruleWalk.itemPath(rulePath, kind, list, index),
+                rule: rulePath,
+                options: item.options || {}
+            });
+        });
+    });
+    return matches;
+}
+
+function matchesOptions(options, expected) {
+    return Object.keys(expected).every(key => {
+        let actual = key.split('.').reduce((value, part) => value === undefined || value === null ? undefined : value[part], options);
+        if (Array.isArray(actual) && !Array.isArray(expected[key]))
+            return actual.some(value => matchesValue(value, expected[key]));
+        return matchesValue(actual, expected[key]);
+    });
+}
+
+function matchesValue(actual, expected) {
+    if (typeof expected === 'string' && expected.indexOf('*') >= 0) {
+        let pattern = expected.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return actual !== undefined && actual !== null && new RegExp(`^${pattern}$`, 'i').test(String(actual));
+    }
+    return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+module.exports = {
+    query: query,
+    find: find
+};
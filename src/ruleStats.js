@@ -0,0 +1,92 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let ruleWalk = require('./ruleWalk');
+
+/**
+ * Size and complexity of a rule tree, against the limits PAPI puts on the rules of a version. PAPI refuses rules over
+ * a limit only once they are sent, check() tells before: `warning` from WARN_AT of a limit and `error` above it.
+ */
+
+// The limits of PAPI, an account may have others agreed with Akamai
+const LIMITS = {
+    rules: 1500,
+    depth: 10,
+    behaviorsPerRule: 100,
+    criteria: 1000,
+    variables: 100,
+    size: 2 * 1024 * 1024
+};
+
+const WARN_AT = 0.8;
+
+/**
+ * Measure a rule tree
+ *
+ * @param {Object} rules rule tree, either as retrieved (with `rules`) or just the default rule
+ * @returns {Object} the count of `rules`, `behaviors` and `criteria`, the `depth` of the deepest rule (0 for the
+ *     default rule alone), the most `behaviorsPerRule` with the path of that rule in `busiestRule`, the count of
+ *     `variables` and the `size` in bytes of the rules as JSON
+ */
+function measure(rules) {
+    let tree = rules.rules || rules;
+    let stats = { rules: 0, depth: 0, behaviors: 0, behaviorsPerRule: 0, busiestRule: null, criteria: 0, variables: (tree.variables || []).length };
+    ruleWalk.walk(tree, (rule, rulePath, depth) => {
+        let behaviors = (rule.behaviors || []).length;
+        stats.rules++;
+        stats.depth = Math.max(stats.depth, depth);
+        stats.behaviors += behaviors;
+        stats.criteria += (rule.criteria || []).length;
+        if (stats.busiestRule === null || behaviors > stats.behaviorsPerRule) {
+            stats.behaviorsPerRule = behaviors;
+            stats.busiestRule = rulePath;
+        }
+    });
+    stats.size = Buffer.byteLength(JSON.stringify(rules));
+    return stats;
+}
+
+/**
+ * Compare measures with the limits
+ *
+ * @param {Object} stats as measured
+ * @param {Object} limits to use instead of LIMITS, by name
+ * @returns {Object[]} for each limit its `name`, the `value` measured, the `limit` and the `level`: ok, warning or error
+ */
+function check(stats, limits = {}) {
+    limits = Object.assign({}, LIMITS, limits);
+    return Object.keys(LIMITS).map(name => {
+        let value = stats[name];
+        let limit = limits[name];
+        let level = value > limit ? 'error' : value >= limit * WARN_AT ? 'warning' : 'ok';
+        return { name: name, value: value, limit: limit, level: level };
+    });
+}
+
+/**
+ * Describe what check() found, `rules: 1400 of 1500` with the rule for `behaviorsPerRule`
+ */
+function describe(result, stats) {
+    let text = `${result.name}: ${result.value} of ${result.limit}`;
+    return result.name === 'behaviorsPerRule' && stats && stats.busiestRule ? `${text} in ${stats.busiestRule}` : text;
+}
+
+module.exports = {
+    LIMITS: LIMITS,
+    WARN_AT: WARN_AT,
+    measure: measure,
+    check: check,
+    describe: describe
+};
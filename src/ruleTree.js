@@ -0,0 +1,148 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let errors = require('./errors');
+let ruleEdits = require('./ruleEdits');
+
+/**
+ * An outline of a rule tree for reading: each rule by name, indented under its parent, with its criteria summarized
+ * (`if path matches /api/*`) and its behaviors with their main options written as grep takes them
+ * (`caching: behavior=MAX_AGE ttl=7d`).
+ */
+
+// The options shown for behaviors, the others show `enabled` or their first options
+const KEY_OPTIONS = {
+    origin: ['hostname'],
+    cpCode: ['value.id'],
+    caching: ['behavior', 'ttl'],
+    downstreamCache: ['behavior'],
+    redirect: ['responseCode', 'destinationHostname', 'destinationPath'],
+    setVariable: ['variableName', 'valueSource'],
+    modifyOutgoingRequestHeader: ['action', 'standardAddHeaderName', 'customHeaderName'],
+    modifyOutgoingResponseHeader: ['action', 'standardAddHeaderName', 'customHeaderName'],
+    rewriteUrl: ['behavior', 'targetUrl'],
+    siteShield: ['ssmap.value'],
+    cacheKeyQueryParams: ['behavior']
+};
+
+// How a match operator reads in a criterion summary, `one of` is added for several values
+const OPERATORS = {
+    IS_ONE_OF: 'is',
+    IS_NOT_ONE_OF: 'is not',
+    MATCHES_ONE_OF: 'matches',
+    DOES_NOT_MATCH_ONE_OF: 'does not match',
+    IS: 'is',
+    IS_NOT: 'is not'
+};
+
+const MAX_VALUE = 40;
+
+/**
+ * Outline a rule tree
+ *
+ * @param {Object} rules rule tree, either as retrieved (with `rules`) or just the default rule
+ * @param {Object} options `path` of the rule to start from (see ruleEdits), `depth` the levels of child rules to show
+ *     under it, all by default
+ * @returns {Object[]} the lines of the outline, each with its `depth`, its `kind` (rule, criteria, behavior, or more
+ *     for child rules left out) and its `text`
+ * @throws {ValidationError} when the path is not the one of a rule
+ */
+function outline(rules, options = {}) {
+    let tree = rules.rules || rules;
+    let start = { rule: tree, rulePath: tree.name || 'default' };
+    if (options.path) {
+        start = ruleEdits.resolve(rules, options.path);
+        if (start.kind !== 'rule')
+            throw new errors.ValidationError(`${options.path} is not a rule`);
+    }
+    let maxDepth = options.depth === undefined || options.depth === null ? Infinity : options.depth;
+    let lines = [];
+    let visit = (rule, name, depth) => {
+        lines.push({ depth: depth, kind: 'rule', text: name });
+        let operator = rule.criteriaMustSatisfy === 'any' ? 'or' : 'and';
+        (rule.criteria || []).forEach((criterion, index) =>
+            lines.push({ depth: depth + 1, kind: 'criteria', text: `${index === 0 ? 'if' : operator} ${criterionSummary(criterion)}` }));
+        (rule.behaviors || []).forEach(behavior =>
+            lines.push({ depth: depth + 1, kind: 'behavior', text: behaviorSummary(behavior) }));
+        let children = rule.children || [];
+        if (children.length > 0 && depth >= maxDepth) {
+            lines.push({ depth: depth + 1, kind: 'more', text: `... ${children.length} child rule${children.length > 1 ? 's' : ''}` });
+            return;
+        }
+        children.forEach(child => visit(child, child.name, depth + 1));
+    };
+    visit(start.rule, start.rulePath, 0);
+    return lines;
+}
+
+/**
+ * Render an outline, two spaces for each level
+ *
+ * @param {Object} styles a function by kind of line to style its text with (chalk colors for instance)
+ */
+function format(lines, styles = {}) {
+    return lines.map(line => '  '.repeat(line.depth) + (styles[line.kind] || (text => text))(line.text)).join('\n');
+}
+
+// `path matches /api/*`, `requestHeader X-Debug exists`
+function criterionSummary(criterion) {
+    let options = criterion.options || {};
+    let subject = Object.keys(options).find(key => /Name$/.test(key) && typeof options[key] === 'string');
+    let words = [criterion.name].concat(subject ? [options[subject]] : []);
+    if (!options.matchOperator)
+        return words.concat(optionSummary(options, firstOptions(options, [subject]))).join(' ');
+    let values = options.values !== undefined ? options.values : options.value;
+    let operator = OPERATORS[options.matchOperator] || options.matchOperator.toLowerCase().replace(/_/g, ' ');
+    if (/_ONE_OF$/.test(options.matchOperator) && Array.isArray(values) && values.length > 1)
+        operator += ' one of';
+    words.push(operator);
+    if (Array.isArray(values))
+        words.push(values.map(value => show(value)).join(', '));
+    else if (values !== undefined)
+        words.push(show(values));
+    return words.join(' ');
+}
+
+// `caching: behavior=MAX_AGE ttl=7d`
+function behaviorSummary(behavior) {
+    let options = behavior.options || {};
+    let keys = KEY_OPTIONS[behavior.name] || ('enabled' in options ? ['enabled'] : firstOptions(options));
+    let summary = optionSummary(options, keys);
+    return summary.length > 0 ? `${behavior.name}: ${summary.join(' ')}` : behavior.name;
+}
+
+function optionSummary(options, keys) {
+    return keys
+        .map(key => ({ key: key, value: key.split('.').reduce((value, part) => value === undefined || value === null ? undefined : value[part], options) }))
+        .filter(entry => entry.value !== undefined && entry.value !== null && entry.value !== '')
+        .map(entry => `${entry.key}=${show(entry.value)}`);
+}
+
+// The first two options with a plain value
+function firstOptions(options, skip = []) {
+    return Object.keys(options)
+        .filter(key => skip.indexOf(key) < 0 && options[key] !== null && options[key] !== '' && typeof options[key] !== 'object')
+        .slice(0, 2);
+}
+
+function show(value) {
+    let text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > MAX_VALUE ? text.substring(0, MAX_VALUE - 3) + '...' : text;
+}
+
+module.exports = {
+    outline: outline,
+    format: format
+};
@@ -0,0 +1,187 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let fs = require('fs');
+let path = require('path');
+let Ajv = require('ajv');
+let cacheDir = require('./cacheDir');
+
+/**
+ * Checks rule trees against the JSON schema PAPI publishes for each product and rule format, without sending the
+ * rules anywhere. Downloaded schemas are kept on disk so validation keeps working offline and in CI: a frozen rule
+ * format (`v2018-02-27`) never changes and is kept for good, the `latest` schema expires after `ttl` seconds
+ * (PROPERTY_SCHEMA_TTL, default one day). Schema files another user could have written are not used (see cacheDir),
+ * a planted schema would let broken rules through.
+ *
+ * Problems are reported with the JSON pointer of the offending value, as in `/rules/children/0/behaviors/1/options`.
+ */
+class RuleValidator {
+
+    /**
+     * @param options {Object} `dir` holding the schemas (PROPERTY_SCHEMA_DIR, else `~/.akamai-cli/cache/rule-schemas`,
+     *     false to keep them in memory only), `ttl` of the `latest` schema in seconds and `readOnly` to never write
+     *     the files
+     */
+    constructor(options = {}) {
+        this.dir = options.dir === false ? null : options.dir || process.env.PROPERTY_SCHEMA_DIR || cacheDir.cacheDir('rule-schemas');
+        let ttl = options.ttl !== undefined && options.ttl !== null ? options.ttl : process.env.PROPERTY_SCHEMA_TTL;
+        this.ttl = ttl === undefined || ttl === '' || isNaN(Number(ttl)) ? 86400 : Number(ttl);
+        this.readOnly = !!options.readOnly;
+        this._now = options.now || Date.now;
+        this._schemas = {};
+        this._compiled = {};
+    }
+
+    /**
+     * Path of the file caching the schema of a product and rule format
+     */
+    file(productId, ruleFormat) {
+        let name = `${productId}-${ruleFormat}.json`.replace(/[^\w.-]+/g, '_');
+        return this.dir ? path.join(this.dir, name) : name;
+    }
+
+    /**
+     * Schema from the cache
+     *
+     * @param {boolean} stale also return a `latest` schema which expired, for when a fresh one cannot be downloaded
+     * @returns {Object} the schema, or undefined when it is not cached
+     */
+    cached(productId, ruleFormat, stale = false) {
+        let file = this.file(productId, ruleFormat);
+        if (!this._schemas[file] && this.dir) {
+            if (!fs.existsSync(file))
+                return undefined;
+            if (!cacheDir.isPrivate(this.dir) || !cacheDir.isPrivate(file)) {
+                console.error('... ignoring the cached rule schema %s, it is writable by others or not owned by you', file);
+                return undefined;
+            }
+            try {
+                this._schemas[file] = {
+                    savedAt: fs.statSync(file).mtime.getTime(),
+                    schema: JSON.parse(fs.readFileSync(file, 'utf8'))
+                };
+            } catch (error) {
+                return undefined;
+            }
+        }
+        let entry = this._schemas[file];
+        if (!entry || (ruleFormat === 'latest' && !stale && this._now() - entry.savedAt > this.ttl * 1000))
+            return undefined;
+        return entry.schema;
+    }
+
+    /**
+     * Keep a downloaded schema
+     */
+    save(productId, ruleFormat, schema) {
+        let file = this.file(productId, ruleFormat);
+        this._schemas[file] = { savedAt: this._now(), schema: schema };
+        delete this._compiled[file];
+        if (this.readOnly || !this.dir)
+            return;
+        try {
+            cacheDir.ensurePrivate(this.dir);
+            fs.writeFileSync(file, JSON.stringify(schema), { mode: 0o600 });
+        } catch (error) {
+            // without the cache the schema is downloaded again next time, this must not fail the command
+            console.error('... unable to save the rule schema: %s', error.message);
+        }
+    }
+
+    /**
+     * Check a rule tree against a schema
+     *
+     * @param {Object} schema as returned by PAPI for the product and rule format of the rules
+     * @param {Object} rules the rule tree, with its `rules` and optionally the property metadata around them
+     * @param {string} key to reuse the compiled schema, usually the file of the schema
+     * @returns {Object[]} the problems, each with the `pointer` to the value and a `message`, sorted by pointer
+     */
+    validate(schema, rules, key) {
+        let validator = key && this._compiled[key];
+        if (!validator) {
+            let ajv = new Ajv({ schemaId: 'auto', allErrors: true, jsonPointers: true, unknownFormats: 'ignore', validateSchema: false });
+            ajv.addMetaSchema(require('ajv/lib/refs/json-schema-draft-04.json'));
+            validator = ajv.compile(schema);
+            if (key)
+                this._compiled[key] = validator;
+        }
+        if (validator(rules))
+            return [];
+        return prune(validator.errors, rules)
+            .map(error => ({ pointer: pointer(error), message: message(error) }))
+            .filter((problem, index, list) => list.findIndex(other => other.pointer === problem.pointer &&
+                other.message === problem.message) === index)
+            .sort((a, b) => a.pointer < b.pointer ? -1 : a.pointer > b.pointer ? 1 : 0);
+    }
+}
+
+/*
+ * Behaviors and criteria are checked against a list of alternatives, one per name. The alternatives which are for
+ * another name only add noise: drop the errors of every alternative whose `name` does not match, and the summary
+ * error of the list when a matching alternative says what is wrong.
+ */
+function prune(errors, rules) {
+    let mismatches = errors
+        .filter(error => error.keyword === 'enum' && /\/name$/.test(error.dataPath) && /\/properties\/name\/enum$/.test(error.schemaPath))
+        .map(error => ({
+            item: error.dataPath.replace(/\/name$/, ''),
+            branch: error.schemaPath.replace(/properties\/name\/enum$/, '')
+        }))
+        // a branch compiled on its own has paths relative to itself, which would match every alternative
+        .filter(mismatch => mismatch.branch !== '#/');
+    let within = (error, item) => error.dataPath === item || error.dataPath.indexOf(item + '/') === 0;
+    let kept = errors.filter(error => !mismatches.some(mismatch => within(error, mismatch.item) &&
+        error.schemaPath.indexOf(mismatch.branch) === 0));
+    return kept
+        .filter(error => !(isAlternatives(error) && kept.some(other => other !== error && !isAlternatives(other) &&
+            within(other, error.dataPath))))
+        .map(error => {
+            if (!isAlternatives(error) || !mismatches.some(mismatch => mismatch.item === error.dataPath))
+                return error;
+            let item = resolve(rules, error.dataPath) || {};
+            let kind = /\/criteria\/\d+$/.test(error.dataPath) ? 'criterion' : 'behavior';
+            return Object.assign({}, error, { message: `unknown ${kind} "${item.name}" for this product and rule format` });
+        });
+}
+
+function isAlternatives(error) {
+    return error.keyword === 'anyOf' || error.keyword === 'oneOf';
+}
+
+function message(error) {
+    switch (error.keyword) {
+        case 'additionalProperties':
+            return 'unexpected property';
+        case 'enum':
+            return `${error.message}: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+        default:
+            return error.message;
+    }
+}
+
+function pointer(error) {
+    if (error.keyword === 'additionalProperties')
+        return `${error.dataPath}/${error.params.additionalProperty.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    return error.dataPath || '/';
+}
+
+// Value at a JSON pointer
+function resolve(value, pointer) {
+    return pointer.split('/').slice(1)
+        .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((current, token) => current === undefined || current === null ? undefined : current[token], value);
+}
+
+module.exports = RuleValidator;
@@ -0,0 +1,72 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+/**
+ * Walking a rule tree with the paths of ruleDiff, ruleEdits and the reports built on them: `default/Performance` for
+ * a rule, by the names of the rules leading to it, `default/Performance.caching` for one of its behaviors and
+ * `default/Performance[fileExtension]` for one of its criteria. A second rule, behavior or criterion with the same
+ * name is labeled `#2`, the third `#3` and so on.
+ */
+
+/**
+ * Visit a rule and every rule below it, parents before their children
+ *
+ * @param {Object} rule the default rule, or the rule to start from
+ * @param {Function} visit called with each rule, its path, its depth (0 for the rule to start from) and the criteria
+ *     of the rules around it
+ * @param {string} rulePath path of the rule to start from
+ */
+function walk(rule, visit, rulePath = rule.name || 'default', depth = 0, inherited = []) {
+    visit(rule, rulePath, depth, inherited);
+    let criteria = inherited.concat(rule.criteria || []);
+    labels(rule.children).forEach(entry => walk(entry.value, visit, `${rulePath}/${entry.label}`, depth + 1, criteria));
+}
+
+/**
+ * Label the entries of a list of rules, behaviors or criteria
+ *
+ * @returns {Object[]} for each entry its `label` and the entry as `value`
+ */
+function labels(list) {
+    let seen = {};
+    return (list || []).map(value => {
+        let name = value.name || '';
+        seen[name] = (seen[name] || 0) + 1;
+        return { label: seen[name] > 1 ? `${name}#${seen[name]}` : name, value: value };
+    });
+}
+
+/**
+ * Label of the entry at an index of a list
+ */
+function label(list, index) {
+    return labels(list.slice(0, index + 1))[index].label;
+}
+
+/**
+ * Path of a behavior or criterion of a rule
+ *
+ * @param {string} kind `behavior` or `criteria`
+ */
+function itemPath(rulePath, kind, list, index) {
+    return kind === 'behavior' ? `${rulePath}.${label(list, index)}` : `${rulePath}[${label(list, index)}]`;
+}
+
+module.exports = {
+    walk: walk,
+    labels: labels,
+    label: label,
+    itemPath: itemPath
+};
@@ -0,0 +1,128 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+const RATE_WINDOW = 1000;
+
+/**
+ * Queue limiting how many requests are in flight at once (`concurrency`, REQUEST_THROTTLE, default 10) and how many
+ * are started per second (`rate`, REQUEST_RATE, default unlimited). Tasks are started in the order they were
+ * scheduled. One scheduler can be shared by several WebSite instances to apply a process-wide limit.
+ */
+class RequestScheduler {
+
+    /**
+     * @param options {Object} `concurrency`, `rate` (requests per second, 0 for no limit) and `debug` to log the queue
+     *     depth whenever a request has to wait
+     */
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, positive(options.concurrency, process.env.REQUEST_THROTTLE, 10));
+        this.rate = positive(options.rate, process.env.REQUEST_RATE, 0);
+        this.debug = !!options.debug;
+        this._now = options.now || Date.now;
+        this._active = 0;
+        this._queue = [];
+        this._started = [];
+        this._timer = null;
+    }
+
+    /**
+     * Number of tasks waiting for a slot
+     */
+    get pending() {
+        return this._queue.length;
+    }
+
+    /**
+     * Number of tasks currently running
+     */
+    get active() {
+        return this._active;
+    }
+
+    /**
+     * Run `task` once a slot is available
+     *
+     * @param {Function} task returning a Promise
+     * @param {string} label used in the debug output
+     * @returns {Promise} settling like the Promise returned by the task
+     */
+    schedule(task, label) {
+        return new Promise((resolve, reject) => {
+            this._queue.push({ task: task, label: label, resolve: resolve, reject: reject });
+            if (this.debug && (this._active >= this.concurrency || this._queue.length > 1))
+                console.error('... queued %s (%s running, %s waiting)', label || 'request', this._active, this._queue.length);
+            this._pump();
+        });
+    }
+
+    _pump() {
+        while (this._queue.length > 0 && this._active < this.concurrency) {
+            let wait = this._rateWait();
+            if (wait > 0) {
+                if (!this._timer)
+                    this._timer = setTimeout(() => {
+                        this._timer = null;
+                        this._pump();
+                    }, wait);
+                return;
+            }
+            this._start(this._queue.shift());
+        }
+    }
+
+    _rateWait() {
+        if (!this.rate)
+            return 0;
+        let now = this._now();
+        while (this._started.length > 0 && now - this._started[0] >= RATE_WINDOW)
+            this._started.shift();
+        if (this._started.length < this.rate)
+            return 0;
+        return RATE_WINDOW - (now - this._started[0]);
+    }
+
+    _start(entry) {
+        this._active += 1;
+        if (this.rate)
+            this._started.push(this._now());
+        let done = () => {
+            this._active -= 1;
+            this._pump();
+        };
+        let running;
+        try {
+            running = Promise.resolve(entry.task());
+        } catch (error) {
+            running = Promise.reject(error);
+        }
+        running.then(result => {
+            done();
+            entry.resolve(result);
+        }, error => {
+            done();
+            entry.reject(error);
+        });
+    }
+}
+
+function positive(value, env, fallback) {
+    let source = value !== undefined && value !== null ? value : env;
+    if (source === undefined || source === null || source === '')
+        return fallback;
+    let number = Number(source);
+    return isNaN(number) || number < 0 ? fallback : number;
+}
+
+module.exports = RequestScheduler;
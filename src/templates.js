@@ -0,0 +1,220 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let fs = require('fs');
+let untildify = require('untildify');
+let errors = require('./errors');
+let ruleEdits = require('./ruleEdits');
+let ruleWalk = require('./ruleWalk');
+
+/**
+ * Per-environment templating of rule files. A string in a rule file may contain `${env.name}` placeholders, which
+ * are replaced with the value of `name` from a values file (nested objects are reached with dots, as in
+ * `${env.origin.hostname}`). A string which is nothing but a placeholder takes the value with its type, so
+ * `"${env.cpcode}"` can become a number.
+ *
+ * The `{{user.PMUSER_NAME}}` variables of PAPI use another syntax and are left alone.
+ */
+
+const PLACEHOLDER = /\$\{env\.([\w.-]+)\}/g;
+const WHOLE_PLACEHOLDER = /^\$\{env\.([\w.-]+)\}$/;
+
+/**
+ * Read a values file, a JSON object
+ *
+ * @param {string|Object} values file name, or the values themselves
+ * @returns {Object} the values by name, nested objects flattened to dotted names
+ */
+function loadValues(values) {
+    if (typeof values === 'string') {
+        let file = untildify(values);
+        try {
+            values = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            throw new errors.ValidationError(`Cannot read the values in ${values}: ${e.message}`);
+        }
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values))
+        throw new errors.ValidationError('Template values should be an object of names and values');
+    return flatten(values, '', {});
+}
+
+/**
+ * Replace the placeholders of a rule tree
+ *
+ * @param {Object} rules rule tree, left untouched
+ * @param {string|Object} values file name or values (see loadValues), none means every placeholder is unresolved
+ * @returns {Object} a copy of the rule tree with the values filled in
+ * @throws {ValidationError} listing every placeholder without a value and where it is used
+ */
+function render(rules, values) {
+    let flat = values ? loadValues(values) : {};
+    let unresolved = [];
+    let result = walk(rules, '', (text, where) => {
+        let whole = text.match(WHOLE_PLACEHOLDER);
+        if (whole && flat[whole[1]] !== undefined)
+            return flat[whole[1]];
+        return text.replace(PLACEHOLDER, (placeholder, name) => {
+            if (flat[name] !== undefined)
+                return typeof flat[name] === 'string' ? flat[name] : JSON.stringify(flat[name]);
+            unresolved.push({ name: name, where: where });
+            return placeholder;
+        });
+    });
+    if (unresolved.length > 0) {
+        let names = [];
+        unresolved.forEach(item => {
+            if (names.indexOf(item.name) < 0)
+                names.push(item.name);
+        });
+        let problems = names.map(name => {
+            let uses = unresolved.filter(item => item.name === name).map(item => item.where);
+            return {
+                detail: `No value for \${env.${name}}`,
+                errorLocation: uses.slice(0, 3).join(', ') + (uses.length > 3 ? ` and ${uses.length - 3} more` : '')
+            };
+        });
+        let message = `No value for ${names.length} placeholder${names.length > 1 ? 's' : ''} of the rules` +
+            (values ? '' : ', give the values with --values');
+        throw new errors.ValidationError(message, { errors: problems });
+    }
+    return result;
+}
+
+/**
+ * The reverse of render(): put placeholders back in retrieved rules, turning them into a template. Only the options
+ * at the paths given for a value change: an option equal to the value becomes its placeholder, and a string which
+ * contains it gets the placeholder in its place. Equal values elsewhere in the rules are left alone.
+ *
+ * @param {Object} rules rule tree, left untouched
+ * @param {string|Object} values file name or values (see loadValues)
+ * @param {Object} paths for each name of a value the path of the option it goes to (see ruleEdits), or a list of
+ *     them. placeholderPaths() gives the ones of an existing template.
+ * @returns {Object} a copy of the rule tree with the placeholders
+ * @throws {ValidationError} when there are no paths, listing each path which does not exist or does not have the
+ *     value
+ */
+function templatize(rules, values, paths) {
+    let flat = loadValues(values);
+    let names = Object.keys(paths || {});
+    if (names.length === 0)
+        throw new errors.ValidationError('Give the option of each value to turn into a placeholder, as in ' +
+            'originHostname=default.origin.hostname, or retrieve into an existing template');
+    let copy = JSON.parse(JSON.stringify(rules));
+    let problems = [];
+    names.forEach(name => [].concat(paths[name]).forEach(path => {
+        let problem = putPlaceholder(copy, path, name, flat[name]);
+        if (problem)
+            problems.push({ detail: problem, errorLocation: path });
+    }));
+    if (problems.length > 0)
+        throw new errors.ValidationError(`${problems.length} placeholder${problems.length > 1 ? 's' : ''} cannot be put in the rules`,
+            { errors: problems });
+    return copy;
+}
+
+/**
+ * Where the placeholders of a template are, in the options of its behaviors and criteria
+ *
+ * @param {Object} template rule tree with placeholders
+ * @returns {Object} for each name of a value the paths of the options which use it, as templatize() takes them
+ */
+function placeholderPaths(template) {
+    let paths = {};
+    ruleWalk.walk(template.rules || template, (rule, rulePath) => {
+        ['behavior', 'criteria'].forEach(kind => {
+            let list = (kind === 'behavior' ? rule.behaviors : rule.criteria) || [];
+            list.forEach((item, index) => {
+                let itemPath = ruleWalk.itemPath(rulePath, kind, list, index);
+                walk(item.options || {}, '', (text, where) => {
+                    // the entries of lists are reached as `.0` by ruleEdits
+                    where = `${itemPath}.${where.replace(/\[(\d+)\]/g, '.$1')}`;
+                    (text.match(PLACEHOLDER) || []).forEach(placeholder => {
+                        let name = placeholder.slice('${env.'.length, -1);
+                        paths[name] = paths[name] || [];
+                        if (paths[name].indexOf(where) < 0)
+                            paths[name].push(where);
+                    });
+                    return text;
+                });
+            });
+        });
+    });
+    return paths;
+}
+
+// Put the placeholder of a value at a path, or tell why it cannot be
+function putPlaceholder(rules, path, name, value) {
+    if (value === undefined)
+        return `No value for ${name}`;
+    if (typeof value !== 'string' && typeof value !== 'number')
+        return `The value of ${name} is not a string or a number`;
+    let target;
+    try {
+        target = ruleEdits.resolve(rules, path);
+    } catch (e) {
+        if (e instanceof errors.ValidationError)
+            return e.message;
+        throw e;
+    }
+    if (target.kind !== 'behavior' && target.kind !== 'criteria' || target.options.length === 0)
+        return `${path} is not an option of a behavior or criterion`;
+    let options = target.item.options;
+    target.options.slice(0, -1).forEach(key => {
+        options = options && typeof options === 'object' ? options[key] : undefined;
+    });
+    let key = target.options[target.options.length - 1];
+    let current = options && typeof options === 'object' ? options[key] : undefined;
+    let placeholder = `\${env.${name}}`;
+    if (current === value)
+        options[key] = placeholder;
+    else if (typeof current === 'string' && typeof value === 'string' && value !== '' && current.indexOf(value) >= 0)
+        options[key] = current.split(value).join(placeholder);
+    else
+        return `${path} is ${JSON.stringify(current)}, not the value of ${name} ${JSON.stringify(value)}`;
+}
+
+// Copy a JSON value, passing strings through a function of the value and its path
+function walk(value, where, onString) {
+    if (typeof value === 'string')
+        return onString(value, where || '(root)');
+    if (Array.isArray(value))
+        return value.map((item, index) => walk(item, `${where}[${index}]`, onString));
+    if (value && typeof value === 'object') {
+        let copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = walk(value[key], where ? `${where}.${key}` : key, onString);
+        });
+        return copy;
+    }
+    return value;
+}
+
+function flatten(values, prefix, into) {
+    Object.keys(values).forEach(key => {
+        let value = values[key];
+        if (value && typeof value === 'object' && !Array.isArray(value))
+            flatten(value, `${prefix}${key}.`, into);
+        into[prefix + key] = value;
+    });
+    return into;
+}
+
+module.exports = {
+    loadValues: loadValues,
+    render: render,
+    templatize: templatize,
+    placeholderPaths: placeholderPaths
+};
@@ -0,0 +1,158 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+/**
+ * Terraform configuration for an existing property, for the akamai/akamai provider: an `akamai_property` with its
+ * hostnames, an `akamai_edge_hostname` for each edge hostname they point to and an `akamai_cp_code` for each CP code
+ * of the rules. The rules themselves go to `rules.json`, read by the property with `file()`, and `import.sh` adopts
+ * the existing objects into the Terraform state so that the first `terraform plan` shows no change.
+ */
+
+const CONFIG_FILE = 'property.tf';
+const RULES_FILE = 'rules.json';
+const IMPORT_FILE = 'import.sh';
+
+const PROVIDER = [
+    'terraform {',
+    '  required_providers {',
+    '    akamai = {',
+    '      source = "akamai/akamai"',
+    '    }',
+    '  }',
+    '}'
+].join('\n');
+
+/**
+ * Render the files of the configuration
+ *
+ * @param {Object} property the `propertyId`, `propertyName`, `contractId`, `groupId` and `productId` of the property
+ * @param {Object} rules the rules of the version to export, as retrieved
+ * @param {Object[]} hostnames of the version, as retrieved (`cnameFrom`, `cnameTo`, `edgeHostnameId`...)
+ * @param {Object[]} edgeHostnames the edge hostnames the hostnames point to, as listed by PAPI
+ * @param {Object[]} cpcodes the CP codes of the rules, as listed by PAPI
+ * @returns {Object} the content of each file by its name, and the `imports`: the `resource` and `id` of each import
+ */
+function render(property, rules, hostnames, edgeHostnames, cpcodes) {
+    let taken = [];
+    let propertyResource = `akamai_property.${resourceName(property.propertyName, taken)}`;
+    let location = {
+        contract_id: property.contractId,
+        group_id: property.groupId
+    };
+    let blocks = [];
+    let imports = [];
+    let edgeResources = {};
+
+    cpcodes.forEach(cpcode => {
+        let resource = `akamai_cp_code.${resourceName(cpcode.cpcodeName || cpcode.cpcodeId, taken)}`;
+        blocks.push(block(`resource "akamai_cp_code" "${resource.split('.')[1]}"`, Object.assign({
+            name: cpcode.cpcodeName || cpcode.cpcodeId
+        }, location, {
+            product_id: (cpcode.productIds || [])[0] || property.productId
+        })));
+        imports.push({ resource: resource, id: importId(cpcode.cpcodeId, property) });
+    });
+
+    edgeHostnames.forEach(ehn => {
+        let resource = `akamai_edge_hostname.${resourceName(ehn.edgeHostnameDomain, taken)}`;
+        edgeResources[ehn.edgeHostnameId] = resource;
+        blocks.push(block(`resource "akamai_edge_hostname" "${resource.split('.')[1]}"`, Object.assign({
+            product_id: ehn.productId || property.productId
+        }, location, {
+            edge_hostname: ehn.edgeHostnameDomain,
+            ip_behavior: ehn.ipVersionBehavior || 'IPV4'
+        })));
+        imports.push({ resource: resource, id: importId(ehn.edgeHostnameId, property) });
+    });
+
+    let hostnameBlocks = hostnames.map(host => {
+        let edge = edgeResources[host.edgeHostnameId];
+        return block('hostnames', {
+            cname_from: host.cnameFrom,
+            cname_to: edge ? reference(`${edge}.edge_hostname`) : host.cnameTo,
+            cert_provisioning_type: host.certProvisioningType || 'CPS_MANAGED'
+        }, '  ');
+    });
+    blocks.push(block(`resource "akamai_property" "${propertyResource.split('.')[1]}"`, Object.assign({
+        name: property.propertyName,
+        product_id: property.productId
+    }, location, {
+        rule_format: rules.ruleFormat || 'latest',
+        rules: reference(`file("\${path.module}/${RULES_FILE}")`)
+    }), '', hostnameBlocks));
+    imports.push({ resource: propertyResource, id: importId(property.propertyId, property) });
+
+    let files = {};
+    files[CONFIG_FILE] = [PROVIDER, block('provider "akamai"', { edgerc: '~/.edgerc' })].concat(blocks).join('\n\n') + '\n';
+    files[RULES_FILE] = JSON.stringify({ rules: rules.rules }, '', 2) + '\n';
+    files[IMPORT_FILE] = [
+        '#!/bin/sh',
+        `# Adopt ${property.propertyName} v${rules.propertyVersion} and what it uses into the Terraform state`,
+        'set -e',
+        'terraform init'
+    ].concat(imports.map(entry => `terraform import ${entry.resource} ${entry.id}`)).join('\n') + '\n';
+    return { files: files, imports: imports };
+}
+
+/**
+ * Terraform name for a resource, from the name of what it stands for, unique among the names `taken`
+ */
+function resourceName(name, taken = []) {
+    let base = String(name || 'resource').replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'resource';
+    if (!/^[A-Za-z_]/.test(base))
+        base = '_' + base;
+    let result = base;
+    for (let i = 2; taken.indexOf(result) >= 0; i++)
+        result = `${base}_${i}`;
+    taken.push(result);
+    return result;
+}
+
+// The import id the provider expects: the id of the object, its contract and its group
+function importId(id, property) {
+    return `${id},${property.contractId},${property.groupId}`;
+}
+
+// A value written as is rather than as a string
+function reference(expression) {
+    return { expression: expression };
+}
+
+function block(header, attributes, indent = '', nested = []) {
+    let keys = Object.keys(attributes);
+    let width = Math.max.apply(null, keys.map(key => key.length).concat(0));
+    let lines = [`${indent}${header} {`];
+    keys.forEach(key => {
+        let value = attributes[key];
+        let text = value && value.expression ? value.expression : hclString(value);
+        lines.push(`${indent}  ${key}${' '.repeat(width - key.length)} = ${text}`);
+    });
+    nested.forEach(text => lines.push('', text));
+    lines.push(`${indent}}`);
+    return lines.join('\n');
+}
+
+// A string in HCL: as in JSON, with template sequences escaped
+function hclString(value) {
+    return JSON.stringify(String(value)).replace(/\$\{/g, () => '$${').replace(/%\{/g, '%%{');
+}
+
+module.exports = {
+    CONFIG_FILE: CONFIG_FILE,
+    RULES_FILE: RULES_FILE,
+    IMPORT_FILE: IMPORT_FILE,
+    render: render,
+    resourceName: resourceName
+};
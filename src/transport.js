@@ -0,0 +1,72 @@
+// Copyright 2017 Akamai Technologies, Inc. All Rights Reserved
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+let EdgeGrid = require('edgegrid');
+let untildify = require('untildify');
+let credentials = require('./credentials');
+
+/**
+ * Default transport used by WebSite. Every request is signed with EdgeGrid and sent to the {OPEN} API host.
+ *
+ * Any object with a `send(request)` method returning a Promise of `{statusCode, headers, body}` can be used as a
+ * transport instead (see MockPapiServer). The request object has the `method`, `path` (including the query string),
+ * optional `headers` and `body` (object or string) properties. Network failures reject the Promise.
+ */
+class EdgeGridTransport {
+
+    /**
+     * @param auth {Object} providing the `path`, and `section` for the authentication. Alternatively, you can pass in
+     *     `clientToken`, `clientSecret`, `accessToken`, and `host` directly. Credentials set in the environment (see
+     *     credentials.fromEnvironment) are preferred over the edgerc file, unless `env` is false.
+     */
+    constructor(auth = { path: "~/.edgerc", section: "default", debug: false }) {
+        let explicit = auth.clientToken && auth.clientSecret && auth.accessToken && auth.host ? auth : null;
+        let tokens = explicit || (auth.env === false ? null : credentials.fromEnvironment(auth.section, auth.env));
+        if (tokens)
+            this._edge = new EdgeGrid(tokens.clientToken, tokens.clientSecret, tokens.accessToken, tokens.host, auth.debug);
+        else
+            this._edge = new EdgeGrid({
+                path: untildify(auth.path),
+                section: auth.section,
+                debug: auth.debug
+            });
+    }
+
+    /**
+     * The {OPEN} API host the requests are sent to
+     */
+    get host() {
+        return this._edge.config.host;
+    }
+
+    send(request) {
+        // EdgeGrid decorates the request it signs, keep the caller's copy untouched so it can be sent again
+        let signed = Object.assign({}, request);
+        if (request.headers)
+            signed.headers = Object.assign({}, request.headers);
+
+        return new Promise((resolve, reject) => {
+            this._edge.auth(signed);
+            this._edge.send((error, response) => {
+                if (error || !response)
+                    reject(error);
+                else
+                    resolve(response);
+            });
+        });
+    }
+}
+
+module.exports = EdgeGridTransport;
@@ -13,14 +13,33 @@
 // limitations under the License.
 'use strict';
 
-let EdgeGrid = require('edgegrid');
 let untildify = require('untildify');
 let md5 = require('md5');
 let fs = require('fs');
+let path = require('path');
 let tmpDir = require('os').tmpdir();
+let EdgeGridTransport = require('./transport');
+let RetryPolicy = require('./retry');
+let RequestScheduler = require('./scheduler');
+let DryRunTransport = require('./dryrun');
+let RecordingTransport = require('./recording');
+let ReplayTransport = require('./replay');
+let PropertyIndex = require('./propertyIndex');
+let RuleValidator = require('./ruleValidator');
+let ruleDiff = require('./ruleDiff');
+let formatUpgrade = require('./formatUpgrade');
+let ruleEdits = require('./ruleEdits');
+let ruleLinter = require('./ruleLinter');
+let ruleSearch = require('./ruleSearch');
+let ruleNormalize = require('./ruleNormalize');
+let ruleStats = require('./ruleStats');
+let terraform = require('./terraform');
+let ruleFiles = require('./ruleFiles');
+let templates = require('./templates');
+let errors = require('./errors');
+let PapiError = errors.PapiError;
+let ConflictError = errors.ConflictError;
 
-let concurrent_requests = 0;
-const REQUEST_THROTTLE = process.env.REQUEST_THROTTLE ? process.env.REQUEST_THROTTLE : 10;
 let cache_complete = 0;
 
 //export
@@ -51,19 +70,123 @@ class WebSite {
 
     /**
      * Default constructor. By default the `~/.edgerc` file is used for authentication, using the `[default]` section.
-     * @param auth {Object} providing the `path`, and `section` for the authentication. Alternatively, you can pass in
-     *     `clientToken`, `clientSecret`, `accessToken`, and `host` directly.
+     *
+     * @param {Object} auth the credentials and the options of the client
+     * @param {string} auth.path the edgerc file
+     * @param {string} auth.section the section of the edgerc file
+     * @param {string} auth.clientToken with `clientSecret`, `accessToken` and `host`, credentials used instead of the
+     *     edgerc file
+     * @param {Object|boolean} auth.env the environment to read `AKAMAI_*` credentials from (see
+     *     credentials.fromEnvironment), `process.env` by default, false to use the edgerc file even when they are set
+     * @param {boolean} auth.debug print the requests and responses
+     * @param {Object} auth.transport receives every request instead of the {OPEN} API, a MockPapiServer for instance
+     * @param {RetryPolicy|Object} auth.retry the retries of failed requests, or the options of a RetryPolicy
+     *     (`retries`, `minDelay`, `maxDelay`, `budget`)
+     * @param {number} auth.throttle the most requests sent at the same time
+     * @param {number} auth.rate the most requests sent per second
+     * @param {RequestScheduler} auth.scheduler limits the requests instead of `throttle` and `rate`, shared between
+     *     clients
+     * @param {boolean|number} auth.retryOnConflict re-apply rule changes which lose a race against another writer on
+     *     the fresh rules instead of failing, true for 3 attempts or the number of attempts
+     * @param {boolean} auth.dryRun make lookups as usual but only print the changes (see DryRunTransport)
+     * @param {string} auth.record a file where every request and response is saved (see RecordingTransport)
+     * @param {string} auth.replay a recorded file answering the requests instead of the {OPEN} API
+     * @param {PropertyIndex|Object|boolean} auth.index remembers property lookups between runs, a PropertyIndex, its
+     *     options (`ttl`, `dir`) or false. By default only the {OPEN} API is indexed, not a `transport` or `replay`.
+     * @param {string} auth.accountSwitchKey the account of every call which is not given an `accountKey` of its own
+     * @param {string} auth.contractId limits the property lookups to one contract
+     * @param {string} auth.groupId limits the property lookups to one group
+     * @param {RuleValidator|Object} auth.schemas checks rule files against the JSON schema of their product and rule
+     *     format before they are sent (see validate), a RuleValidator or its options (`dir`, `ttl`)
+     * @param {boolean} auth.validate false to send rules without checking their schema and limits
+     * @param {boolean} auth.create skip retrieving the newest rule format when the client starts
      */
     constructor(auth = { path: "~/.edgerc", section: "default", debug: false, default: true}) {
 
-        if (auth.clientToken && auth.clientSecret && auth.accessToken && auth.host)
-            this._edge = new EdgeGrid(auth.clientToken, auth.clientSecret, auth.accessToken, auth.host, auth.debug);
+        this._transport = auth.transport || (auth.replay ? new ReplayTransport(auth.replay) : new EdgeGridTransport(auth));
+        // the host of the credentials, before recording or dry runs wrap the transport
+        let host = this._transport.host;
+        if (auth.record)
+            this._transport = new RecordingTransport(this._transport, auth.record);
+        if (auth.dryRun)
+            this._transport = new DryRunTransport(this._transport);
+        this._retryPolicy = auth.retry instanceof RetryPolicy ? auth.retry : new RetryPolicy(auth.retry);
+        this._scheduler = auth.scheduler || new RequestScheduler({
+            concurrency: auth.throttle,
+            rate: auth.rate,
+            debug: auth.debug
+        });
+        this._retryOnConflict = auth.retryOnConflict === true ? 3 : Number(auth.retryOnConflict) || 0;
+        if (auth.index instanceof PropertyIndex)
+            this._index = auth.index;
+        else if (auth.index === false || (!auth.index && (auth.transport || auth.replay)))
+            this._index = null;
         else
-            this._edge = new EdgeGrid({
-                path: untildify(auth.path),
-                section: auth.section,
-                debug: auth.debug
-            });
+            this._index = new PropertyIndex(Object.assign({ host: host, section: auth.section, readOnly: auth.dryRun }, auth.index));
+        if (auth.schemas instanceof RuleValidator)
+            this._ruleValidator = auth.schemas;
+        else
+            // schemas of a mock or a recording are not the real ones, keep them out of the shared cache
+            this._ruleValidator = new RuleValidator(Object.assign({ dir: auth.transport || auth.replay ? false : undefined }, auth.schemas));
+        this._validateRules = auth.validate !== false;
+        this._resetCaches();
+        this._accountSwitchKey = auth.accountSwitchKey || "";
+        this._contractId = auth.contractId;
+        this._groupId = auth.groupId;
+        this._clients = {};
+        if (auth.create) {
+            this._initComplete = true;
+        }
+    }
+
+    /**
+     * WebSite bound to another account. The returned object shares the transport, retries, throttling and index of
+     * this one but has its own property caches, so calls for different accounts can run concurrently on one WebSite.
+     * Clients are created once per account switch key and reused.
+     *
+     * @param {string} accountSwitchKey account to act on, an empty key for the account of the credentials
+     * @returns {WebSite} this object when the key is already the one in use
+     */
+    forAccount(accountSwitchKey) {
+        accountSwitchKey = accountSwitchKey || "";
+        if (accountSwitchKey === this._accountSwitchKey)
+            return this;
+        if (!this._clients[accountSwitchKey])
+            this._clients[accountSwitchKey] = this.withContext({ accountSwitchKey: accountSwitchKey });
+        return this._clients[accountSwitchKey];
+    }
+
+    /**
+     * WebSite derived from this one with a fixed call context. Nothing in the context changes after the client is
+     * created, in-flight calls of one client are never affected by calls made through another.
+     *
+     * @param {Object} context `accountSwitchKey`, `contractId` and `groupId` limiting the property lookups and used
+     *     as defaults when creating properties, `retryOnConflict` and `dryRun`. Omitted entries are inherited.
+     * @returns {WebSite}
+     */
+    withContext(context = {}) {
+        let client = Object.create(this);
+        client._clients = {};
+        if (context.accountSwitchKey !== undefined && (context.accountSwitchKey || "") !== this._accountSwitchKey) {
+            client._accountSwitchKey = context.accountSwitchKey || "";
+            client._resetCaches();
+        }
+        if (context.contractId !== undefined)
+            client._contractId = context.contractId;
+        if (context.groupId !== undefined)
+            client._groupId = context.groupId;
+        if (context.retryOnConflict !== undefined)
+            client._retryOnConflict = context.retryOnConflict === true ? 3 : Number(context.retryOnConflict) || 0;
+        if (context.dryRun && !(this._transport instanceof DryRunTransport))
+            client._transport = new DryRunTransport(this._transport);
+        return client;
+    }
+
+    _isOtherAccount(accountKey) {
+        return !!accountKey && accountKey !== this._accountSwitchKey;
+    }
+
+    _resetCaches() {
         this._propertyById = {};
         this._propertyByName = {};
         this._propertyByHost = {};
@@ -72,10 +195,6 @@ class WebSite {
         this._propertyHostnameList = {};
         this._edgeHostnames = [];
         this._newestRulesFormat = "";
-        this._accountSwitchKey = "";
-        if (auth.create) {
-            this._initComplete = true;
-        }
     }
 
     _init() {
@@ -157,9 +276,10 @@ class WebSite {
             };
             request.path += this._buildAccountSwitchKeyQuery();
 
-            this._edge.auth(request);
-
-            this._edge.send(function (data, response) {
+            this._send(request, function (error, response) {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response && response.statusCode >= 200 && response.statusCode < 400) {
                     let parsed = JSON.parse(response.body);
                     resolve(parsed);
@@ -167,9 +287,9 @@ class WebSite {
                     console.error('... your client credentials have no access to this group, skipping {%s : %s}', contractId, groupId);
                     resolve(null);
                 } else {
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            });
+            }).catch(reject);
         });
     }
 
@@ -209,7 +329,7 @@ class WebSite {
             })
             .then(version => {
                 if (!version) {
-                    return Promise.reject("Unable to find requested version")
+                    return Promise.reject(new errors.NotFoundError(`Unable to find version ${srcVersion} of ${srcProperty}`))
                 }
                 cloneFrom.version = version;
                 return new Promise((resolve, reject) => {
@@ -221,9 +341,10 @@ class WebSite {
                         followRedirect: false
                     };
                     request.path += this._buildAccountSwitchKeyQuery();
-                    this._edge.auth(request);
-
-                    this._edge.send(function (data, response) {
+                    this._send(request, function (error, response) {
+                        if (!response) {
+                            return reject(error);
+                        }
                         if (response && response.statusCode >= 200 && response.statusCode < 400) {
                             let parsed = JSON.parse(response.body);
                             cloneFrom.cloneFromVersionEtag = parsed.versions.items[0]["etag"];
@@ -231,9 +352,9 @@ class WebSite {
                             cloneFrom.ruleFormat = parsed.versions.items[0]["ruleFormat"]
                             resolve(cloneFrom);
                         } else {
-                            reject(response);
+                            reject(PapiError.fromResponse(response, request));
                         }
-                    });
+                    }).catch(reject);
                 })
             })
             .then(cloneFrom => {
@@ -245,17 +366,18 @@ class WebSite {
                         followRedirect: false
                     };
                     request.path += this._buildAccountSwitchKeyQuery();
-                    this._edge.auth(request);
-
-                    this._edge.send(function (data, response) {
+                    this._send(request, function (error, response) {
+                        if (!response) {
+                            return reject(error);
+                        }
                         if (response && response.statusCode >= 200 && response.statusCode < 400) {
                             let parsed = JSON.parse(response.body);
                             cloneFrom.rules = parsed;
                             resolve(cloneFrom);
                         } else {
-                            reject(response);
+                            reject(PapiError.fromResponse(response, request));
                         }
-                    });
+                    }).catch(reject);
                 })
             })
             .then(cloneFrom => {
@@ -268,7 +390,7 @@ class WebSite {
             })
     };
 
-    _getGroupList(fallThrough = false) {
+    _getGroupList() {
         return new Promise((resolve, reject) => {
             console.error('... retrieving list of Group Ids');
 
@@ -279,21 +401,17 @@ class WebSite {
                 followAllRedirects: false
             };
             request.path += this._buildAccountSwitchKeyQuery(true);
-            this._edge.auth(request);
-
-            this._edge.send(function (data, response) {
-                if (!response && fallThrough) {
+            this._send(request, function (error, response) {
+                if (!response) {
                     console.error("... No response from server for groups")
-                    reject();
-                } else if (!response) {
-                    return this._getGroupList(1)
+                    reject(error);
                 } else if (response && response.statusCode >= 200 && response.statusCode < 400) {
                     let parsed = JSON.parse(response.body);
                     resolve(parsed);
                 } else {
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            });
+            }).catch(reject);
         });
     };
 
@@ -326,9 +444,7 @@ class WebSite {
                             followRedirect: false
                         };
                         request.path += this._buildAccountSwitchKeyQuery();
-                        this._edge.auth(request);
-
-                        this._edge.send((data, response) => {
+                        this._send(request, (error, response) => {
                             if ((response == false) || (response == undefined)) {
                                 console.error("... No response from server for " + propertyId + ", skipping")
                                 resolve(propertyId);
@@ -344,9 +460,9 @@ class WebSite {
                                 console.error("... No permissions for property " + propertyId)
                                 resolve(propertyId)
                             } else {
-                                reject(response);
+                                reject(PapiError.fromResponse(response, request));
                             }
-                        })
+                        }).catch(reject)
                     }
                 });
             });
@@ -363,9 +479,10 @@ class WebSite {
                 followAllRedirects: false
             };
             request.path += this._buildAccountSwitchKeyQuery();
-            this._edge.auth(request);
-
-            this._edge.send(function (data, response) {
+            this._send(request, function (error, response) {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response && response.statusCode >= 200 && response.statusCode < 400) {
                     let parsed = JSON.parse(response.body);
                                         
@@ -405,17 +522,17 @@ class WebSite {
                     if(productInfo){
                         resolve(productInfo);
                     }else{
-                        reject(`Unable to find the Product '${ productId }' in this group/contract.`);
+                        reject(new errors.NotFoundError(`Unable to find the Product '${ productId }' in this group/contract.`));
                     }
                 } else if (response.statusCode == 403) {
                     console.error('... your credentials do not have permission for this group, skipping  {%s : %s}', contractId, groupId);
                     resolve(null);
                 } else {
                     console.error("Unable to find a delivery product in this group/contract.  Please open an issue if you wish to add one.")
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
                 resolve(productInfo);
-            });
+            }).catch(reject);
         });
     };
 
@@ -430,22 +547,23 @@ class WebSite {
             };
             request.path += this._buildAccountSwitchKeyQuery(true);
 
-            this._edge.auth(request);
-            this._edge.send(function (data, response) {
+            this._send(request, function (error, response) {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response && response.statusCode >= 200 && response.statusCode < 400) {
                     let parsed = JSON.parse(response.body);
                     resolve(parsed);
-                } else if(response.statusCode === 403){
-                    console.error('... your client credentials have no access to this group, skipping {%s : %s}', contractId, groupId);
-                    reject(null);
                 } else {
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            })
+            }).catch(reject)
         })
     }
 
     _listProperties(groupId, contractId){
+        groupId = groupId || this._groupId;
+        contractId = contractId || this._contractId;
         return new Promise((resolve, reject) => {
             console.error('... retrieving list of Properties for this group and contract');
             let request = {
@@ -454,15 +572,17 @@ class WebSite {
             }
             request.path += this._buildAccountSwitchKeyQuery();
 
-            this._edge.auth(request);
-            this._edge.send(function(data, response) {
+            this._send(request, function (error, response) {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response && response.statusCode >= 200 && response.statusCode < 400) {
                     let parsed = JSON.parse(response.body);
                     resolve(parsed);
                 } else {
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            })
+            }).catch(reject)
         })
     }
 
@@ -476,25 +596,30 @@ class WebSite {
             };
             request.path += this._buildAccountSwitchKeyQuery();
 
-            this._edge.auth(request);
-            this._edge.send(function (data, response) {
+            this._send(request, function (error, response) {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response && response.statusCode >= 200 && response.statusCode < 400) {
                     let parsed = JSON.parse(response.body);
                     resolve(parsed.properties.items[0]);
+                } else {
+                    reject(PapiError.fromResponse(response, request));
                 }
-            })
+            }).catch(reject)
         })
     }
 
 
     _findProperty(propertyLookup) {
         let searchObj = {"propertyName" : propertyLookup}
+        let byName = false;
         return this._searchByValue(searchObj)
         .then(data => {
             if (!data || data.versions.items.length == 0) {
                 return Promise.resolve()
             }
-            let versions = data.versions.items;
+            byName = true;
             return Promise.resolve(data);
         })
         .then(data => {
@@ -528,10 +653,40 @@ class WebSite {
             }
             this._propertyByName[property.propertyName] = property;
             this._propertyById[property.propertyId] = property;
+            if (this._index) {
+                this._index.add(this._accountSwitchKey, property, byName ? [] : [propertyLookup]);
+            }
             return Promise.resolve(property);
         })
     }
 
+    /**
+     * Read the metadata of a property found in the index. Should the entry be outdated (property deleted, moved or
+     * no longer accessible) it is dropped and the property searched for again. Other failures, an outage or a
+     * timeout, say nothing about the entry: they are passed on and the entry kept.
+     */
+    _getIndexedProperty(indexed, propertyLookup) {
+        let outdated = () => {
+            console.error('... index entry for %s is outdated', propertyLookup);
+            this._index.remove(this._accountSwitchKey, indexed.propertyId);
+            if (propertyLookup.match("prp_"))
+                return Promise.reject(new errors.NotFoundError(`Cannot find property:  ${propertyLookup}`));
+            return this._findProperty(propertyLookup);
+        };
+        return this._getPropertyMetadata(indexed.propertyId, indexed.groupId, indexed.contractId)
+            .then(property => {
+                if (!property)
+                    return outdated();
+                this._propertyByName[property.propertyName] = property;
+                this._propertyById[property.propertyId] = property;
+                return property;
+            }, error => {
+                if (error.status === 403 || error.status === 404)
+                    return outdated();
+                throw error;
+            });
+    }
+
     _getProperty(propertyLookup, hostnameEnvironment = LATEST_VERSION.STAGING) {
         if (propertyLookup && propertyLookup.groupId && propertyLookup.propertyId && propertyLookup.contractId)
             return Promise.resolve(propertyLookup);
@@ -547,6 +702,10 @@ class WebSite {
                 if (prop) {
                     return Promise.resolve(prop);
                 }
+                let indexed = this._index && this._index.find(this._accountSwitchKey, propertyLookup);
+                if (indexed) {
+                    return this._getIndexedProperty(indexed, propertyLookup);
+                }
                 if (!propertyLookup.match("prp_")) {
                     return this._findProperty(propertyLookup)
                 } else {
@@ -563,7 +722,7 @@ class WebSite {
                 }
 
                 if (!prop)
-                    return Promise.reject(`Cannot find property:  ${propertyLookup}`);
+                    return Promise.reject(new errors.NotFoundError(`Cannot find property:  ${propertyLookup}`));
                 return Promise.resolve(prop);
             });
     };
@@ -576,9 +735,7 @@ class WebSite {
             };
             request.path += this._buildAccountSwitchKeyQuery();
 
-            this._edge.auth(request);
-
-            this._edge.send(function (data, response) {
+            this._send(request, function (error, response) {
                 if (!response) {
                     console.error("... No response from server for edgehostname list")
                     resolve();
@@ -589,9 +746,32 @@ class WebSite {
                     console.error('... no permissions, ignoring  {%s : %s}', contractId, groupId);
                     resolve(null);
                 } else {
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            });
+            }).catch(reject);
+        });
+    };
+
+    _retrieveCpcodes(contractId, groupId) {
+        return new Promise((resolve, reject) => {
+            let request = {
+                method: 'GET',
+                path: `/papi/v1/cpcodes?contractId=${contractId}&groupId=${groupId}`,
+            };
+            request.path += this._buildAccountSwitchKeyQuery();
+
+            this._send(request, function (error, response) {
+                if (!response) {
+                    return reject(error);
+                } else if (response.statusCode >= 200 && response.statusCode < 400) {
+                    resolve(JSON.parse(response.body));
+                } else if (response.statusCode == 403) {
+                    console.error('... no permissions, ignoring  {%s : %s}', contractId, groupId);
+                    resolve(null);
+                } else {
+                    reject(PapiError.fromResponse(response, request));
+                }
+            }).catch(reject);
         });
     };
 
@@ -603,23 +783,23 @@ class WebSite {
             };
             request.path += this._buildAccountSwitchKeyQuery();
 
-            this._edge.auth(request);
-            this._edge.send((data, response) => {
+            this._send(request, (error, response) => {
                 if (!response) {
                     console.error("... No response from server for property list")
+                    reject(error);
                 } else if (response && response.statusCode >= 200 && response.statusCode < 400) {
                     let parsed = JSON.parse(response.body);
                     resolve(parsed);
                 } else if (response.statusCode == 403) {
                     resolve(null);
                 } else {
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            });
+            }).catch(reject);
         });
     };
 
-    _getPropertyRules(propertyLookup, version, fallThrough = false) {
+    _getPropertyRules(propertyLookup, version) {
         return this._getProperty(propertyLookup)
             .then((data) => {
                 //set basic data like contract & group
@@ -641,19 +821,16 @@ class WebSite {
                     };
                     request.path += this._buildAccountSwitchKeyQuery();
 
-                    this._edge.auth(request);
-
-                    this._edge.send(function (data, response) {
-                        if (!response && fallThrough) {
-                            reject("No response from server.  Please retry.");
-                        } 
-                        if (response && response.statusCode >= 200 && response.statusCode < 400) {
+                    this._send(request, function (error, response) {
+                        if (!response) {
+                            reject(error);
+                        } else if (response.statusCode >= 200 && response.statusCode < 400) {
                             let parsed = JSON.parse(response.body);
                             resolve(parsed);
                         } else {
-                            reject(response);
+                            reject(PapiError.fromResponse(response, request));
                         }
-                    })
+                    }).catch(reject)
                 })
             });
     }
@@ -688,23 +865,24 @@ class WebSite {
                     };
                     request.path += this._buildAccountSwitchKeyQuery();
 
-                    this._edge.auth(request);
-
-                    this._edge.send(function (data, response) {
+                    this._send(request, function (error, response) {
+                        if (!response) {
+                            return reject(error);
+                        }
                         if (/application\/json/.test(response.headers['content-type'])) {
                             let parsed = JSON.parse(response.body);
                             let matches = !parsed.versionLink ? null : parsed.versionLink.match('versions/(\\d+)?');
                             if (!matches) {
-                                reject(Error('cannot find version'));
+                                reject(new PapiError('cannot find version', { method: request.method, path: request.path, body: parsed }));
                             } else {
                                 resolve(matches[1]);
                             }
                         } else if (response.statusCode === 404) {
                             resolve({});
                         } else {
-                            reject(response);
+                            reject(PapiError.fromResponse(response, request));
                         }
-                    });
+                    }).catch(reject);
                 });
             });
     };
@@ -730,17 +908,18 @@ class WebSite {
             };
             request.path += this._buildAccountSwitchKeyQuery();
 
-            this._edge.auth(request);
-
-            this._edge.send(function (data, response) {
+            this._send(request, function (error, response) {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response.statusCode >= 200 && response.statusCode < 400) {
                     let propertyResponse = JSON.parse(response.body);
                     response = propertyResponse["propertyLink"].split('?')[0].split("/")[4];
                     resolve(response);
                 } else {
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            });
+            }).catch(reject);
         })
     }
 
@@ -795,7 +974,7 @@ class WebSite {
         })
     }
 
-    _updatePropertyRules(propertyLookup, version, rules) {
+    _updatePropertyRules(propertyLookup, version, rules, etag = null) {
         return this._getProperty(propertyLookup)
             .then((data) => {
                 //set basic data like contract & group
@@ -823,21 +1002,55 @@ class WebSite {
                         }
                     }
                     request.path += this._buildAccountSwitchKeyQuery();
-                    
-                    this._edge.auth(request);
+                    if (etag) {
+                        request.headers = Object.assign({}, request.headers, {'If-Match': `"${etag}"`});
+                    }
 
-                    this._edge.send(function (data, response) {
+                    this._send(request, function (error, response) {
+                        if (!response) {
+                            return reject(error);
+                        }
                         if (response.statusCode >= 200 && response.statusCode < 400) {
                             let newRules = JSON.parse(response.body);
                             resolve(newRules);
                         } else {
-                            reject(response.body);
+                            reject(PapiError.fromResponse(response, request));
                         }
-                    });
+                    }).catch(reject);
                 });
             });
     };
 
+    /**
+     * Read the rules of a version, let `change` edit them (in place, or by returning new rules) and write them back
+     * with the etag that was read as `If-Match`. A concurrent update of the same version makes PAPI answer 412: the
+     * change is then applied again on freshly read rules if `retryOnConflict` allows it, otherwise the update fails
+     * with a ConflictError.
+     *
+     * @private
+     */
+    _modifyPropertyRules(propertyLookup, version, change, attempt = 1) {
+        return this._getPropertyRules(propertyLookup, version)
+            .then(rules => {
+                return Promise.resolve(change(rules))
+                    .then(changed => this._updatePropertyRules(propertyLookup, version, changed || rules, rules.etag));
+            })
+            .catch(error => {
+                if (!(error instanceof ConflictError) || error.status != 412) {
+                    return Promise.reject(error);
+                }
+                let name = propertyLookup.propertyName || propertyLookup;
+                if (attempt <= this._retryOnConflict) {
+                    console.error(`... ${name} v${version} was changed by someone else, applying the change again`);
+                    return this._modifyPropertyRules(propertyLookup, version, change, attempt + 1);
+                }
+                return Promise.reject(new ConflictError(
+                    `${name} v${version} was changed by someone else since its rules were read. ` +
+                    `Run the command again or use --retry-on-conflict to apply the change on the latest rules`,
+                    error));
+            });
+    }
+
     _createCPCode(groupId, contractId, productId, configName, newcpcodename = null) {
         return new Promise((resolve, reject) => {
             console.error('Creating new CPCode for property');
@@ -852,9 +1065,10 @@ class WebSite {
             };
             request.path += this._buildAccountSwitchKeyQuery();
 
-            this._edge.auth(request);
-
-            this._edge.send((data, response) => {
+            this._send(request, (error, response) => {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response.statusCode >= 200 && response.statusCode < 400) {
                     let parsed = JSON.parse(response.body);
                     let cpcode = parsed["cpcodeLink"].split('?')[0].split("/")[4].split('_')[1];
@@ -863,7 +1077,7 @@ class WebSite {
                     console.error("Unable to create new cpcode.  Likely this means you have reached the limit of new cpcodes for this contract.  Please try the request again with a specified cpcode");
                     resolve();
                 }
-            });
+            }).catch(reject);
         });
     }
 
@@ -902,17 +1116,18 @@ class WebSite {
             };
             request.path += this._buildAccountSwitchKeyQuery();
 
-            this._edge.auth(request);
-
-            this._edge.send((data, response) => {
+            this._send(request, (error, response) => {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response.statusCode >= 200 && response.statusCode < 400) {
                     let hostnameResponse = JSON.parse(response.body);
                     response = hostnameResponse["edgeHostnameLink"].split('?')[0].split("/")[4];
                     resolve(response);
                 } else {
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            })
+            }).catch(reject)
         })
     }
 
@@ -957,16 +1172,19 @@ class WebSite {
                     };
                     request.path += this._buildAccountSwitchKeyQuery();
 
-                    this._edge.auth(request);
-
-                    this._edge.send(function (data, response) {
-                        if (response.statusCode >= 200 && response.statusCode <= 400) {
+                    this._send(request, function (error, response) {
+                        if (!response) {
+                            return reject(error);
+                        }
+                        // unacknowledged warnings come back as a 400 and are handled below
+                        if ((response.statusCode >= 200 && response.statusCode < 400) ||
+                            (response.statusCode == 400 && /warnings-not-acknowledged/.test(response.body))) {
                             let parsed = JSON.parse(response.body);
                             resolve(parsed);
                         } else {
-                            reject(response.body);
+                            reject(PapiError.fromResponse(response, request));
                         }
-                    });
+                    }).catch(reject);
                 });
             })
             .then(body => {
@@ -988,7 +1206,7 @@ class WebSite {
                         let matches = !body.activationLink ? null : body.activationLink.match('activations/([a-z0-9_]+)\\b');
 
                         if (!matches) {
-                            reject(body);
+                            reject(new PapiError(`No activation link returned for ${propertyLookup} v${versionId}`, { body: body }));
                         } else {
                             resolve(matches[1])
                         }
@@ -1027,18 +1245,16 @@ class WebSite {
                     };
                     request.path += this._buildAccountSwitchKeyQuery();
 
-                    this._edge.auth(request);
-
-                    this._edge.send(function (data, response) {
+                    this._send(request, function (error, response) {
                         if (!response) {
-                            reject();
+                            return reject(error);
                         }
                         if (response.statusCode >= 200 && response.statusCode <= 400) {
                             let parsed = JSON.parse(response.body);
                             let matches = !parsed.activationLink ? null : parsed.activationLink.match('activations/([a-z0-9_]+)\\b');
 
                             if (!matches) {
-                                reject(parsed);
+                                reject(PapiError.fromProblem(parsed, request, response.statusCode));
                             } else {
                                 resolve(matches[1])
                             }
@@ -1049,9 +1265,9 @@ class WebSite {
                             console.error(response.body.match(/Property not active in ((STAGING)|(PRODUCTION))/)[0])
                             resolve();
                         } else {
-                            reject(response.body);
+                            reject(PapiError.fromResponse(response, request));
                         }
-                    });
+                    }).catch(reject);
                 });
             })
     }
@@ -1071,26 +1287,17 @@ class WebSite {
                     };
                     request.path += this._buildAccountSwitchKeyQuery();
 
-                    this._edge.auth(request);
-
-                    this._edge.send(function (data, response) {
+                    this._send(request, function (error, response) {
+                        if (!response) {
+                            return reject(error);
+                        }
                         if (response.statusCode === 200 && /application\/json/.test(response.headers['content-type'])) {
                             let parsed = JSON.parse(response.body);
                             resolve(parsed);
-                        }
-                        if (response.statusCode === 500) {
-                            console.error('Activation caused a 500 response. Retrying...')
-                            resolve({
-                                activations: {
-                                    items: [{
-                                        status: 'PENDING'
-                                    }]
-                                }
-                            });
                         } else {
-                            reject(response);
+                            reject(PapiError.fromResponse(response, request));
                         }
-                    });
+                    }).catch(reject);
                 })
             })
             .then(data => {
@@ -1106,7 +1313,8 @@ class WebSite {
                         return this._pollActivation(propertyLookup, activationID);
                     });
                 } else {
-                    return active ? Promise.resolve(true) : Promise.reject(data);
+                    let status = data.activations.items.map(item => item.status).join(', ');
+                    return active ? Promise.resolve(true) : Promise.reject(new PapiError(`Activation ${activationID} ended with status ${status}`, { body: data }));
                 }
 
             });
@@ -1122,21 +1330,22 @@ class WebSite {
             };
             request.path += this._buildAccountSwitchKeyQuery(true);
 
-            this._edge.auth(request);
-
-            this._edge.send((data, response) => {
+            this._send(request, (error, response) => {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response.statusCode >= 200 && response.statusCode < 400) {
                     let parsed = JSON.parse(response.body);
                     resolve(parsed);
                 } else {
-                    reject("Unable to access user administration.  Please ensure your credentials allow user admin access.");
+                    reject(PapiError.fromResponse(response, request, "Unable to access user administration.  Please ensure your credentials allow user admin access."));
                 }
-            });
+            }).catch(reject);
         });
     }
 
 
-    _moveProperty(propertyLookup, destGroup, fallThrough = false) {
+    _moveProperty(propertyLookup, destGroup) {
         let sourceGroup, propertyId, accountId, propertyName;
 
         if (destGroup.match("grp_")) {
@@ -1164,7 +1373,7 @@ class WebSite {
                 }
 
                 if (!assetId) {
-                    return Promise.reject("No matching property found");
+                    return Promise.reject(new errors.NotFoundError(`No matching property found for ${propertyName} in user administration`));
                 }
                 return new Promise((resolve, reject) => {
                     let moveData = {
@@ -1179,22 +1388,18 @@ class WebSite {
                     };
                     request.path += this._buildAccountSwitchKeyQuery(true);
 
-                    this._edge.auth(request);
-
-                    this._edge.send(function (data, response) {
-                        if (!response && fallthrough) {
-                            reject();
-                        } else if (!response) {
-                            return this._moveProperty(propertyLookup, destGroup, 1);
+                    this._send(request, function (error, response) {
+                        if (!response) {
+                            reject(error);
                         } else if (response.statusCode == 204) {
                             console.error("Successfully moved " + propertyName + " to group " + destGroup)
                             resolve();
                         } else if (response.statusCode >= 200 && response.statusCode <= 400) {
                             resolve(response.body);
                         } else {
-                            reject(response.body);
+                            reject(PapiError.fromResponse(response, request));
                         }
-                    })
+                    }).catch(reject)
                 })
             });
     }
@@ -1207,15 +1412,16 @@ class WebSite {
             }
             request.path += this._buildAccountSwitchKeyQuery();
 
-            this._edge.auth(request);
-            this._edge.send((data, response) => {
-                let parsed = JSON.parse(response.body);
+            this._send(request, (error, response) => {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response.statusCode >= 200 && response.statusCode < 400) {
-                    resolve(parsed);
+                    resolve(JSON.parse(response.body));
                 } else {
-                    reject(parsed);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            })
+            }).catch(reject)
         })
     }
 
@@ -1241,7 +1447,7 @@ class WebSite {
                 property = this._propertyById[propertyId];
                 version = version || property.latestVersion;
                 if (!edgeHostnameId) {
-                    return Promise.reject("\n\nNo edgehostnames found for property.  Please specify edgehostname.\n\n")
+                    return Promise.reject(new errors.ValidationError("No edgehostnames found for property.  Please specify edgehostname."))
                  }
             })
             .then(() => {
@@ -1303,17 +1509,19 @@ class WebSite {
                     }
                     request.path += this._buildAccountSwitchKeyQuery();
                     
-                    this._edge.auth(request);
-                    this._edge.send((data, response) => {
+                    this._send(request, (error, response) => {
+                        if (!response) {
+                            return reject(error);
+                        }
                         if (response.statusCode >= 200 && response.statusCode < 400) {
                             response = JSON.parse(response.body);
                             resolve(response);
                             } else if (response.statusCode == 400 || response.statusCode == 403) {
-                                reject("Unable to assign hostname.  Please try to add the hostname in 30 minutes using the --addhosts flag.")
+                                reject(PapiError.fromResponse(response, request, "Unable to assign hostname.  Please try to add the hostname in 30 minutes using the --addhosts flag."))
                         } else {
-                            reject(response);
+                            reject(PapiError.fromResponse(response, request));
                         }
-                    })
+                    }).catch(reject)
                 })
                 })
     }
@@ -1329,6 +1537,8 @@ class WebSite {
      * @param {object} data which is the output from getGroupList
      */
     _getContractAndGroup(data, contractId, groupId) {
+        contractId = contractId || this._contractId;
+        groupId = groupId || this._groupId;
         if (contractId && (!contractId.match("ctr_"))) {
             contractId = "ctr_" + contractId;
         }
@@ -1346,7 +1556,7 @@ class WebSite {
                     resolve(data);
                 }
             });
-            reject("Group/Contract combination doesn't exist");
+            reject(new errors.NotFoundError("Group/Contract combination doesn't exist"));
         })
     }
 
@@ -1422,7 +1632,8 @@ class WebSite {
      * @returns {Promise} the {object} of Property as the {TResult}
      */
     lookupPropertyIdFromHost(hostname, env = LATEST_VERSION.PRODUCTION, accountKey) {
-        this._accountSwitchKey = accountKey;
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).lookupPropertyIdFromHost(...arguments);
         return this._getProperty(hostname, env);
     }
 
@@ -1434,15 +1645,17 @@ class WebSite {
             }
             request.path += this._buildAccountSwitchKeyQuery();
 
-            this._edge.auth(request);
-            this._edge.send((data, response) => {
+            this._send(request, (error, response) => {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response.statusCode >= 200 && response.statusCode < 400) {
                     response = JSON.parse(response.body);
                     resolve(response);
                 } else {
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            })
+            }).catch(reject)
         })
 
     }
@@ -1458,15 +1671,17 @@ class WebSite {
             }
             request.path += this._buildAccountSwitchKeyQuery(true);
 
-            this._edge.auth(request);
-            this._edge.send((data, response) => {
+            this._send(request, (error, response) => {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response.statusCode >= 200 && response.statusCode < 400) {
                     response = JSON.parse(response.body);
                     resolve(response);
                 } else {
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            })
+            }).catch(reject)
         })
     }
 
@@ -1478,15 +1693,17 @@ class WebSite {
             }
             request.path += this._buildAccountSwitchKeyQuery(true);
 
-            this._edge.auth(request);
-            this._edge.send((data, response) => {
+            this._send(request, (error, response) => {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response.statusCode >= 200 && response.statusCode < 400) {
                     response = JSON.parse(response.body);
                     resolve(response);
                 } else {
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            })
+            }).catch(reject)
         })
     }
 
@@ -1498,25 +1715,64 @@ class WebSite {
             }
             request.path += this._buildAccountSwitchKeyQuery(true);
 
-            this._edge.auth(request);
-            this._edge.send((data, response) => {
+            this._send(request, (error, response) => {
+                if (!response) {
+                    return reject(error);
+                }
                 if (response.statusCode >= 200 && response.statusCode < 400) {
                     response = JSON.parse(response.body);
                     resolve(response);
                 } else {
-                    reject(response);
+                    reject(PapiError.fromResponse(response, request));
                 }
-            })
+            }).catch(reject)
         })
     }
     
+    /**
+     * Send a request through the configured transport, retrying transient failures according to the retry policy.
+     * Every attempt waits for a slot from the request scheduler. The callback follows the EdgeGrid convention of
+     * `(error, response)`, where `response` is undefined when the request could not be completed.
+     *
+     * @param {Object} request with the `method`, `path`, optional `headers` and `body`
+     * @param {Function} callback called once
+     * @returns {Promise} rejected with what the callback throws (a body which is not JSON...), for the caller to pass
+     *     on to its own promise
+     * @private
+     */
+    _send(request, callback) {
+        let label = `${request.method || 'GET'} ${request.path}`;
+        return this._retryPolicy.run(request, () => this._scheduler.schedule(() => this._transport.send(request), label))
+            .then(response => {
+                this._updateIndex(request, response);
+                return { response: response };
+            }, error => ({ error: PapiError.fromFailure(error, request) }))
+            .then(result => callback(result.error || null, result.response));
+    }
+
+    /**
+     * Drop index entries made outdated by our own changes: deleted properties, changed hostnames and moves
+     * @private
+     */
+    _updateIndex(request, response) {
+        let method = (request.method || 'GET').toUpperCase();
+        if (!this._index || method === 'GET' || response.statusCode >= 400)
+            return;
+        let matches = request.path.match(/^\/papi\/v1\/properties\/(prp_\w+)/);
+        if (matches && (method === 'DELETE' || /\/hostnames/.test(request.path)))
+            this._index.remove(this._accountSwitchKey, matches[1]);
+        else if (/^\/user-admin\//.test(request.path))
+            this._index.clear(this._accountSwitchKey);
+    }
+
     _buildAccountSwitchKeyQuery(firstQueryParam = false) {
         return this._accountSwitchKey ? ( ( firstQueryParam ? `?` : "&" ) + `accountSwitchKey=${this._accountSwitchKey}` ) : "";
     }
     
     searchProperties(searchString, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).searchProperties(...arguments);
         let searchObj = {"propertyName" : searchString};
-        this._accountSwitchKey = accountKey;
         return this._searchByValue(searchObj)
             .then(result => {
                 return result;
@@ -1524,7 +1780,8 @@ class WebSite {
     }
 
     listProperties(groupId, contractId, accountKey) {
-        this._accountSwitchKey = accountKey;
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).listProperties(...arguments);
         return this._listProperties(groupId, contractId)
         .then(result => {
             return result;
@@ -1532,7 +1789,8 @@ class WebSite {
     }
 
     listPropertiesToFile(groupId, contractId, toFile, accountKey) {
-        this._accountSwitchKey = accountKey;
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).listPropertiesToFile(...arguments);
         return this._listProperties(groupId, contractId)
         .then(result => {
             return new Promise((resolve, reject) => {
@@ -1546,8 +1804,208 @@ class WebSite {
         })
     }
 
+    /**
+     * Search the rules of every property of the selected groups for a behavior or criterion (see ruleSearch). The
+     * properties are read through the request scheduler, so `throttle` and `rate` apply. A property which cannot be
+     * read is reported as skipped rather than failing the search.
+     *
+     * @param {Object} search the query, see ruleSearch.query
+     * @param {number} versionLookup LATEST_VERSION.LATEST, STAGING or PRODUCTION, the properties without such a
+     *     version are left out
+     * @param {string[]} groups ids or names of the groups to search, by default every group (of the contract and
+     *     group given to the constructor, if any)
+     * @returns {Promise} with the number of `properties` searched, the `found` properties (`propertyName`,
+     *     `propertyId`, `propertyVersion` and the `matches`) and the `skipped` ones with the `error`
+     */
+    grep(search, versionLookup = LATEST_VERSION.LATEST, groups = null, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).grep(...arguments);
+        let result = { properties: 0, found: [], skipped: [] };
+        let wanted = (groups || []).map(String);
+        let selected = item => wanted.length === 0 ? !this._groupId || this._groupId === item.groupId
+            : wanted.some(group => group === item.groupId || 'grp_' + group === item.groupId || group === item.groupName);
+        return this._getGroupList()
+            .then(data => {
+                let locations = [];
+                ((data.groups && data.groups.items) || []).filter(selected).forEach(item => {
+                    (item.contractIds || []).forEach(contractId => {
+                        if (!this._contractId || this._contractId === contractId)
+                            locations.push({ contractId: contractId, groupId: item.groupId });
+                    });
+                });
+                if (locations.length === 0)
+                    return Promise.reject(new errors.ValidationError(`No group to search` +
+                        (wanted.length > 0 ? `, none is named ${wanted.join(', ')}` : '')));
+                console.error('... searching the properties of %s groups', locations.length);
+                return Promise.all(locations.map(location => this._getPropertyList(location.contractId, location.groupId)));
+            })
+            .then(lists => {
+                let properties = [];
+                lists.forEach(list => {
+                    ((list && list.properties && list.properties.items) || []).forEach(property => {
+                        if (!properties.some(other => other.propertyId === property.propertyId))
+                            properties.push(property);
+                    });
+                });
+                let version = property => versionLookup > 0 ? versionLookup : WebSite._getLatestVersion(property, versionLookup);
+                properties = properties.filter(version);
+                result.properties = properties.length;
+                return Promise.all(properties.map(property => {
+                    return this._getPropertyRules(property, version(property))
+                        .then(rules => {
+                            let matches = ruleSearch.find(rules, search);
+                            if (matches.length > 0)
+                                result.found.push({
+                                    propertyName: property.propertyName,
+                                    propertyId: property.propertyId,
+                                    propertyVersion: version(property),
+                                    matches: matches
+                                });
+                        }, error => {
+                            result.skipped.push({ propertyName: property.propertyName, propertyId: property.propertyId, error: error.message });
+                        });
+                }));
+            })
+            .then(() => {
+                let byName = (a, b) => a.propertyName < b.propertyName ? -1 : a.propertyName > b.propertyName ? 1 : 0;
+                result.found.sort(byName);
+                result.skipped.sort(byName);
+                return result;
+            });
+    }
+
+    /**
+     * Rebuild the property index from scratch with every property of every group and the hostnames of their latest
+     * version, for instance after many properties were changed outside of this tool
+     *
+     * @returns {Promise} with the summary of the new index (see PropertyIndex#stats)
+     */
+    rebuildIndex(accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).rebuildIndex(...arguments);
+        if (!this._index)
+            return Promise.reject(new errors.ValidationError('The property index is disabled'));
+        return this._initPropertyCache()
+            .then(() => {
+                let properties = Object.keys(this._propertyById).map(propertyId => this._propertyById[propertyId]);
+                console.error('... retrieving hostnames of %s properties', properties.length);
+                return Promise.all(properties.map(property => {
+                    return this._getHostnameList(property, LATEST_VERSION.LATEST)
+                        .then(list => ({
+                            property: property,
+                            hostnames: list && list.hostnames ? list.hostnames.items.map(host => host.cnameFrom) : []
+                        }));
+                }));
+            })
+            .then(entries => {
+                this._index.rebuild(this._accountSwitchKey, entries);
+                return this._index.stats(this._accountSwitchKey);
+            });
+    }
+
+    /**
+     * @returns {Promise} with the summary of the property index (see PropertyIndex#stats), null when it is disabled
+     */
+    indexStats(accountKey) {
+        return Promise.resolve(this._index ? this._index.stats(accountKey || this._accountSwitchKey) : null);
+    }
+
+    /**
+     * Probe what the credentials can do, with read requests only. PAPI read access is tested by listing the groups,
+     * write access by reading the access level the API client has to PAPI from the Identity and Access Management
+     * API, and user admin access by listing the properties of the first group.
+     *
+     * @returns {Promise} with `clockSkew` (seconds the {OPEN} API clock is ahead of ours, null when unknown),
+     *     `accountId`, `groups` and `papiRead`, `papiWrite`, `userAdmin` results each with `ok`, `status` and
+     *     `detail`, or null when they could not be checked. `ok` is null when the access level is unknown, for
+     *     instance when the credentials cannot use the Identity and Access Management API.
+     */
+    checkAccess(accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).checkAccess(...arguments);
+        let report = { clockSkew: null, accountId: null, groups: [], papiRead: null, papiWrite: null, userAdmin: null };
+        let started = Date.now();
+        let groupsRequest = { method: 'GET', path: '/papi/v1/groups' + this._buildAccountSwitchKeyQuery(true) };
+        return this._probe(groupsRequest, status => status < 300)
+            .then(result => {
+                report.papiRead = result.check;
+                let date = result.response && result.response.headers && (result.response.headers.date || result.response.headers.Date);
+                if (date && !isNaN(Date.parse(date)))
+                    report.clockSkew = Math.round((Date.parse(date) - (started + Date.now()) / 2) / 1000);
+                if (!result.check.ok)
+                    return report;
+                let data = JSON.parse(result.response.body);
+                report.accountId = data.accountId;
+                report.groups = (data.groups.items || []).map(item => ({
+                    groupId: item.groupId,
+                    groupName: item.groupName,
+                    contractIds: item.contractIds || []
+                }));
+                let group = report.groups.find(item => item.contractIds.length > 0);
+                if (!group)
+                    return report;
+                let writeRequest = {
+                    method: 'GET',
+                    path: '/identity-management/v3/api-clients/self' + this._buildAccountSwitchKeyQuery(true)
+                };
+                let adminRequest = {
+                    method: 'GET',
+                    path: `/user-admin/v1/accounts/${(data.accountId || '').replace(/^act_/, '')}/groups/${group.groupId.replace(/^grp_/, '')}/properties` + this._buildAccountSwitchKeyQuery(true)
+                };
+                return Promise.all([
+                    this._probe(writeRequest, status => status < 300),
+                    this._probe(adminRequest, status => status < 300)
+                ]).then(results => {
+                    report.papiWrite = WebSite._papiWriteAccess(results[0]);
+                    report.userAdmin = results[1].check;
+                    return report;
+                });
+            });
+    }
+
+    /**
+     * Write access to PAPI from the API client read from the Identity and Access Management API
+     * @private
+     */
+    static _papiWriteAccess(result) {
+        let unknown = detail => ({ ok: null, status: result.check.status, detail: detail });
+        if (!result.check.ok)
+            return unknown(`the API client cannot be read: ${result.check.detail}`);
+        let client = JSON.parse(result.response.body);
+        let access = client.apiAccess || client;
+        let papi = (access.apis || []).find(api => /\bPAPI\b|Property Manager/i.test(api.apiName || ''));
+        if (!papi)
+            return access.allAccessibleApis ? unknown('the API client has every API, at levels not listed') :
+                { ok: false, status: result.check.status, detail: 'the API client has no access to PAPI' };
+        let ok = papi.accessLevel === 'READ-WRITE';
+        return { ok: ok, status: result.check.status, detail: ok ? null : `the API client has ${papi.accessLevel} access to PAPI` };
+    }
+
+    /**
+     * Send a request which is allowed to fail, `accepted(status)` tells whether the response means access
+     * @private
+     */
+    _probe(request, accepted) {
+        return new Promise((resolve, reject) => {
+            this._send(request, (error, response) => {
+                if (!response)
+                    return resolve({ check: { ok: false, status: null, detail: error.message } });
+                let ok = accepted(response.statusCode);
+                resolve({
+                    response: response,
+                    check: {
+                        ok: ok,
+                        status: response.statusCode,
+                        detail: ok ? null : PapiError.fromResponse(response, request).message
+                    }
+                });
+            }).catch(reject);
+        });
+    }
+
     retrieveGroups(accountKey) {
-        this._accountSwitchKey = accountKey;
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).retrieveGroups(...arguments);
         return this._getGroupList()
             .then(result => {
                return Promise.resolve(result.groups.items)
@@ -1555,8 +2013,9 @@ class WebSite {
     }
 
     retrieveFormats(latest=false, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).retrieveFormats(...arguments);
         let latestRule;
-        this._accountSwitchKey = accountKey;
         return this._retrieveFormats()
             .then(result => {
                 if (!latest) {
@@ -1585,8 +2044,9 @@ class WebSite {
          * @returns {Promise} with the property rules as the {TResult}
          */
     retrieve(propertyLookup, versionLookup = LATEST_VERSION.LATEST, hostnames=false, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).retrieve(...arguments);
         let propertyId;
-        this._accountSwitchKey = accountKey;
         return this._getProperty(propertyLookup)
             .then(property => {
                 if (!hostnames) {
@@ -1607,20 +2067,36 @@ class WebSite {
    * @param {string} propertyLookup either colloquial host name (www.example.com) or canonical PropertyId (prp_123456).
    *     If the host name is moving between property configurations, use lookupPropertyIdFromHost()
    * @param {number} versionLookup specify the version or use LATEST_VERSION.PRODUCTION / STAGING / latest
+   * @param {string} format `json` or `yaml`, by default the one of the extension of `toFile` (see ruleFiles.formatOf)
+   * @param {boolean} normalize write the rules normalized, their metadata to the file named by
+   *     ruleNormalize.metadataFile() (see ruleNormalize). ruleFiles.read() and updateFromFile() read it back.
+   * @param {Object} placeholders the options to turn the `values` back into placeholders at (see
+   *     templates.templatize), by default the ones of the template `toFile` already is
    * @returns {Promise} with the property rules as the {TResult}
    */
 
-    retrieveToFile(propertyLookup, toFile, versionLookup = LATEST_VERSION.LATEST, accountKey) {
-        this._accountSwitchKey = accountKey;
+    retrieveToFile(propertyLookup, toFile, versionLookup = LATEST_VERSION.LATEST, accountKey, values = null, format = null, normalize = false, placeholders = null) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).retrieveToFile(...arguments);
         return this.retrieve(propertyLookup, versionLookup, false, this._accountSwitchKey)
             .then(data => {
+                if (values)
+                    data = this._templatize(data, values, placeholders, toFile);
                 console.error(`Writing ${propertyLookup} rules to ${toFile}`);
+                format = ruleFiles.formatOf(toFile, format);
+                let output = data;
+                if (normalize) {
+                    let normalized = ruleNormalize.normalize(data);
+                    output = normalized.rules;
+                    if (toFile !== '-')
+                        ruleFiles.write(ruleNormalize.metadataFile(untildify(toFile)), normalized.metadata, format);
+                }
                 if (toFile === '-') {
-                    console.log(JSON.stringify(data));
+                    console.log(format === 'yaml' ? ruleFiles.stringify(output, format) : JSON.stringify(output));
                     return Promise.resolve(data);
                 } else {
                     return new Promise((resolve, reject) => {
-                        fs.writeFile(untildify(toFile), JSON.stringify(data, '', 2), (err) => {
+                        fs.writeFile(untildify(toFile), ruleFiles.stringify(output, format), (err) => {
                             if (err)
                                 reject(err);
                             else
@@ -1631,12 +2107,45 @@ class WebSite {
             });
     }
 
+    /**
+     * Retrieve the rules of a property into a snippet directory, one file for each rule included from `main.json` or
+     * from the file of its parent (see ruleFiles). updateFromFile() and createFromFile() read the directory back.
+     *
+     * @param {string} propertyLookup either colloquial host name (www.example.com) or canonical PropertyId (prp_123456)
+     * @param {string} dir directory for the snippets, created when it does not exist
+     * @param {number} versionLookup specify the version or use LATEST_VERSION.PRODUCTION / STAGING / latest
+     * @param {string|Object} values turn the values of an environment back into placeholders (see templates)
+     * @param {Object} placeholders the options to put the placeholders at (see templates.templatize), by default the
+     *     ones of the template `dir` already has
+     * @returns {Promise} with the property rules as the {TResult}
+     */
+    retrieveToSnippets(propertyLookup, dir, versionLookup = LATEST_VERSION.LATEST, accountKey, values = null, placeholders = null) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).retrieveToSnippets(...arguments);
+        return this.retrieve(propertyLookup, versionLookup, false, this._accountSwitchKey)
+            .then(data => {
+                if (values)
+                    data = this._templatize(data, values, placeholders, dir);
+                let files = ruleFiles.writeSnippets(dir, data);
+                console.error(`Wrote ${propertyLookup} rules to ${files.length} files in ${dir}`);
+                return data;
+            });
+    }
+
+    // Put placeholders back in retrieved rules, where the template about to be overwritten has them unless told where
+    _templatize(rules, values, placeholders, target) {
+        if (!placeholders && target !== '-' && fs.existsSync(untildify(target)))
+            placeholders = templates.placeholderPaths(ruleFiles.read(target));
+        return templates.templatize(rules, values, placeholders);
+    }
+
     /**
      * Retrieve the rule format for a given property at the specified version.
      */
 
     retrievePropertyRuleFormat(propertyLookup, versionLookup = LATEST_VERSION.LATEST, accountKey) {
-        this._accountSwitchKey = accountKey;
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).retrievePropertyRuleFormat(...arguments);
         return this.retrieve(propertyLookup, versionLookup, false, this._accountSwitchKey)
             .then(data => {
                 console.log(JSON.stringify(data.ruleFormat));
@@ -1644,8 +2153,332 @@ class WebSite {
             });
     }
 
+    /**
+     * Compare the rules of two property versions, of the same or of two different properties, by rule names,
+     * behaviors and criteria (see ruleDiff.diffRules)
+     *
+     * @param {string} fromProperty property holding the version to compare from
+     * @param {number} fromVersion specify the version or use LATEST_VERSION.PRODUCTION / STAGING / latest
+     * @param {string|Object} to property holding the version to compare to, or a rule tree (as retrieved) such as
+     *     the content of a rules file. Defaults to `fromProperty`.
+     * @param {number} toVersion version of `to` when it is a property
+     * @returns {Promise} with `from` and `to` (`propertyName`, `propertyVersion` and `ruleFormat`) and `changes`
+     */
+    diff(fromProperty, fromVersion = LATEST_VERSION.PRODUCTION, to = null, toVersion = LATEST_VERSION.LATEST, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).diff(...arguments);
+        let fromRules;
+        return this._getVersionRules(fromProperty, fromVersion)
+            .then(rules => {
+                fromRules = rules;
+                if (to && typeof to === 'object')
+                    return to;
+                return this._getVersionRules(to || fromProperty, toVersion);
+            })
+            .then(toRules => {
+                let describe = rules => ({
+                    propertyName: rules.propertyName,
+                    propertyVersion: rules.propertyVersion,
+                    ruleFormat: rules.ruleFormat
+                });
+                return {
+                    from: describe(fromRules),
+                    to: describe(toRules),
+                    changes: ruleDiff.diffRules(fromRules, toRules)
+                };
+            });
+    }
+
+    /**
+     * Write a Terraform configuration adopting a property version: the `akamai_property`, `akamai_edge_hostname` and
+     * `akamai_cp_code` resources, the rules they use and a script importing the existing objects (see terraform)
+     *
+     * @param {string} propertyLookup either colloquial host name (www.example.com) or canonical PropertyId (prp_123456).
+     * @param {string} dir directory for the files, created when it does not exist
+     * @param {number} versionLookup specify the version or use LATEST_VERSION.PRODUCTION / STAGING / latest
+     * @returns {Promise} with the `propertyName`, `propertyVersion`, the `files` written and the `imports`
+     */
+    exportTerraform(propertyLookup, dir, versionLookup = LATEST_VERSION.LATEST, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).exportTerraform(...arguments);
+        let property, rules, hostnames, edgeHostnames;
+        return this._getProperty(propertyLookup)
+            .then(data => {
+                property = Object.assign({}, data);
+                return this._getVersionRules(property, versionLookup);
+            })
+            .then(data => {
+                rules = data;
+                return this._getHostnameList(property.propertyId, rules.propertyVersion);
+            })
+            .then(data => {
+                hostnames = data && data.hostnames ? data.hostnames.items : [];
+                return this._getRulesProduct(rules, property);
+            })
+            .then(productId => {
+                property.productId = productId;
+                return this._retrieveEdgeHostnames(property.contractId, property.groupId);
+            })
+            .then(data => {
+                let known = data && data.edgeHostnames ? data.edgeHostnames.items : [];
+                edgeHostnames = [];
+                hostnames.filter(host => host.edgeHostnameId).forEach(host => {
+                    if (edgeHostnames.some(ehn => ehn.edgeHostnameId === host.edgeHostnameId))
+                        return;
+                    let ehn = known.find(item => item.edgeHostnameId === host.edgeHostnameId);
+                    edgeHostnames.push(ehn || { edgeHostnameId: host.edgeHostnameId, edgeHostnameDomain: host.cnameTo });
+                });
+                return this._retrieveCpcodes(property.contractId, property.groupId);
+            })
+            .then(data => {
+                let known = data && data.cpcodes ? data.cpcodes.items : [];
+                let cpcodes = [];
+                JSON.stringify(rules.rules, (key, value) => {
+                    if (value && value.name === 'cpCode' && value.options && value.options.value && value.options.value.id) {
+                        let cpcodeId = 'cpc_' + String(value.options.value.id).replace(/^cpc_/, '');
+                        if (!cpcodes.some(cpcode => cpcode.cpcodeId === cpcodeId))
+                            cpcodes.push(known.find(item => item.cpcodeId === cpcodeId) ||
+                                { cpcodeId: cpcodeId, cpcodeName: value.options.value.name });
+                    }
+                    return value;
+                });
+                let result = terraform.render(property, rules, hostnames, edgeHostnames, cpcodes);
+                dir = untildify(dir);
+                if (!fs.existsSync(dir))
+                    fs.mkdirSync(dir);
+                let files = Object.keys(result.files);
+                files.forEach(file => {
+                    console.error(`Writing ${path.join(dir, file)}`);
+                    fs.writeFileSync(path.join(dir, file), result.files[file],
+                        { mode: file === terraform.IMPORT_FILE ? 0o755 : 0o644 });
+                });
+                return {
+                    propertyName: property.propertyName,
+                    propertyVersion: rules.propertyVersion,
+                    files: files,
+                    imports: result.imports
+                };
+            });
+    }
+
+    _getVersionRules(propertyLookup, versionLookup) {
+        return this._getProperty(propertyLookup)
+            .then(property => {
+                let version = (versionLookup && versionLookup > 0) ? versionLookup : WebSite._getLatestVersion(property, versionLookup);
+                if (!version) {
+                    let network = versionLookup == LATEST_VERSION.STAGING ? 'staging' : 'production';
+                    return Promise.reject(new errors.ValidationError(`${property.propertyName} has no version active on ${network}`));
+                }
+                console.error(`Retrieving ${property.propertyName} v${version}`);
+                return this._getPropertyRules(property.propertyId, version);
+            });
+    }
+
+    /**
+     * Run the best-practice checks of ruleLinter on the rules of a property version, for instance before activating it
+     *
+     * @param {string} propertyLookup either colloquial host name (www.example.com) or canonical PropertyId (prp_123456).
+     * @param {number} versionLookup specify the version or use LATEST_VERSION.PRODUCTION / STAGING / latest
+     * @param {Object} config lint config (see ruleLinter.loadConfig)
+     * @returns {Promise} with the `propertyName`, `propertyVersion` and the `findings`
+     */
+    lint(propertyLookup, versionLookup = LATEST_VERSION.LATEST, config = {}, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).lint(...arguments);
+        return this._getVersionRules(propertyLookup, versionLookup)
+            .then(rules => ({
+                propertyName: rules.propertyName,
+                propertyVersion: rules.propertyVersion,
+                findings: ruleLinter.lint(rules, config)
+            }));
+    }
+
+    /**
+     * Measure the rules of a property version and compare them with the limits of PAPI (see ruleStats)
+     *
+     * @param {string} propertyLookup either colloquial host name (www.example.com) or canonical PropertyId (prp_123456).
+     * @param {number} versionLookup specify the version or use LATEST_VERSION.PRODUCTION / STAGING / latest
+     * @returns {Promise} with the `propertyName`, `propertyVersion`, the `stats` and the `limits` as checked
+     */
+    stats(propertyLookup, versionLookup = LATEST_VERSION.LATEST, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).stats(...arguments);
+        return this._getVersionRules(propertyLookup, versionLookup)
+            .then(rules => {
+                let stats = ruleStats.measure(rules);
+                return {
+                    propertyName: rules.propertyName,
+                    propertyVersion: rules.propertyVersion,
+                    stats: stats,
+                    limits: ruleStats.check(stats)
+                };
+            });
+    }
+
+    /**
+     * Check a rule tree against the JSON schema PAPI publishes for its product and rule format (see RuleValidator).
+     * The schema is downloaded once and then read from the cache, so checking works offline afterwards.
+     *
+     * @param {string|Object} source rules file, snippet directory or the rule tree itself
+     * @param {string} productId product of the rules, by default the product of the cpCode behavior of the default
+     *     rule, or of the property named by the `propertyId` of the rules
+     * @param {string} ruleFormat by default the `ruleFormat` of the rules, or `latest`
+     * @param {string|Object} values for the `${env.name}` placeholders of a rules file (see templates)
+     * @returns {Promise} with the `productId`, `ruleFormat` and the `problems` found, each with the JSON `pointer`
+     *     of the value and a `message`
+     */
+    validate(source, productId = null, ruleFormat = null, accountKey, values = null) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).validate(...arguments);
+        let rules;
+        return Promise.resolve()
+            .then(() => {
+                rules = typeof source === 'string' ? templates.render(ruleFiles.read(source), values) : source;
+                return productId || this._getRulesProduct(rules, rules.propertyId);
+            })
+            .then(product => this._getRuleSchema(product, ruleFormat || rules.ruleFormat || 'latest'))
+            .then(schema => {
+                schema.problems = this._ruleValidator.validate(schema.schema, rules, schema.file);
+                delete schema.schema;
+                delete schema.file;
+                return schema;
+            });
+    }
+
+    /**
+     * Pre-flight check of rules about to be sent, failing with a ValidationError listing the problems. When the
+     * schema cannot be had, neither downloaded nor cached, the rules are sent unchecked and PAPI has the last word.
+     *
+     * @param {Object} rules the rule tree
+     * @param {string} productId product of the rules when it is known
+     * @param {string} ruleFormat rule format the rules are sent with when it is not theirs
+     * @param {string|Function} product property whose product to use, or a function returning a promise of the
+     *     product, when neither `productId` nor the rules tell it
+     * @private
+     */
+    _checkRules(rules, productId, ruleFormat, product) {
+        if (!this._validateRules)
+            return Promise.resolve(rules);
+        ruleFormat = ruleFormat || rules.ruleFormat || 'latest';
+        return Promise.resolve(productId || this._getRulesProduct(rules, product))
+            .then(product => this._getRuleSchema(product, ruleFormat))
+            .then(schema => this._ruleValidator.validate(schema.schema, rules, schema.file))
+            .catch(error => {
+                // not a progress line: the rules go out without the check the caller counts on
+                console.error('WARNING: the rules were not checked against the %s rule format, the schema is not available: %s',
+                    ruleFormat, error.message);
+                return [];
+            })
+            .then(problems => {
+                if (problems.length === 0)
+                    return rules;
+                let message = `The rules do not match the ${ruleFormat} rule format, ${problems.length} problem${problems.length > 1 ? 's' : ''} found`;
+                return Promise.reject(new errors.ValidationError(message, {
+                    errors: problems.map(problem => ({ detail: problem.message, errorLocation: problem.pointer }))
+                }));
+            });
+    }
+
+    /**
+     * Check rules against the limits of PAPI before sending them, printing what comes close to a limit
+     *
+     * @private
+     * @returns {Promise} with the rules, rejected with a ValidationError when they are over a limit
+     */
+    _checkLimits(rules) {
+        if (!this._validateRules)
+            return Promise.resolve(rules);
+        let stats = ruleStats.measure(rules);
+        let results = ruleStats.check(stats);
+        results.filter(result => result.level === 'warning')
+            .forEach(result => console.error(`... close to the limit, ${ruleStats.describe(result, stats)}`));
+        let over = results.filter(result => result.level === 'error');
+        if (over.length === 0)
+            return Promise.resolve(rules);
+        let message = `The rules are over ${over.length > 1 ? `${over.length} limits` : 'a limit'} of PAPI: ` +
+            over.map(result => ruleStats.describe(result, stats)).join(', ');
+        return Promise.reject(new errors.ValidationError(message, {
+            errors: over.map(result => ({ detail: ruleStats.describe(result, stats) }))
+        }));
+    }
+
+    /**
+     * Product of a rule tree: the one of the cpCode behavior of its default rule, else the product of the latest
+     * version of the `propertyLookup` property, or whatever it finds when it is a function
+     *
+     * @private
+     */
+    _getRulesProduct(rules, propertyLookup) {
+        let tree = rules.rules || rules;
+        let cpCode = (tree.behaviors || []).find(behavior => behavior.name === 'cpCode');
+        let products = cpCode && cpCode.options && cpCode.options.value && cpCode.options.value.products;
+        if (products && products.length > 0)
+            return Promise.resolve(products[0]);
+        if (typeof propertyLookup === 'function')
+            return propertyLookup();
+        if (!propertyLookup)
+            return Promise.reject(new errors.ValidationError('Unable to tell the product of the rules, give it with --product'));
+        return this._getProperty(propertyLookup)
+            .then(property => new Promise((resolve, reject) => {
+                let request = {
+                    method: 'GET',
+                    path: `/papi/v1/properties/${property.propertyId}/versions/${property.latestVersion}?contractId=${property.contractId}&groupId=${property.groupId}`
+                };
+                request.path += this._buildAccountSwitchKeyQuery();
+                this._send(request, (error, response) => {
+                    if (!response)
+                        return reject(error);
+                    if (response.statusCode >= 200 && response.statusCode < 400)
+                        resolve(JSON.parse(response.body).versions.items[0].productId);
+                    else
+                        reject(PapiError.fromResponse(response, request));
+                }).catch(reject);
+            }));
+    }
+
+    /**
+     * Rule format schema of a product, from the cache or downloaded. An expired `latest` schema is still used when
+     * no fresh one can be downloaded.
+     *
+     * @returns {Promise} with the `productId`, `ruleFormat`, `schema` and the `file` caching it
+     * @private
+     */
+    _getRuleSchema(productId, ruleFormat) {
+        let found = schema => ({
+            productId: productId,
+            ruleFormat: ruleFormat,
+            schema: schema,
+            file: this._ruleValidator.file(productId, ruleFormat)
+        });
+        let cached = this._ruleValidator.cached(productId, ruleFormat);
+        if (cached)
+            return Promise.resolve(found(cached));
+        return new Promise((resolve, reject) => {
+            console.error(`... retrieving the ${ruleFormat} rule schema of ${productId}`);
+            let request = {
+                method: 'GET',
+                path: `/papi/v1/schemas/products/${productId}/${ruleFormat}`
+            };
+            request.path += this._buildAccountSwitchKeyQuery(true);
+            this._send(request, (error, response) => {
+                if (response && response.statusCode >= 200 && response.statusCode < 400) {
+                    let schema = JSON.parse(response.body);
+                    this._ruleValidator.save(productId, ruleFormat, schema);
+                    return resolve(found(schema));
+                }
+                let stale = this._ruleValidator.cached(productId, ruleFormat, true);
+                if (stale) {
+                    console.error('... unable to refresh the rule schema, using the one cached');
+                    return resolve(found(stale));
+                }
+                reject(response ? PapiError.fromResponse(response, request) : error);
+            }).catch(reject);
+        });
+    }
+
     createNewPropertyVersion(propertyLookup, accountKey) {
-        this._accountSwitchKey = accountKey;
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).createNewPropertyVersion(...arguments);
         return this._getProperty(propertyLookup)
             .then(property => {
                 let propertyName = property.propertyName;
@@ -1660,13 +2493,15 @@ class WebSite {
      *
      * @param {string} propertyLookup either colloquial host name (www.example.com) or canonical PropertyId (prp_123456).
      *     If the host name is moving between property configurations, use lookupPropertyIdFromHost()
-     * @param {Object} newRules of the configuration to be updated. Only the {object}.rules will be copied.
+     * @param {Object} newRules of the configuration to be updated. Only the {object}.rules will be copied. Rules over
+     *     a limit of PAPI (see ruleStats) are refused before a version is created.
      * @returns {Promise} with the property rules as the {TResult}
      */
     update(propertyLookup, newRules, comment = false) {
         let property = propertyLookup;
 
-        return this._getProperty(propertyLookup)
+        return this._checkLimits(newRules)
+            .then(() => this._getProperty(propertyLookup))
             .then(localProp => {
                 property = localProp;
                 let propertyName = localProp.propertyName;
@@ -1680,7 +2515,7 @@ class WebSite {
                    newRules.comments = comment;
                  }
                  console.log(newRules)
-                return this._updatePropertyRules(property, property.latestVersion, newRules);
+                return this._modifyPropertyRules(property, property.latestVersion, () => newRules);
             });
     }
 
@@ -1691,22 +2526,21 @@ class WebSite {
      *
      * @param {string} propertyLookup either colloquial host name (www.example.com) or canonical PropertyId (prp_123456).
      *     If the host name is moving between property configurations, use lookupPropertyIdFromHost()
-     * @param {string} fromFile the filename to read a previously saved (and modified) form of the property configuration.
-     *     Only the {Object}.rules will be copied
+     * @param {string} fromFile the filename to read a previously saved (and modified) form of the property configuration,
+     *     JSON or YAML (with its metadata file when it was retrieved normalized), or a snippet directory written by
+     *     retrieveToSnippets(). Only the {Object}.rules will be copied
+     * @param {string|Object} values file or object with the values for the `${env.name}` placeholders of the rules
+     *     (see templates). The update fails before anything is sent when a placeholder has no value, or when the
+     *     rules do not match the schema of their rule format (see validate).
+     * @param {string} format `json` or `yaml` when the extension of the file does not tell it
      * @returns {Promise} returns a promise with the updated form of the
      */
-    updateFromFile(propertyLookup, srcFile, comment = false, accountKey) {
-        this._accountSwitchKey = accountKey;
-        return new Promise((resolve, reject) => {
-            fs.readFile(untildify(srcFile), (err, data) => {
-                if (err) {
-                    reject(err);
-            } else {
-                    resolve(JSON.parse(data));
-            }
-            });
-
-        })
+    updateFromFile(propertyLookup, srcFile, comment = false, accountKey, values = null, format = null) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).updateFromFile(...arguments);
+        return Promise.resolve()
+            .then(() => templates.render(ruleFiles.read(srcFile, format), values))
+            .then(data => this._checkRules(data, null, null, propertyLookup))
             .then(data => {
                 return this.update(propertyLookup, data, comment)
             })
@@ -1724,7 +2558,8 @@ class WebSite {
      * @returns {Promise} returns a promise with the TResult of boolean
      */
     copy(fromProperty, fromVersion = LATEST_VERSION.LATEST, toProperty, comment = false, accountKey) {
-        this._accountSwitchKey = accountKey;
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).copy(...arguments);
         return this.retrieve(fromProperty, fromVersion, false, this._accountSwitchKey)
             .then(fromRules => {
                 console.error(`Copy ${fromProperty} v${fromRules.propertyVersion} to ${toProperty}`);
@@ -1749,7 +2584,7 @@ class WebSite {
         return this._getProperty(propertyLookup)
             .then(property => {
                 if (!property.stagingVersion)
-                    new Promise((resolve, reject) => reject(`No version in Staging for ${propertyLookup}`));
+                    new Promise((resolve, reject) => reject(new errors.NotFoundError(`No version in Staging for ${propertyLookup}`)));
                 else if (property.productionVersion !== property.stagingVersion)
                     return this.activate(propertyLookup, stagingVersion, AKAMAI_ENV.PRODUCTION, notes, email, this._accountSwitchKey);
                 else
@@ -1772,13 +2607,14 @@ class WebSite {
      * @returns {Promise} returns a promise with the TResult of boolean
      */
     activate(propertyLookup, version = LATEST_VERSION.LATEST, networkEnv = AKAMAI_ENV.STAGING, notes = '', email = ['test@example.com'], wait = true, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).activate(...arguments);
         //todo: change the version lookup
         let emailNotification = email;
         if (!Array.isArray(emailNotification))
             emailNotification = [email];
         let activationVersion = version;
         let property = propertyLookup;
-        this._accountSwitchKey = accountKey;
 
         return this._getProperty(propertyLookup)
             .then(data => {
@@ -1814,10 +2650,11 @@ class WebSite {
      * @returns {Promise} returns a promise with the TResult of boolean
      */
     deactivate(propertyLookup, networkEnv = AKAMAI_ENV.STAGING, notes = '', email = ['test@example.com'], wait = true, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).deactivate(...arguments);
         if (!Array.isArray(email))
             email = [email];
         let property;
-        this._accountSwitchKey = accountKey;
 
         return this._getProperty(propertyLookup)
             .then(data => {
@@ -1841,14 +2678,14 @@ class WebSite {
     }
 
     assignEdgeHostname(propertyLookup, version = 0, edgeHostname, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).assignEdgeHostname(...arguments);
         let contractId,
             groupId,
             productId,
             propertyId,
             configName;
 
-        this._accountSwitchKey = accountKey;
-
         return this._getProperty(propertyLookup)
             .then(data => {
                 version = version || WebSite._getLatestVersion(data, version);
@@ -1878,7 +2715,8 @@ class WebSite {
      *     If the host name is moving between property configurations, use lookupPropertyIdFromHost()
      */
     deleteProperty(propertyLookup, accountkey) {
-      this._accountSwitchKey = accountkey;
+        if (this._isOtherAccount(accountkey))
+            return this.forAccount(accountkey).deleteProperty(...arguments);
         //TODO: deactivate first
         return this._getProperty(propertyLookup)
             .then(property => {
@@ -1894,7 +2732,8 @@ class WebSite {
      *     If the host name is moving between property configurations, use lookupPropertyIdFromHost()
      */
     moveProperty(propertyLookup, destGroup, accountKey) {
-        this._accountSwitchKey = accountKey;
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).moveProperty(...arguments);
         //TODO: deactivate first
         console.error(`Moving ${propertyLookup} to ` + destGroup);
 
@@ -1902,54 +2741,111 @@ class WebSite {
     }
 
     setRuleFormat(propertyLookup, version, ruleformat, accountKey) {
-        this._accountSwitchKey = accountKey;
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).setRuleFormat(...arguments);
         
         return this._getProperty(propertyLookup)
             .then(data => {
                 version = WebSite._getLatestVersion(data, version)
-                return this._getPropertyRules(propertyLookup, version)
+                return this._modifyPropertyRules(propertyLookup, version, rules => {
+                    rules.ruleFormat = ruleformat;
+                });
             })
-            .then(rules => {
-                rules.ruleFormat = ruleformat;
-                return this._updatePropertyRules(propertyLookup, version, rules);
+    }
+
+    /**
+     * Move the rules of a property to another rule format, on a new version. The behaviors and criteria of the two
+     * formats are compared and the rules migrated where no decision is needed (see formatUpgrade). The migrated
+     * rules are checked against the new format and only written when no problem is left.
+     *
+     * @param {string} propertyLookup either colloquial host name (www.example.com) or canonical PropertyId (prp_123456).
+     * @param {string} ruleFormat the rule format to move to, `latest` by default
+     * @returns {Promise} with the `propertyName`, the `propertyVersion` migrated, the `from` and `to` rule formats,
+     *     the `schemaChanges` between them, the `migrations` made or left to do, the `changes` to the rules (see
+     *     ruleDiff.diffRules), the `problems` the new format finds and the `newVersion` written, if any
+     */
+    upgradeFormat(propertyLookup, ruleFormat = 'latest', accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).upgradeFormat(...arguments);
+        let property, rules, productId, fromSchema, result;
+        return this._getProperty(propertyLookup)
+            .then(data => {
+                property = data;
+                return this._getVersionRules(property, LATEST_VERSION.LATEST);
+            })
+            .then(data => {
+                rules = data;
+                return this._getRulesProduct(rules, property);
             })
+            .then(product => {
+                productId = product;
+                return this._getRuleSchema(productId, rules.ruleFormat || 'latest');
+            })
+            .then(schema => {
+                fromSchema = schema.schema;
+                return this._getRuleSchema(productId, ruleFormat);
+            })
+            .then(toSchema => {
+                let schemaChanges = formatUpgrade.compareSchemas(fromSchema, toSchema.schema);
+                let migrated = formatUpgrade.migrate(rules, schemaChanges, ruleFormat);
+                result = {
+                    propertyName: property.propertyName,
+                    propertyVersion: rules.propertyVersion,
+                    from: rules.ruleFormat || 'latest',
+                    to: ruleFormat,
+                    schemaChanges: schemaChanges,
+                    migrations: migrated.migrations,
+                    changes: ruleDiff.diffRules(rules, migrated.rules),
+                    problems: this._ruleValidator.validate(toSchema.schema, migrated.rules, toSchema.file)
+                };
+                if (result.problems.length > 0 || result.changes.length === 0)
+                    return result;
+                console.error(`Upgrading ${property.propertyName} v${rules.propertyVersion} to the ${ruleFormat} rule format`);
+                return this._copyPropertyVersion(property, rules.propertyVersion)
+                    .then(newVersion => {
+                        result.newVersion = Number(newVersion);
+                        property.latestVersion = result.newVersion;
+                        return this._modifyPropertyRules(property, result.newVersion,
+                            latest => formatUpgrade.migrate(latest, schemaChanges, ruleFormat).rules);
+                    })
+                    .then(() => result);
+            });
     }
 
     setCpcode(propertyLookup, version, cpcode, accountKey) {
-        this._accountSwitchKey = accountKey;
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).setCpcode(...arguments);
         return this._getProperty(propertyLookup)
             .then(data => {
                 version = WebSite._getLatestVersion(data, version)
-                return this._getPropertyRules(propertyLookup, version)
-            })
-            .then(rules => {
-                let behaviors = [];
-                let cpCodeExists = 0;
-                rules.rules.behaviors.map(behavior => {
-                    if (behavior.name == "cpCode") {
-                        cpCodeExists = 1;
-                        behavior.options = { "value" : { "id": Number(cpcode) } };
+                return this._modifyPropertyRules(propertyLookup, version, rules => {
+                    let behaviors = [];
+                    let cpCodeExists = 0;
+                    rules.rules.behaviors.map(behavior => {
+                        if (behavior.name == "cpCode") {
+                            cpCodeExists = 1;
+                            behavior.options = { "value" : { "id": Number(cpcode) } };
+                        }
+                        behaviors.push(behavior)
+                    })
+                    if (!cpCodeExists) {
+                        let behavior = { "name":"cpCode", "options": { "value" : { "id": Number(cpcode) } } }
+                        behaviors.push(behavior);
                     }
-                    behaviors.push(behavior)
-                })
-                if (!cpCodeExists) {
-                    let behavior = { "name":"cpCode", "options": { "value" : { "id": Number(cpcode) } } }
-                    behaviors.push(behavior);
-                }
-     
-                rules.rules.behaviors = behaviors;
-                return this._updatePropertyRules(propertyLookup, version, rules);
+
+                    rules.rules.behaviors = behaviors;
+                });
             })
     }
 
     delHostnames(propertyLookup, version = 0, hostnames, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).delHostnames(...arguments);
         let contractId,
             groupId,
             propertyId,
             configName;
 
-        this._accountSwitchKey = accountKey;
-
         let names = this._getConfigAndHostname(propertyLookup, hostnames);
         configName = names[0];
         hostnames = names[1];
@@ -1977,6 +2873,8 @@ class WebSite {
     }
 
     addHostnames(propertyLookup, version = 0, hostnames, edgeHostname = null, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).addHostnames(...arguments);
         let contractId,
             groupId,
             productId,
@@ -1984,8 +2882,6 @@ class WebSite {
             configName,
             hostlist;
 
-        this._accountSwitchKey = accountKey;
-            
         let names = this._getConfigAndHostname(propertyLookup, hostnames);
         configName = names[0];
         hostnames = names[1];
@@ -2030,7 +2926,9 @@ class WebSite {
             })
     }
 
-    setVariables(propertyLookup, version = 0, variablefile, accountKey) {
+    setVariables(propertyLookup, version = 0, variablefile, accountKey, format = null) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).setVariables(...arguments);
         let changeVars = {
             "delete": [],
             "create": [],
@@ -2038,16 +2936,10 @@ class WebSite {
         };
         let variables;
 
-        this._accountSwitchKey = accountKey;
-
-        return new Promise((resolve, reject) => {
-            fs.readFile(untildify(variablefile), (err, data) => {
-                if (err)
-                    reject(err);
-                else
-                    variables = JSON.parse(data);
-                    resolve(JSON.parse(data));
-                });
+        return Promise.resolve()
+            .then(() => {
+                // JSON or YAML, by the extension of the file unless format is given
+                variables = ruleFiles.read(variablefile, format);
             })
             .then(()=> {
                 return this._getProperty(propertyLookup)
@@ -2062,56 +2954,53 @@ class WebSite {
                         changeVars[action].push(variable);
                     })
                 })
-                return this._getPropertyRules(propertyLookup, version)
-            })
-            .then(data => {
-                let newVars = data.rules.variables || [];
-
-                changeVars['create'].map(variable => {
-
-                    let index_check = newVars.findIndex(elt => elt.name == variable.name);
-
-                    if (index_check < 0) {
-                        delete variable.action;
-                        newVars.push(variable)
-                        changeVars['update'].splice(
-                            changeVars['update'].findIndex(
-                                elt => elt.name === variable.name
+                return this._modifyPropertyRules(propertyLookup, version, data => {
+                    // work on a copy, the change is applied again if the rules were updated concurrently
+                    let changes = JSON.parse(JSON.stringify(changeVars));
+                    let newVars = data.rules.variables || [];
+
+                    changes['create'].map(variable => {
+
+                        let index_check = newVars.findIndex(elt => elt.name == variable.name);
+
+                        if (index_check < 0) {
+                            delete variable.action;
+                            newVars.push(variable)
+                            changes['update'].splice(
+                                changes['update'].findIndex(
+                                    elt => elt.name === variable.name
+                                )
                             )
-                        )
-                    } else {
-                        console.error("... not creating existing variable " + variable.name)
-                    }
-                })
-
-                changeVars['delete'].map(variable => {
-                    newVars.splice(
-                        newVars.findIndex(
-                            elt => elt.name === variable.name)
-                    )
-                    console.error("... deleting variable " + variable.name)
-                })
+                        } else {
+                            console.error("... not creating existing variable " + variable.name)
+                        }
+                    })
 
-                changeVars['update'].map(variable => {
-                    let ind = newVars.findIndex(elt => elt.name == variable.name);
-                    if (ind >= 0) {
-                        delete variable.action;
-                        console.error("... updating existing variable " + variable.name)
-                        newVars[ind] = variable;
-                    }
-                })
+                    changes['delete'].map(variable => {
+                        newVars.splice(
+                            newVars.findIndex(
+                                elt => elt.name === variable.name)
+                        )
+                        console.error("... deleting variable " + variable.name)
+                    })
 
-                data.rules.variables = newVars;
+                    changes['update'].map(variable => {
+                        let ind = newVars.findIndex(elt => elt.name == variable.name);
+                        if (ind >= 0) {
+                            delete variable.action;
+                            console.error("... updating existing variable " + variable.name)
+                            newVars[ind] = variable;
+                        }
+                    })
 
-                return Promise.resolve(data);
-            })
-            .then(rules => {
-                return this._updatePropertyRules(propertyLookup, version, rules);
+                    data.rules.variables = newVars;
+                });
             })
     }
 
-    getVariables(propertyLookup, versionLookup=0, filename=null, accountKey) {
-        this._accountSwitchKey = accountKey;       
+    getVariables(propertyLookup, versionLookup=0, filename=null, accountKey, format = null) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).getVariables(...arguments);
         return this._getProperty(propertyLookup)
             .then(property => {
                     let version = (versionLookup && versionLookup > 0) ? versionLookup : WebSite._getLatestVersion(property, versionLookup)
@@ -2120,11 +3009,11 @@ class WebSite {
             })
             .then(rules => {
                 if (!filename) {
-                    console.log(JSON.stringify(rules.rules.variables, '', 2));
+                    console.log(ruleFiles.stringify(rules.rules.variables, ruleFiles.formatOf(null, format)));
                     return Promise.resolve();
                 } else {
                     return new Promise((resolve, reject) => {
-                        fs.writeFile(untildify(filename), JSON.stringify(rules.rules.variables, '', 2), (err) => {
+                        fs.writeFile(untildify(filename), ruleFiles.stringify(rules.rules.variables, ruleFiles.formatOf(filename, format)), (err) => {
                             if (err)
                                 reject(err);
                             else
@@ -2136,27 +3025,48 @@ class WebSite {
     }
 
     setComments(propertyLookup, version = 0, comment, accountKey) {
-        this._accountSwitchKey = accountKey;
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).setComments(...arguments);
         console.error("... adding version notes")
         return this._getProperty(propertyLookup)
             .then(property => {
                 version = WebSite._getLatestVersion(property, version);
-                return this._getPropertyRules(property, version)
-            })
-            .then(data => {
-                data.comments = comment;
-                return Promise.resolve(data);
-            })
-            .then(rules => {
-                return this._updatePropertyRules(propertyLookup, version, rules);
+                return this._modifyPropertyRules(property, version, data => {
+                    data.comments = comment;
+                });
             })
     }
     
+    /**
+     * Change behaviors and criteria of any kind, or add, move and remove rules, by path (see ruleEdits). The edits are
+     * applied in order and the version is only written when all of them succeed and the result matches the schema of
+     * the rule format.
+     *
+     * @param {string} propertyLookup either colloquial host name (www.example.com) or canonical PropertyId (prp_123456).
+     * @param {number} version to change, 0 for the latest
+     * @param {Object[]} edits see ruleEdits.apply, for instance
+     *     `{op: 'set', path: 'default/Performance.caching.ttl', value: '1d'}`
+     * @returns {Promise} with the updated rules
+     */
+    editRules(propertyLookup, version = 0, edits = [], accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).editRules(...arguments);
+        return this._getProperty(propertyLookup)
+            .then(property => {
+                version = WebSite._getLatestVersion(property, version);
+                return this._modifyPropertyRules(property, version, data => {
+                    ruleEdits.apply(data, edits).forEach(change => console.error(`... ${change}`));
+                    return this._checkRules(data, null, null, property);
+                });
+            })
+    }
+
     setOrigin(propertyLookup, version = 0, origin, forward, accountKey) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).setOrigin(...arguments);
         let forwardHostHeader;
         let customForward = "";
 
-        this._accountSwitchKey = accountKey;
         
         if (forward == "origin") {
             forwardHostHeader = "ORIGIN_HOSTNAME"
@@ -2169,70 +3079,61 @@ class WebSite {
         return this._getProperty(propertyLookup)
             .then(property => {
                 version = WebSite._getLatestVersion(property, version);
-                return this._getPropertyRules(property, version)
-            })
-            .then(data => {
-                let behaviors = [];
-                data.rules.behaviors.map(behavior => {
-                    if (behavior.name == "origin") {
-                        if (origin) {
-                            behavior.options.hostname = origin;
-                        }
-                        if (forwardHostHeader) {
-                            behavior.options.forwardHostHeader = forwardHostHeader;
-                            if (customForward) {
-                                behavior.options.customForwardHostHeader = customForward;
-                            } else {
-                                delete (behavior.options.customForwardHostHeader);
+                return this._modifyPropertyRules(property, version, data => {
+                    let behaviors = [];
+                    data.rules.behaviors.map(behavior => {
+                        if (behavior.name == "origin") {
+                            if (origin) {
+                                behavior.options.hostname = origin;
+                            }
+                            if (forwardHostHeader) {
+                                behavior.options.forwardHostHeader = forwardHostHeader;
+                                if (customForward) {
+                                    behavior.options.customForwardHostHeader = customForward;
+                                } else {
+                                    delete (behavior.options.customForwardHostHeader);
+                                }
                             }
                         }
-                    }
-                    behaviors.push(behavior);
-                })
-                data.rules.behaviors = behaviors;
-                return Promise.resolve(data);
-            })
-            .then(rules => {
-                return this._updatePropertyRules(propertyLookup, version, rules);
+                        behaviors.push(behavior);
+                    })
+                    data.rules.behaviors = behaviors;
+                });
             })
     }
 
     setSureRoute(propertyLookup, version=0, sureroutemap, surerouteto, sureroutetohost, accountKey) {
-        this._accountSwitchKey = accountKey;
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).setSureRoute(...arguments);
         return this._getProperty(propertyLookup)
             .then(property => {
                 version = WebSite._getLatestVersion(property, version);
-                return this._getPropertyRules(property, version)
-            })
-            .then(data => {
-                let children = [];
-                data.rules.children.map(child => {
-                    let behaviors = []
-                    child.behaviors.map(behavior => {
-                        if (behavior.name == "sureRoute") {
-                            if (sureroutemap) {
-                                behavior.options.customMap = sureroutemap;
-                                behavior.options.type = "CUSTOM_MAP";
-                            }
-                            if (surerouteto) {
-                                behavior.options.testObjectUrl = surerouteto;
-                            }
-                            if (sureroutetohost) {
-                                behavior.options.toHost = sureroutetohost;
-                                behavior.options.toHostStatus = "OTHER";
+                return this._modifyPropertyRules(property, version, data => {
+                    let children = [];
+                    data.rules.children.map(child => {
+                        let behaviors = []
+                        child.behaviors.map(behavior => {
+                            if (behavior.name == "sureRoute") {
+                                if (sureroutemap) {
+                                    behavior.options.customMap = sureroutemap;
+                                    behavior.options.type = "CUSTOM_MAP";
+                                }
+                                if (surerouteto) {
+                                    behavior.options.testObjectUrl = surerouteto;
+                                }
+                                if (sureroutetohost) {
+                                    behavior.options.toHost = sureroutetohost;
+                                    behavior.options.toHostStatus = "OTHER";
+                                }
                             }
-                        }
-                        behaviors.push(behavior);
+                            behaviors.push(behavior);
+                        })
+                        child.behaviors = behaviors;
+                        children.push(child)
                     })
-                    child.behaviors = behaviors;
-                    children.push(child)
-                })
                 
-                data.rules.children = children;
-                return Promise.resolve(data);   
-            })
-            .then(rules => {
-                return this._updatePropertyRules(propertyLookup,version,rules);
+                    data.rules.children = children;
+                });
             })
     }
 
@@ -2265,16 +3166,17 @@ class WebSite {
                             productId = null,
                             accountKey,
                             newcpcodename = null) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).create(...arguments);
 
-        this._accountSwitchKey = accountKey;
 
         let newEdgeHostname;
         if (!configName && !hostnames) {
-            return Promise.reject("Configname or hostname is required.")
+            return Promise.reject(new errors.ValidationError("Configname or hostname is required."))
         }
 
         if (!groupId) {
-            return Promise.reject("Group ID is required.")
+            return Promise.reject(new errors.ValidationError("Group ID is required."))
         }
 
         if (edgeHostname == null) {
@@ -2396,19 +3298,16 @@ class WebSite {
             })
     }
 
-    createFromFile(hostnames = [], srcFile, configName = null, contractId = null, groupId = null, cpcode = null, origin = null, edgeHostname = null, ruleformat = null, productId = null, accountKey, newcpcodename = null) {
+    createFromFile(hostnames = [], srcFile, configName = null, contractId = null, groupId = null, cpcode = null, origin = null, edgeHostname = null, ruleformat = null, productId = null, accountKey, newcpcodename = null, values = null, format = null) {
+        if (this._isOtherAccount(accountKey))
+            return this.forAccount(accountKey).createFromFile(...arguments);
         let names = this._getConfigAndHostname(configName, hostnames);
         configName = names[0];
         hostnames = names[1];
-        this._accountSwitchKey = accountKey;
-        return new Promise((resolve, reject) => {
-            fs.readFile(untildify(srcFile), (err, data) => {
-                if (err)
-                    reject(err);
-                else
-                    resolve(JSON.parse(data));
-            });
-        })
+        return Promise.resolve()
+        .then(() => templates.render(ruleFiles.read(srcFile, format), values))
+        .then(rules => this._checkRules(rules, productId, ruleformat, () =>
+            this._getPropertyInfo(contractId || rules.contractId, groupId || rules.groupId, null).then(info => info.productId)))
         .then(rules => {
             if (!groupId) {
                     groupId = rules.groupId;
@@ -2426,6 +3325,8 @@ class WebSite {
     }
 
     createFromExisting(configName, options) {
+        if (this._isOtherAccount(options["account-key"]))
+            return this.forAccount(options["account-key"]).createFromExisting(...arguments);
         let srcProperty = options.clone
         let srcVersion = options.srcver || LATEST_VERSION.LATEST
         let copyHostnames = options.nocopy || false
@@ -2444,7 +3345,6 @@ class WebSite {
         configName = names[0];
         hostnames = names[1];
 
-        this._accountSwitchKey = options["account-key"];
 
         let cloneFrom,
             productId,
@@ -0,0 +1,36 @@
+var assert = require("assert");
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+
+describe('Account switch key', function () {
+    var server, sent, akamaiweb;
+
+    beforeEach(function () {
+        server = new MockPapiServer();
+        server.addProperty({propertyName: "partner.example.com", hostnames: ["partner.example.com"]});
+        sent = [];
+        let transport = {send: request => { sent.push(request.path); return server.send(request); }};
+        akamaiweb = new WebSite({transport: transport, accountSwitchKey: "1-PARTNER"});
+    });
+
+    it('should be sent with every request, including user admin calls', function () {
+        return akamaiweb.retrieve("partner.example.com")
+            .then(() => akamaiweb.setOrigin("partner.example.com", 1, "origin.partner.example.com"))
+            .then(() => akamaiweb.moveProperty("partner.example.com", "grp_10002"))
+            .then(() => akamaiweb.retrieveGroups())
+            .then(() => {
+                assert(sent.some(path => /^\/user-admin\//.test(path)));
+                let missing = sent.filter(path => !/[?&]accountSwitchKey=1-PARTNER(&|$)/.test(path));
+                assert.deepEqual(missing, []);
+            })
+    });
+
+    it('should be overridden by the key given to a call', function () {
+        return akamaiweb.retrieveGroups("1-OTHER")
+            .then(() => akamaiweb.retrieveFormats())
+            .then(() => {
+                assert(/accountSwitchKey=1-OTHER/.test(sent[0]));
+                assert(/accountSwitchKey=1-PARTNER/.test(sent[sent.length - 1]));
+            })
+    });
+})
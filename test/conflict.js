@@ -0,0 +1,77 @@
+var assert = require("assert");
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+var ConflictError = require('../index').ConflictError;
+
+// Another writer updates the rules of the version right before our first PUT reaches the server
+function racingTransport(server, propertyId) {
+    var raced = false;
+    return {
+        puts: [],
+        send: function (request) {
+            if (request.method == 'PUT' && /\/rules/.test(request.path)) {
+                this.puts.push(request);
+                if (!raced) {
+                    raced = true;
+                    let current = JSON.parse(server.handle({path: `/papi/v1/properties/${propertyId}/versions/1/rules`}).body);
+                    current.rules.behaviors.push({name: "http2", options: {enabled: ""}});
+                    server.handle({method: 'PUT', path: `/papi/v1/properties/${propertyId}/versions/1/rules`, body: current});
+                }
+            }
+            return server.send(request);
+        }
+    };
+}
+
+describe('Concurrent rule updates', function () {
+    var server, property, transport;
+
+    beforeEach(function () {
+        server = new MockPapiServer();
+        property = server.addProperty({propertyName: "race.example.com", hostnames: ["race.example.com"]});
+        transport = racingTransport(server, property.propertyId);
+    });
+
+    function storedBehaviors() {
+        return server.state.properties[property.propertyId].versions[1].rules.behaviors.map(behavior => behavior.name);
+    }
+
+    it('should send the etag that was read', function () {
+        let etag = server.state.properties[property.propertyId].versions[1].etag;
+        let sent = [];
+        let akamaiweb = new WebSite({transport: {send: request => { sent.push(request); return server.send(request); }}});
+        return akamaiweb.setCpcode("race.example.com", 1, 100002)
+            .then(() => {
+                let put = sent.find(request => request.method == 'PUT');
+                assert.equal(put.headers['If-Match'], `"${etag}"`);
+            })
+    });
+
+    it('should fail with a ConflictError when the version changed', function () {
+        let akamaiweb = new WebSite({transport: transport});
+        return akamaiweb.setOrigin("race.example.com", 1, "mine.example.com")
+            .then(() => {
+                assert.fail("update should have been rejected");
+            }, error => {
+                assert(error instanceof ConflictError);
+                assert.equal(error.status, 412);
+                assert(/--retry-on-conflict/.test(error.message));
+                assert.notEqual(storedBehaviors().indexOf("http2"), -1);
+                let origin = server.state.properties[property.propertyId].versions[1].rules.behaviors
+                    .find(behavior => behavior.name == "origin");
+                assert.notEqual(origin.options.hostname, "mine.example.com");
+            })
+    });
+
+    it('should apply the change again on the fresh rules with retryOnConflict', function () {
+        let akamaiweb = new WebSite({transport: transport, retryOnConflict: true});
+        return akamaiweb.setOrigin("race.example.com", 1, "mine.example.com")
+            .then(() => {
+                assert.equal(transport.puts.length, 2);
+                assert.notEqual(storedBehaviors().indexOf("http2"), -1);
+                let origin = server.state.properties[property.propertyId].versions[1].rules.behaviors
+                    .find(behavior => behavior.name == "origin");
+                assert.equal(origin.options.hostname, "mine.example.com");
+            })
+    });
+})
@@ -0,0 +1,53 @@
+var assert = require("assert");
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+
+describe('Per-account clients', function () {
+    var server, sent, akamaiweb;
+
+    beforeEach(function () {
+        server = new MockPapiServer();
+        server.addProperty({propertyName: "one.example.com", hostnames: ["one.example.com"]});
+        server.addProperty({propertyName: "two.example.com", hostnames: ["two.example.com"]});
+        sent = [];
+        // answer the lookups in turn so requests of both accounts are in flight together
+        let transport = {send: request => {
+            sent.push(request.path);
+            return new Promise(resolve => setTimeout(resolve, 5)).then(() => server.send(request));
+        }};
+        akamaiweb = new WebSite({transport: transport});
+    });
+
+    it('should keep the key of each call while calls for other accounts run', function () {
+        return Promise.all([
+            akamaiweb.retrieve("one.example.com", 0, false, "1-ONE"),
+            akamaiweb.retrieve("two.example.com", 0, false, "1-TWO"),
+            akamaiweb.retrieveGroups()
+        ]).then(() => {
+            let one = akamaiweb.forAccount("1-ONE")._propertyByName;
+            let two = akamaiweb.forAccount("1-TWO")._propertyByName;
+            assert(one["one.example.com"] && !one["two.example.com"]);
+            assert(two["two.example.com"] && !two["one.example.com"]);
+            assert(sent.filter(path => /^\/user-admin\//.test(path)).every(path => !/accountSwitchKey/.test(path)));
+            assert(sent.filter(path => /prp_/.test(path)).every(path => /accountSwitchKey=1-(ONE|TWO)/.test(path)));
+            assert.equal(akamaiweb._accountSwitchKey, "");
+        })
+    });
+
+    it('should reuse the client of an account', function () {
+        assert.strictEqual(akamaiweb.forAccount("1-ONE"), akamaiweb.forAccount("1-ONE"));
+        assert.strictEqual(akamaiweb.forAccount(""), akamaiweb);
+        assert.strictEqual(akamaiweb.forAccount("1-ONE").forAccount("1-ONE"), akamaiweb.forAccount("1-ONE"));
+    });
+
+    it('should carry contract and group hints in a context', function () {
+        let client = akamaiweb.withContext({accountSwitchKey: "1-ONE", contractId: "ctr_C-MOCK", groupId: "grp_10002"});
+        return client.listProperties()
+            .then(() => {
+                let path = sent[sent.length - 1];
+                assert(/contractId=ctr_C-MOCK/.test(path) && /groupId=grp_10002/.test(path), path);
+                assert(/accountSwitchKey=1-ONE/.test(path), path);
+                assert.equal(akamaiweb._contractId, undefined);
+            })
+    });
+})
@@ -0,0 +1,100 @@
+var assert = require("assert");
+var fs = require('fs');
+var path = require('path');
+var credentials = require('../index').credentials;
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+var ValidationError = require('../index').ValidationError;
+var fixtures = require('./support/fixtures');
+
+describe('Credentials', function () {
+    var dir, file;
+
+    beforeEach(function () {
+        dir = fixtures.tempDir('credentials');
+        file = path.join(dir, 'edgerc');
+    });
+
+    afterEach(function () {
+        fixtures.removeDir(dir);
+    });
+
+    it('should prefer the variables of the section', function () {
+        let env = {
+            AKAMAI_CLIENT_TOKEN: "akab-plain", AKAMAI_CLIENT_SECRET: "c2VjcmV0", AKAMAI_ACCESS_TOKEN: "akab-access",
+            AKAMAI_HOST: "akab-plain.luna.akamaiapis.net",
+            AKAMAI_PAPI_CLIENT_TOKEN: "akab-papi", AKAMAI_PAPI_CLIENT_SECRET: "c2VjcmV0", AKAMAI_PAPI_ACCESS_TOKEN: "akab-access",
+            AKAMAI_PAPI_HOST: "akab-papi.luna.akamaiapis.net/"
+        };
+        assert.equal(credentials.fromEnvironment("papi", env).clientToken, "akab-papi");
+        assert.equal(credentials.fromEnvironment("papi", env).host, "akab-papi.luna.akamaiapis.net");
+        assert.equal(credentials.fromEnvironment("ccu", env).clientToken, "akab-plain");
+        assert.equal(credentials.fromEnvironment("papi", {}), null);
+    });
+
+    it('should name the missing variables', function () {
+        assert.throws(() => credentials.fromEnvironment("papi", {AKAMAI_PAPI_HOST: "akab-papi.luna.akamaiapis.net"}),
+            error => error instanceof ValidationError && /AKAMAI_PAPI_CLIENT_TOKEN/.test(error.message));
+    });
+
+    it('should accept a complete edgerc section', function () {
+        fs.writeFileSync(file, "[papi]\nclient_secret = c2VjcmV0+/=\nhost = akab-host.luna.akamaiapis.net\n" +
+            "access_token = akab-access\nclient_token = akab-client\n", {mode: 0o600});
+        assert.deepEqual(credentials.checkEdgerc(file, "papi"), []);
+    });
+
+    it('should report the mistakes of an edgerc section', function () {
+        fs.writeFileSync(file, "stray line\n[papi]\nclient_secret = not base64!\nhost = https://example.com/papi\n" +
+            "access_token = akab-access\naccess_token = akab-again\n", {mode: 0o644});
+        let messages = credentials.checkEdgerc(file, "papi").map(finding => `${finding.level}: ${finding.message}`);
+        assert(messages.some(message => /^warning: .*other users/.test(message)), messages);
+        assert(messages.some(message => /^warning: Line 1 /.test(message)), messages);
+        assert(messages.some(message => /^warning: access_token is set again on line 6/.test(message)), messages);
+        assert(messages.some(message => /^error: Missing client_token/.test(message)), messages);
+        assert(messages.some(message => /^error: host should look like/.test(message)), messages);
+        assert(messages.some(message => /^error: client_secret is not base64/.test(message)), messages);
+        assert.deepEqual(credentials.checkEdgerc(file, "other").map(finding => finding.message).slice(-1),
+            [`No [other] section in ${file}, it has [papi]`]);
+    });
+
+    it('should probe the access of the credentials without changing anything', function () {
+        let server = new MockPapiServer();
+        let properties = Object.keys(server._state.properties).length;
+        let transport = {send: request => {
+            return server.send(request).then(response => {
+                response.headers = Object.assign({date: new Date(Date.now() + 60000).toUTCString()}, response.headers);
+                return response;
+            });
+        }};
+        let akamaiweb = new WebSite({transport: transport});
+        return akamaiweb.checkAccess()
+            .then(report => {
+                assert(report.clockSkew >= 58 && report.clockSkew <= 61, report.clockSkew);
+                assert.equal(report.accountId, "act_B-C-MOCK");
+                assert.deepEqual(report.groups.map(group => group.groupId), ["grp_10001", "grp_10002"]);
+                assert(report.papiRead.ok && report.papiWrite.ok && report.userAdmin.ok);
+                assert.equal(report.papiWrite.status, 200);
+                assert.equal(Object.keys(server._state.properties).length, properties);
+                assert.deepEqual(server.requests.filter(request => request.method !== 'GET'), []);
+            })
+    });
+
+    it('should tell write access from the level of the API client, or that it is unknown', function () {
+        let server = new MockPapiServer();
+        let client = null;
+        let transport = {send: request => /identity-management/.test(request.path) && client ?
+            Promise.resolve(client) : server.send(request)};
+        client = {statusCode: 200, headers: {}, body: JSON.stringify({apiAccess: {apis: [{apiName: "Property Manager (PAPI)", accessLevel: "READ-ONLY"}]}})};
+        return new WebSite({transport: transport}).checkAccess()
+            .then(report => {
+                assert.deepEqual(report.papiWrite, {ok: false, status: 200, detail: "the API client has READ-ONLY access to PAPI"});
+                client = {statusCode: 403, headers: {}, body: JSON.stringify({title: "Forbidden"})};
+                return new WebSite({transport: transport, retry: {retries: 0}}).checkAccess();
+            })
+            .then(report => {
+                assert.strictEqual(report.papiWrite.ok, null);
+                assert.equal(report.papiWrite.status, 403);
+                assert(report.papiRead.ok);
+            })
+    });
+})
@@ -0,0 +1,77 @@
+var assert = require("assert");
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+var ValidationError = require('../index').ValidationError;
+var ruleDiff = require('../index').ruleDiff;
+
+describe('Version diff', function () {
+    var server, akamaiweb, property;
+
+    beforeEach(function () {
+        server = new MockPapiServer();
+        property = server.addProperty({propertyName: "diff.example.com", hostnames: ["diff.example.com"], versions: 2});
+        server.state.properties[property.propertyId].productionVersion = 1;
+        server.addProperty({propertyName: "other.example.com", hostnames: ["other.example.com"]});
+        akamaiweb = new WebSite({transport: server});
+        return akamaiweb.setOrigin("diff.example.com", 2, "origin2.example.com");
+    });
+
+    it('should compare production with the latest version by default', function () {
+        return akamaiweb.diff("diff.example.com")
+            .then(result => {
+                assert.equal(result.from.propertyVersion, 1);
+                assert.equal(result.to.propertyVersion, 2);
+                assert.deepEqual(result.changes.map(change => `${change.op} ${change.path}`),
+                    ["changed default.origin.hostname"]);
+                assert.equal(result.changes[0].rule, "default");
+            })
+    });
+
+    it('should fail when the version is not active', function () {
+        return akamaiweb.diff("diff.example.com", WebSite.LATEST_VERSION.STAGING)
+            .then(() => assert.fail("expected an error"), error => {
+                assert(error instanceof ValidationError);
+                assert.equal(error.message, "diff.example.com has no version active on staging");
+            })
+    });
+
+    it('should compare with another property or a rule tree', function () {
+        return akamaiweb.diff("diff.example.com", 1, "other.example.com", 1)
+            .then(result => {
+                assert.equal(result.to.propertyName, "other.example.com");
+                assert.deepEqual(result.changes, []);
+                return akamaiweb.retrieve("diff.example.com", 1);
+            })
+            .then(rules => akamaiweb.diff("diff.example.com", 2, rules))
+            .then(result => {
+                assert.deepEqual(result.changes.map(change => change.after), ["origin.example.com"]);
+            })
+    });
+
+    it('should group the unified output by rule', function () {
+        let before = MockPapiServer.defaultRules();
+        let after = JSON.parse(JSON.stringify(before));
+        after.children[0].behaviors.push({name: "prefetch", options: {enabled: true}});
+        after.children.push({name: "New", behaviors: [], criteria: [], children: []});
+        let text = ruleDiff.formatUnified(ruleDiff.diffRules(before, after), "a v1", "a v2");
+        let child = before.children[0].name;
+        assert.equal(text, [
+            "--- a v1",
+            "+++ a v2",
+            `@@ default/${child} @@`,
+            "+.prefetch: {",
+            '+   "name": "prefetch",',
+            '+   "options": {',
+            '+     "enabled": true',
+            "+   }",
+            "+ }",
+            "@@ default @@",
+            "+/New: {",
+            '+   "name": "New",',
+            '+   "behaviors": [],',
+            '+   "criteria": [],',
+            '+   "children": []',
+            "+ }"
+        ].join("\n"));
+    });
+})
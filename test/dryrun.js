@@ -0,0 +1,91 @@
+var assert = require("assert");
+var util = require("util");
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+var DryRunTransport = require('../index').DryRunTransport;
+var diffRules = require('../src/ruleDiff').diffRules;
+
+describe('Dry run', function () {
+    var server, property, transport, akamaiweb, output;
+
+    beforeEach(function () {
+        server = new MockPapiServer();
+        property = server.addProperty({propertyName: "dry.example.com", hostnames: ["dry.example.com"]});
+        output = [];
+        transport = new DryRunTransport(server, {log: function () { output.push(util.format.apply(util, arguments)); }});
+        akamaiweb = new WebSite({transport: transport});
+    });
+
+    function writes() {
+        return server.requests.filter(request => request.method != 'GET' && !/find-by-value/.test(request.path));
+    }
+
+    it('should print rule updates with a diff instead of sending them', function () {
+        return akamaiweb.setOrigin("dry.example.com", 1, "preview.example.com")
+            .then(() => {
+                assert.equal(writes().length, 0);
+                assert.equal(transport.requests.length, 1);
+                assert.equal(transport.requests[0].method, 'PUT');
+                assert(output.indexOf('~ default.origin.hostname: "origin.example.com" -> "preview.example.com"') >= 0);
+                let origin = server.state.properties[property.propertyId].versions[1].rules.behaviors
+                    .find(behavior => behavior.name == "origin");
+                assert.equal(origin.options.hostname, "origin.example.com");
+            })
+    });
+
+    it('should diff an update against the version it copies', function () {
+        return akamaiweb.retrieve("dry.example.com")
+            .then(rules => {
+                rules.rules.children[0].behaviors.push({name: "prefetch", options: {enabled: true}});
+                return akamaiweb.update("dry.example.com", rules)
+            })
+            .then(() => {
+                assert.equal(writes().length, 0);
+                assert.equal(server.state.properties[property.propertyId].latestVersion, 1);
+                assert.deepEqual(transport.requests.map(request => request.method), ['POST', 'PUT']);
+                assert(/versions\/2\/rules/.test(transport.requests[1].path));
+                assert(output.indexOf('+ default/Performance.prefetch {"enabled":true}') >= 0);
+            })
+    });
+
+    it('should go through activation and deletion without changing anything', function () {
+        return akamaiweb.activate("dry.example.com", 1, WebSite.AKAMAI_ENV.STAGING)
+            .then(() => {
+                return akamaiweb.deleteProperty("dry.example.com")
+            })
+            .then(() => {
+                assert.equal(writes().length, 0);
+                assert(server.state.properties[property.propertyId]);
+                assert(transport.requests.some(request => request.method == 'DELETE'));
+            })
+    });
+
+    it('should preview creating a property from a clone', function () {
+        let log = console.log;
+        console.log = function () {};
+        akamaiweb = new WebSite({transport: server, dryRun: true});
+        return akamaiweb.createFromExisting("new.example.com", {clone: "dry.example.com"})
+            .then(() => {
+                console.log = log;
+                assert.equal(writes().length, 0);
+                assert.equal(Object.keys(server.state.properties).length, 2);
+            }, error => {
+                console.log = log;
+                throw error;
+            })
+    });
+
+    it('should match rules, behaviors and criteria by name when diffing', function () {
+        let before = MockPapiServer.defaultRules();
+        let after = JSON.parse(JSON.stringify(before));
+        after.children.unshift({name: "New", behaviors: [], criteria: [], children: []});
+        after.children[2].criteria[0].options.values.push("svg");
+        after.behaviors = after.behaviors.filter(behavior => behavior.name != "caching");
+        let changes = diffRules(before, after).map(change => `${change.op} ${change.path}`);
+        assert.deepEqual(changes, [
+            "removed default.caching",
+            "added default/New",
+            "changed default/Static Content[fileExtension].values"
+        ]);
+    });
+})
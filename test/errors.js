@@ -0,0 +1,103 @@
+var assert = require("assert");
+var WebSite = require('../index').WebSite;
+var errors = require('../index');
+var fixtures = require('./support/fixtures');
+
+describe('Typed PAPI errors', function () {
+    var server, akamaiweb;
+
+    beforeEach(function () {
+        ({server, akamaiweb} = fixtures.mockWebSite("errors.example.com", {retry: {retries: 0}}));
+    });
+
+    it('should classify problem responses', function () {
+        let request = {method: 'PUT', path: '/papi/v1/properties/prp_1/versions/1/rules'};
+        let error = errors.PapiError.fromResponse({
+            statusCode: 400,
+            body: JSON.stringify({
+                type: "https://problems.luna.akamaiapis.net/papi/v0/json-schema-invalid",
+                title: "Input does not match schema",
+                detail: "Your input has 1 error",
+                errors: [{detail: "Missing option", errorLocation: "#/rules/behaviors/0"}]
+            })
+        }, request);
+        assert(error instanceof errors.ValidationError);
+        assert.equal(error.status, 400);
+        assert.equal(error.method, 'PUT');
+        assert.equal(error.path, request.path);
+        assert.equal(error.errors[0].errorLocation, "#/rules/behaviors/0");
+        assert.equal(error.message, "Input does not match schema: Your input has 1 error");
+        assert.equal(error.exitCode, 6);
+
+        assert(errors.PapiError.fromResponse({statusCode: 403, body: "{}"}) instanceof errors.ForbiddenError);
+        assert(errors.PapiError.fromResponse({statusCode: 412, body: "{}"}) instanceof errors.ConflictError);
+        assert(errors.PapiError.fromResponse({statusCode: 429, body: "not json"}) instanceof errors.RateLimitedError);
+        assert.equal(errors.PapiError.fromResponse({statusCode: 500, body: "{}"}).exitCode, 2);
+    });
+
+    it('should reject when a response cannot be handled', function () {
+        let transport = {
+            send: request => server.send(request)
+                .then(response => /\/rules/.test(request.path) ? Object.assign({}, response, {body: "not json"}) : response)
+        };
+        return new WebSite({transport: transport, retry: {retries: 0}}).retrieve("errors.example.com")
+            .then(() => assert.fail("expected an error"), error => assert(error instanceof SyntaxError))
+    });
+
+    it('should call a request callback once even when it throws', function () {
+        let calls = [];
+        return akamaiweb._send({method: 'GET', path: '/papi/v1/groups'}, (error, response) => {
+            calls.push(error);
+            throw new SyntaxError("Unexpected token");
+        })
+            .then(() => assert.fail("expected an error"), error => {
+                assert(error instanceof SyntaxError);
+                assert.deepEqual(calls, [null]);
+            })
+    });
+
+    it('should reject unknown properties with a NotFoundError', function () {
+        return akamaiweb.retrieve("missing.example.com")
+            .then(() => {
+                assert.fail("retrieve should have been rejected");
+            }, error => {
+                assert(error instanceof errors.NotFoundError);
+                assert.equal(error.exitCode, 3);
+            })
+    });
+
+    it('should reject edits to activated versions with an AlreadyActivatedError', function () {
+        return akamaiweb.activate("errors.example.com", 1, WebSite.AKAMAI_ENV.STAGING)
+            .then(() => {
+                return akamaiweb.setCpcode("errors.example.com", 1, 100001)
+            })
+            .then(() => {
+                assert.fail("update should have been rejected");
+            }, error => {
+                assert(error instanceof errors.AlreadyActivatedError);
+                assert(error instanceof errors.ConflictError);
+                assert.equal(error.status, 403);
+                assert.equal(error.method, 'PUT');
+                assert.equal(error.exitCode, 5);
+            })
+    });
+
+    it('should reject with a NetworkError when there is no response', function () {
+        let transport = {
+            send: () => {
+                let error = new Error("connect ECONNREFUSED");
+                error.code = "ECONNREFUSED";
+                return Promise.reject(error);
+            }
+        };
+        akamaiweb = new WebSite({transport: transport, retry: {retries: 0}});
+        return akamaiweb.retrieveGroups()
+            .then(() => {
+                assert.fail("request should have been rejected");
+            }, error => {
+                assert(error instanceof errors.NetworkError);
+                assert.equal(error.cause.code, "ECONNREFUSED");
+                assert.equal(error.exitCode, 8);
+            })
+    });
+})
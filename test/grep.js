@@ -0,0 +1,64 @@
+var assert = require("assert");
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+var ValidationError = require('../index').ValidationError;
+var ruleSearch = require('../index').ruleSearch;
+
+describe('Rule search', function () {
+    var server, akamaiweb;
+
+    beforeEach(function () {
+        server = new MockPapiServer();
+        let staged = server.addProperty({propertyName: "a.example.com", hostnames: ["a.example.com"], versions: 2});
+        server.state.properties[staged.propertyId].stagingVersion = 1;
+        let legacy = MockPapiServer.defaultRules("prd_SPM");
+        legacy.behaviors[0].options.hostname = "legacy.example.com";
+        server.addProperty({propertyName: "b.example.com", hostnames: ["b.example.com"], groupId: "grp_10002", rules: legacy});
+        akamaiweb = new WebSite({transport: server});
+        return akamaiweb.editRules("a.example.com", 0, [{op: "set", path: "default.origin.hostname", value: "new-origin.example.com"}]);
+    });
+
+    it('should match options, wildcards and the criteria around a behavior', function () {
+        let rules = {rules: MockPapiServer.defaultRules("prd_SPM")};
+        rules.rules.children[1].children = [{name: "Fonts", behaviors: [{name: "caching", options: {behavior: "MAX_AGE", ttl: "30d"}}]}];
+        assert.deepEqual(ruleSearch.find(rules, ruleSearch.query("caching", ["behavior=MAX_AGE"], "fileExtension")).map(match => match.path),
+            ["default/Static Content.caching", "default/Static Content/Fonts.caching"]);
+        assert.deepEqual(ruleSearch.find(rules, ruleSearch.query("caching", ["ttl=*d"])).map(match => match.path),
+            ["default/Static Content.caching", "default/Static Content/Fonts.caching"]);
+        assert.deepEqual(ruleSearch.find(rules, ruleSearch.query(null, ["values=css"], "fileExtension")).map(match => match.path),
+            ["default/Static Content[fileExtension]"]);
+        assert.deepEqual(ruleSearch.find(rules, ruleSearch.query("cpCode", ["value.id=100001"]))[0].rule, "default");
+        assert.deepEqual(ruleSearch.find(rules, ruleSearch.query("origin", ["httpPort=8080"])), []);
+        assert.throws(() => ruleSearch.query(null, ["ttl=1d"]), ValidationError);
+    });
+
+    it('should search the properties of every group', function () {
+        return akamaiweb.grep(ruleSearch.query("origin", ["hostname=*.example.com"]))
+            .then(result => {
+                assert.equal(result.properties, 3);
+                assert.deepEqual(result.found.map(property => [property.propertyName, property.propertyVersion, property.matches[0].path]), [
+                    ["a.example.com", 2, "default.origin"],
+                    ["b.example.com", 1, "default.origin"],
+                    ["example.com", 1, "default.origin"]
+                ]);
+                return akamaiweb.grep(ruleSearch.query("origin", ["hostname=legacy.example.com"]), 0, ["Offline Subgroup"]);
+            })
+            .then(result => {
+                assert.equal(result.properties, 1);
+                assert.deepEqual(result.found.map(property => property.propertyName), ["b.example.com"]);
+                return akamaiweb.grep(ruleSearch.query("origin"), 0, ["grp_99999"]);
+            })
+            .then(() => assert.fail("expected an error"), error => assert(error instanceof ValidationError))
+    });
+
+    it('should search the version active on staging', function () {
+        let search = ruleSearch.query("origin", ["hostname=origin.example.com"]);
+        return akamaiweb.grep(search, WebSite.LATEST_VERSION.STAGING)
+            .then(result => {
+                assert.equal(result.properties, 1);
+                assert.deepEqual(result.found.map(property => [property.propertyName, property.propertyVersion]), [["a.example.com", 1]]);
+                return akamaiweb.grep(search);
+            })
+            .then(result => assert.deepEqual(result.found.map(property => property.propertyName), ["example.com"]))
+    });
+})
@@ -0,0 +1,75 @@
+var assert = require("assert");
+var fs = require('fs');
+var path = require('path');
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+var ValidationError = require('../index').ValidationError;
+var ruleLinter = require('../index').ruleLinter;
+var fixtures = require('./support/fixtures');
+
+describe('Rule linter', function () {
+    var tree;
+
+    beforeEach(function () {
+        tree = {rules: MockPapiServer.defaultRules("prd_SPM")};
+    });
+
+    it('should find nothing in the default rules', function () {
+        assert.deepEqual(ruleLinter.lint(tree), []);
+    });
+
+    it('should report common mistakes with the path of the rule', function () {
+        let rules = tree.rules;
+        rules.behaviors = rules.behaviors.filter(behavior => behavior.name !== "cpCode");
+        delete rules.behaviors[0].options.verificationMode;
+        rules.children[1].behaviors[0].options.behavior = "BYPASS_CACHE";
+        rules.children.push({name: "Performance", behaviors: [], criteria: [], children: []});
+        rules.variables = [{name: "PMUSER_USED"}, {name: "PMUSER_UNUSED"}];
+        rules.children[0].behaviors.push({name: "setVariable", options: {variableName: "PMUSER_USED"}});
+        let deep = rules.children[0];
+        for (let i = 0; i < 5; i++) {
+            deep.children = [{name: `Level ${i + 2}`, behaviors: [{name: "prefetch", options: {enabled: true}}], criteria: [], children: []}];
+            deep = deep.children[0];
+        }
+        assert.deepEqual(ruleLinter.lint(tree).map(finding => `${finding.level} ${finding.check} ${finding.path}`), [
+            "error missing-cpcode default",
+            "warning origin-verification default.origin",
+            "warning no-store-static default/Static Content.caching",
+            "warning duplicate-rule-name default/Performance#2",
+            "warning empty-rule default/Performance#2",
+            "warning unused-variable variables.PMUSER_UNUSED",
+            "warning max-depth default/Performance/Level 2/Level 3/Level 4/Level 5/Level 6"
+        ]);
+    });
+
+    it('should follow the lint config', function () {
+        let dir = fixtures.tempDir('lint');
+        let file = path.join(dir, 'lint-config.json');
+        tree.rules.behaviors = [];
+        tree.rules.children.push({name: "Empty", behaviors: [], criteria: [], children: []});
+        try {
+            fs.writeFileSync(file, JSON.stringify({checks: {"missing-cpcode": "warning", "empty-rule": "off"}}));
+            let config = ruleLinter.loadConfig(file);
+            let findings = ruleLinter.lint(tree, config);
+            assert.deepEqual(findings.map(finding => `${finding.level} ${finding.check}`), ["warning missing-cpcode"]);
+            let junit = ruleLinter.formatJUnit(findings, "rules.json", config);
+            assert(/<testsuite name="rules.json" tests="6" failures="1">/.test(junit));
+            assert(/<failure type="warning" message="1 finding: the default rule has a cpCode behavior">default: /.test(junit));
+
+            fs.writeFileSync(file, JSON.stringify({checks: {"no-such-check": "off"}}));
+            assert.throws(() => ruleLinter.loadConfig(file), error => error instanceof ValidationError && /Unknown check no-such-check/.test(error.message));
+        } finally {
+            fixtures.removeDir(dir);
+        }
+    });
+
+    it('should lint a property version', function () {
+        let server = new MockPapiServer();
+        server.addProperty({propertyName: "lint.example.com", hostnames: ["lint.example.com"], versions: 2});
+        return new WebSite({transport: server}).lint("lint.example.com", 1)
+            .then(result => {
+                assert.equal(result.propertyVersion, 1);
+                assert.deepEqual(result.findings, []);
+            })
+    });
+})
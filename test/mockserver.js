@@ -0,0 +1,73 @@
+var assert = require("assert");
+var WebSite = require('../index').WebSite;
+var AlreadyActivatedError = require('../index').AlreadyActivatedError;
+var fixtures = require('./support/fixtures');
+
+// These tests run against the bundled offline PAPI server, no credentials or network are needed.
+
+describe('Offline PAPI server', function () {
+    var server, akamaiweb, property;
+
+    beforeEach(function () {
+        ({server, property, akamaiweb} = fixtures.mockWebSite("offline.example.com"));
+    });
+
+    it('should retrieve the property rules', function () {
+        return akamaiweb.retrieve("offline.example.com")
+            .then(rules => {
+                assert.equal(rules.propertyId, property.propertyId);
+                assert.equal(rules.rules.name, "default");
+            })
+    });
+
+    it('should find a property by hostname', function () {
+        return akamaiweb.lookupPropertyIdFromHost("offline.example.com")
+            .then(data => {
+                assert.equal(data.propertyId, property.propertyId);
+            })
+    });
+
+    it('should modify the origin on a new version', function () {
+        return akamaiweb.createNewPropertyVersion("offline.example.com")
+            .then(() => {
+                return akamaiweb.setOrigin("offline.example.com", 0, "new.origin.example.com", "origin")
+            })
+            .then(() => {
+                let stored = server.state.properties[property.propertyId];
+                assert.equal(stored.latestVersion, 2);
+                let origin = stored.versions[2].rules.behaviors.find(behavior => behavior.name == "origin");
+                assert.equal(origin.options.hostname, "new.origin.example.com");
+                assert.equal(origin.options.forwardHostHeader, "ORIGIN_HOSTNAME");
+            })
+    });
+
+    it('should refuse to modify an activated version', function () {
+        return akamaiweb.activate("offline.example.com", 1, WebSite.AKAMAI_ENV.STAGING)
+            .then(() => {
+                return akamaiweb.setOrigin("offline.example.com", 1, "blocked.origin.example.com")
+            })
+            .then(() => {
+                assert.fail("update should have been rejected");
+            }, error => {
+                assert(error instanceof AlreadyActivatedError);
+                assert.equal(error.title, "Property version already activated");
+            })
+    });
+
+    it('should clone, activate, deactivate and delete a property', function () {
+        return akamaiweb.createFromExisting("clone.example.com", {clone: "offline.example.com"})
+            .then(() => {
+                return akamaiweb.activate("clone.example.com", 1, WebSite.AKAMAI_ENV.STAGING)
+            })
+            .then(() => {
+                return akamaiweb.deactivate("clone.example.com", WebSite.AKAMAI_ENV.STAGING)
+            })
+            .then(() => {
+                return akamaiweb.deleteProperty("clone.example.com")
+            })
+            .then(() => {
+                let names = Object.keys(server.state.properties).map(id => server.state.properties[id].propertyName);
+                assert.equal(names.indexOf("clone.example.com"), -1);
+            })
+    });
+})
@@ -30,7 +30,7 @@ describe('Modify property', function () {
         return akamaiweb.setOrigin(propertyName, options.version, options.origin, options.forward)
         .catch(error => {
             console.log(error)
-            assert(JSON.parse(error)["title"] == "Property version already activated");
+            assert(error.title == "Property version already activated");
         })
     })
     it ('should create a new property version', function() {
@@ -0,0 +1,64 @@
+var assert = require("assert");
+var fs = require('fs');
+var path = require('path');
+var WebSite = require('../index').WebSite;
+var ruleFiles = require('../index').ruleFiles;
+var ruleNormalize = require('../index').ruleNormalize;
+var fixtures = require('./support/fixtures');
+
+describe('Rule normalization', function () {
+    var server, akamaiweb, dir;
+
+    beforeEach(function () {
+        ({server, akamaiweb} = fixtures.mockWebSite("normal.example.com"));
+        dir = fixtures.tempDir('normalize');
+    });
+
+    afterEach(function () {
+        fixtures.removeDir(dir);
+    });
+
+    it('should sort keys and keep the order of rules, behaviors and lists', function () {
+        let retrieved = {etag: "abc", propertyVersion: 3, ruleFormat: "v2018-02-27", accountId: "act_1", rules: {
+            children: [{behaviors: [], name: "B"}, {name: "A", criteria: [{options: {values: ["js", "css"], matchOperator: "IS_ONE_OF"}, name: "fileExtension"}]}],
+            behaviors: [{options: {ttl: "1d", behavior: "MAX_AGE"}, name: "caching"}, {name: "cpCode", options: {value: {name: "x", id: 1}}}],
+            name: "default"
+        }};
+        let result = ruleNormalize.normalize(retrieved);
+        assert.deepEqual(result.metadata, {accountId: "act_1", etag: "abc", propertyVersion: 3});
+        assert.deepEqual(Object.keys(result.rules), ["ruleFormat", "rules"]);
+        assert.deepEqual(Object.keys(result.rules.rules), ["name", "behaviors", "children"]);
+        assert.deepEqual(result.rules.rules.children.map(rule => rule.name), ["B", "A"]);
+        assert.deepEqual(result.rules.rules.behaviors.map(behavior => Object.keys(behavior.options)), [["behavior", "ttl"], ["value"]]);
+        assert.deepEqual(Object.keys(result.rules.rules.behaviors[1].options.value), ["id", "name"]);
+        assert.deepEqual(Object.keys(result.rules.rules.children[1].criteria[0]), ["name", "options"]);
+        assert.deepEqual(result.rules.rules.children[1].criteria[0].options.values, ["js", "css"]);
+        assert.deepEqual(ruleNormalize.denormalize(result.rules, result.metadata), retrieved);
+        assert.equal(JSON.stringify(ruleNormalize.normalize(JSON.parse(JSON.stringify(result.rules))).rules), JSON.stringify(result.rules));
+        assert.equal(ruleNormalize.metadataFile("rules.json"), "rules.meta.json");
+        assert.equal(ruleNormalize.metadataFile("~/.config/rules"), "~/.config/rules.meta");
+    });
+
+    it('should retrieve normalized and update from the file as retrieved', function () {
+        let file = path.join(dir, "rules.yaml");
+        let retrieved;
+        return akamaiweb.retrieveToFile("normal.example.com", file, WebSite.LATEST_VERSION.LATEST, undefined, null, null, true)
+            .then(rules => {
+                retrieved = rules;
+                assert.deepEqual(fs.readdirSync(dir).sort(), ["rules.meta.yaml", "rules.yaml"]);
+                let text = fs.readFileSync(file, 'utf8');
+                assert(/^ruleFormat: /.test(text));
+                assert(text.indexOf('etag') < 0 && text.indexOf('propertyVersion') < 0);
+                assert.deepEqual(ruleFiles.read(file), rules);
+                let edited = ruleFiles.parse(text, "yaml");
+                edited.rules.behaviors[0].options.hostname = "origin2.example.com";
+                fs.writeFileSync(file, ruleFiles.stringify(edited, "yaml"));
+                return akamaiweb.updateFromFile("normal.example.com", file);
+            })
+            .then(() => akamaiweb.retrieve("normal.example.com"))
+            .then(rules => {
+                assert.equal(rules.propertyVersion, retrieved.propertyVersion + 1);
+                assert.equal(rules.rules.behaviors[0].options.hostname, "origin2.example.com");
+            })
+    });
+})
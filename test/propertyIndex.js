@@ -0,0 +1,122 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+var PropertyIndex = require('../index').PropertyIndex;
+var NotFoundError = require('../index').NotFoundError;
+var fixtures = require('./support/fixtures');
+
+describe('Property index', function () {
+    var server, property, dir, now;
+
+    function createIndex(options) {
+        return new PropertyIndex(Object.assign({dir: dir, section: "test", now: () => now}, options));
+    }
+
+    function searches() {
+        return server.requests.filter(request => /find-by-value/.test(request.path)).length;
+    }
+
+    beforeEach(function () {
+        server = new MockPapiServer();
+        property = server.addProperty({propertyName: "indexed", hostnames: ["www.indexed.example.com"]});
+        dir = fixtures.tempDir('property-index');
+        now = Date.now();
+    });
+
+    afterEach(function () {
+        fixtures.removeDir(dir);
+    });
+
+    it('should remember hostname lookups between instances', function () {
+        return new WebSite({transport: server, index: createIndex()}).lookupPropertyIdFromHost("www.indexed.example.com")
+            .then(() => {
+                let before = searches();
+                assert(before > 0);
+                return new WebSite({transport: server, index: createIndex()}).lookupPropertyIdFromHost("www.indexed.example.com")
+                    .then(data => {
+                        assert.equal(data.propertyId, property.propertyId);
+                        assert.equal(searches(), before);
+                    })
+            })
+    });
+
+    it('should search again once entries expire', function () {
+        return new WebSite({transport: server, index: createIndex({ttl: 60})}).retrieve("indexed")
+            .then(() => {
+                let before = searches();
+                now += 61000;
+                return new WebSite({transport: server, index: createIndex({ttl: 60})}).retrieve("indexed")
+                    .then(() => {
+                        assert(searches() > before);
+                    })
+            })
+    });
+
+    it('should keep accounts apart and forget deleted properties', function () {
+        let index = createIndex();
+        index.add("1-ABCDE", property, ["www.indexed.example.com"]);
+        assert.notEqual(index.file("1-ABCDE"), index.file());
+        assert.equal(createIndex().find(null, "indexed"), undefined);
+        assert.equal(createIndex().find("1-ABCDE", "www.indexed.example.com").propertyId, property.propertyId);
+
+        index = createIndex();
+        return new WebSite({transport: server, index: index}).retrieve("indexed")
+            .then(() => {
+                assert(index.find(null, "indexed"));
+                return new WebSite({transport: server, index: index}).deleteProperty("indexed")
+            })
+            .then(() => {
+                assert.equal(createIndex().find(null, "indexed"), undefined);
+            })
+    });
+
+    it('should keep entries through an outage and reject ids which are gone', function () {
+        let index = createIndex();
+        index.add(null, property, ["www.indexed.example.com"]);
+        index.add(null, Object.assign({}, property, {propertyId: "prp_999999", propertyName: "gone"}), []);
+        let outage = true;
+        let transport = {send: request => outage && request.path.indexOf(`/properties/${property.propertyId}?`) >= 0 ?
+            Promise.resolve({statusCode: 503, headers: {}, body: "{}"}) : server.send(request)};
+        return new WebSite({transport: transport, index: index, retry: {retries: 0}}).retrieve("indexed")
+            .then(() => assert.fail("expected an error"), error => {
+                assert.equal(error.status, 503);
+                assert.equal(searches(), 0);
+                assert(createIndex().find(null, "indexed"));
+                return new WebSite({transport: server, index: index}).retrieve("prp_999999");
+            })
+            .then(() => assert.fail("expected an error"), error => {
+                assert(error instanceof NotFoundError);
+                assert.equal(createIndex().find(null, "prp_999999"), undefined);
+            })
+    });
+
+    it('should rebuild the index from every group', function () {
+        server.addProperty({propertyName: "other", groupId: "grp_10002", hostnames: ["www.other.example.com"]});
+        let index = createIndex();
+        return new WebSite({transport: server, index: index}).rebuildIndex()
+            .then(stats => {
+                assert.equal(stats.properties, 3);
+                assert(stats.builtAt);
+                return new WebSite({transport: server, index: createIndex()}).lookupPropertyIdFromHost("www.other.example.com")
+                    .then(data => {
+                        assert.equal(data.propertyName, "other");
+                        assert.equal(searches(), 0);
+                    })
+            })
+    });
+
+    it('should keep hosts apart and ignore files others can write', function () {
+        let index = createIndex({host: "akab-1.luna.akamaiapis.net"});
+        index.add(null, property, ["www.indexed.example.com"]);
+        assert.notEqual(index.file(), createIndex({host: "akab-2.luna.akamaiapis.net"}).file());
+        assert.equal(createIndex({host: "akab-1.luna.akamaiapis.net"}).find(null, "indexed").propertyId, property.propertyId);
+        fs.chmodSync(index.file(), 0o666);
+        assert.equal(createIndex({host: "akab-1.luna.akamaiapis.net"}).find(null, "indexed"), undefined);
+        fs.chmodSync(index.file(), 0o600);
+        fs.chmodSync(dir, 0o777);
+        assert.equal(createIndex({host: "akab-1.luna.akamaiapis.net"}).find(null, "indexed"), undefined);
+        fs.chmodSync(dir, 0o700);
+    });
+})
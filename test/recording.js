@@ -0,0 +1,81 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+var RecordingTransport = require('../index').RecordingTransport;
+var ReplayTransport = require('../index').ReplayTransport;
+var fixtures = require('./support/fixtures');
+
+describe('Recording and replay', function () {
+    var server, dir, cassette;
+
+    beforeEach(function () {
+        server = new MockPapiServer();
+        server.addProperty({propertyName: "tape.example.com", hostnames: ["tape.example.com"]});
+        dir = fixtures.tempDir('recording');
+        cassette = path.join(dir, 'cassette.json');
+    });
+
+    afterEach(function () {
+        fixtures.removeDir(dir);
+    });
+
+    it('should replay a recorded session without the server', function () {
+        let recorded;
+        return new WebSite({transport: server, record: cassette}).retrieve("tape.example.com")
+            .then(rules => {
+                recorded = rules;
+                let requests = server.requests.length;
+                return new WebSite({replay: cassette}).retrieve("tape.example.com")
+                    .then(replayed => {
+                        assert.deepEqual(replayed, recorded);
+                        assert.equal(server.requests.length, requests);
+                    })
+            })
+    });
+
+    it('should tell search requests apart by their body', function () {
+        let property = server.addProperty({propertyName: "cassette", hostnames: ["www.cassette.example.com"]});
+        return new WebSite({transport: server, record: cassette}).lookupPropertyIdFromHost("www.cassette.example.com")
+            .then(() => {
+                let content = JSON.parse(fs.readFileSync(cassette));
+                let searches = content.interactions.filter(interaction => /find-by-value/.test(interaction.request.path));
+                assert(searches.length > 1);
+                return new WebSite({replay: cassette}).lookupPropertyIdFromHost("www.cassette.example.com")
+            })
+            .then(data => {
+                assert.equal(data.propertyId, property.propertyId);
+            })
+    });
+
+    it('should scrub credentials', function () {
+        let transport = new RecordingTransport(server, cassette);
+        return transport.send({
+                path: '/papi/v1/groups',
+                headers: {Authorization: 'EG1-HMAC-SHA256 client_token=akab-secret;access_token=akab-secret;', 'Content-Type': 'application/json'}
+            })
+            .then(() => {
+                let text = fs.readFileSync(cassette, 'utf8');
+                assert.equal(text.indexOf('akab-secret'), -1);
+                assert.equal(JSON.parse(text).interactions[0].request.headers['Content-Type'], 'application/json');
+            })
+    });
+
+    it('should record and replay failures and reject requests which were not recorded', function () {
+        let failing = {send: () => Promise.reject(Object.assign(new Error("socket hang up"), {code: "ECONNRESET"}))};
+        return new RecordingTransport(failing, cassette).send({method: 'POST', path: '/papi/v1/cpcodes', body: {}})
+            .catch(() => {
+                let replay = new ReplayTransport(cassette);
+                return replay.send({method: 'POST', path: '/papi/v1/cpcodes', body: {}})
+                    .then(() => assert.fail("failure should be replayed"), error => {
+                        assert.equal(error.code, "ECONNRESET");
+                        return replay.send({path: '/papi/v1/groups'});
+                    })
+                    .then(() => assert.fail("unknown request should be rejected"), error => {
+                        assert.equal(error.code, "ENOTRECORDED");
+                        assert(/GET \/papi\/v1\/groups/.test(error.message));
+                    })
+            })
+    });
+})
@@ -0,0 +1,115 @@
+var assert = require("assert");
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+var RetryPolicy = require('../index').RetryPolicy;
+
+// Transport failing the first `count` requests matching `filter` before handing over to the offline server
+function flakyTransport(server, count, failure, filter) {
+    return {
+        attempts: 0,
+        send: function (request) {
+            if (!filter || filter(request)) {
+                this.attempts++;
+                if (this.attempts <= count) {
+                    return failure.code ? Promise.reject(failure) : Promise.resolve(failure);
+                }
+            }
+            return server.send(request);
+        }
+    };
+}
+
+function connectionError(code) {
+    let error = new Error("socket hang up");
+    error.code = code;
+    return error;
+}
+
+var fastRetries = {retries: 3, minDelay: 1, maxDelay: 5, budget: 1000};
+
+describe('Retry policy', function () {
+    var server;
+
+    beforeEach(function () {
+        server = new MockPapiServer();
+    });
+
+    it('should retry a GET after a 503 and a dropped connection', function () {
+        let failures = 0;
+        let transport = {
+            send: request => {
+                failures++;
+                if (failures == 1) return Promise.resolve({statusCode: 503, headers: {}, body: ''});
+                if (failures == 2) return Promise.reject(connectionError('ECONNRESET'));
+                return server.send(request);
+            }
+        };
+        let akamaiweb = new WebSite({transport: transport, retry: fastRetries});
+        return akamaiweb.retrieveGroups()
+            .then(groups => {
+                assert.equal(groups[0].groupId, 'grp_10001');
+                assert.equal(failures, 3);
+            })
+    });
+
+    it('should honor Retry-After on 429 responses', function () {
+        let waits = [];
+        let policy = new RetryPolicy({retries: 2, minDelay: 1, sleep: time => {
+            waits.push(time);
+            return Promise.resolve();
+        }});
+        let transport = flakyTransport(server, 1, {statusCode: 429, headers: {'Retry-After': '2'}, body: ''});
+        let akamaiweb = new WebSite({transport: transport, retry: policy});
+        return akamaiweb.retrieveFormats()
+            .then(formats => {
+                assert(formats.length > 0);
+                assert.deepEqual(waits, [2000]);
+            })
+    });
+
+    it('should not repeat a POST after a dropped connection', function () {
+        let transport = flakyTransport(server, 1, connectionError('ECONNRESET'), request => request.method == 'POST');
+        let akamaiweb = new WebSite({transport: transport, retry: fastRetries});
+        return akamaiweb.searchProperties("example.com")
+            .then(() => {
+                assert.fail("search should have failed");
+            }, error => {
+                assert.equal(transport.attempts, 1);
+                assert(error.message.match(/POST \/papi\/v1\/search\/find-by-value failed: ECONNRESET/));
+            })
+    });
+
+    it('should not repeat a POST after a 503', function () {
+        let transport = flakyTransport(server, 1, {statusCode: 503, headers: {}, body: ''}, request => request.method == 'POST');
+        let akamaiweb = new WebSite({transport: transport, retry: fastRetries});
+        return akamaiweb.searchProperties("example.com")
+            .then(() => {
+                assert.fail("search should have failed");
+            }, error => {
+                assert.equal(transport.attempts, 1);
+                assert.equal(error.status, 503);
+            })
+    });
+
+    it('should repeat a POST that never reached the server', function () {
+        let transport = flakyTransport(server, 1, connectionError('ECONNREFUSED'), request => request.method == 'POST');
+        let akamaiweb = new WebSite({transport: transport, retry: fastRetries});
+        return akamaiweb.searchProperties("example.com")
+            .then(data => {
+                assert.equal(transport.attempts, 2);
+                assert.equal(data.versions.items[0].propertyName, "example.com");
+            })
+    });
+
+    it('should give up with a clear error once the retries are used', function () {
+        let transport = flakyTransport(server, 10, {statusCode: 502, headers: {}, body: ''});
+        let akamaiweb = new WebSite({transport: transport, retry: fastRetries});
+        return akamaiweb.retrieve("example.com")
+            .then(() => {
+                assert.fail("retrieve should have failed");
+            }, error => {
+                assert.equal(transport.attempts, 4);
+                assert(error.message.match(/^Giving up on GET \/papi\/v1\/rule-formats after 4 attempts/));
+            })
+    });
+})
@@ -0,0 +1,93 @@
+var assert = require("assert");
+var MockPapiServer = require('../index').MockPapiServer;
+var ValidationError = require('../index').ValidationError;
+var ruleEdits = require('../index').ruleEdits;
+var fixtures = require('./support/fixtures');
+
+describe('Rule edits', function () {
+    var server, akamaiweb, tree;
+
+    beforeEach(function () {
+        ({server, akamaiweb} = fixtures.mockWebSite("edits.example.com"));
+        tree = {rules: MockPapiServer.defaultRules("prd_SPM")};
+        tree.rules.children.push({name: "Images v1.2", behaviors: [
+            {name: "caching", options: {behavior: "MAX_AGE", ttl: "1d"}},
+            {name: "caching", options: {behavior: "MAX_AGE", ttl: "7d"}}
+        ], criteria: [], children: []});
+    });
+
+    it('should address rules, behaviors and criteria by the paths of the diff', function () {
+        assert.equal(ruleEdits.resolve(tree, "default/Static Content[fileExtension].values").item.name, "fileExtension");
+        assert.deepEqual(ruleEdits.resolve(tree, "default/Images v1.2.caching#2.ttl").options, ["ttl"]);
+        assert.equal(ruleEdits.resolve(tree, "default/Images v1.2.caching#2").index, 1);
+        assert.throws(() => ruleEdits.resolve(tree, "default/Perf.caching"), error => error instanceof ValidationError &&
+            error.message === "default has no child rule Perf, its child rules: Performance, Static Content, Images v1.2");
+        assert.throws(() => ruleEdits.resolve(tree, "default/Performance.gzipResponse"), /has no behavior gzipResponse, its behaviors: sureRoute, http2/);
+    });
+
+    it('should set, unset and add in order', function () {
+        let changes = ruleEdits.apply(tree, [
+            {op: "set", path: "default.origin.hostname", value: "origin2.example.com"},
+            {op: "set", path: "default/Images v1.2.caching#2.ttl", value: "30d"},
+            {op: "unset", path: "default/Images v1.2.caching"},
+            {op: "unset", path: "default.origin.compress"},
+            {op: "add", path: "default/Performance", kind: "behavior", value: '{"name": "prefetch", "options": {"enabled": true}}'},
+            {op: "set", path: "default/Performance:comments", value: "Faster"}
+        ]);
+        assert.equal(changes[0], 'changed default.origin.hostname from "origin.example.com" to "origin2.example.com"');
+        assert.deepEqual(tree.rules.children[2].behaviors, [{name: "caching", options: {behavior: "MAX_AGE", ttl: "30d"}}]);
+        assert.strictEqual(tree.rules.behaviors[0].options.compress, undefined);
+        assert.equal(changes[4], "added default/Performance.prefetch");
+        assert.equal(tree.rules.children[0].comments, "Faster");
+        assert.deepEqual(ruleEdits.parseAssignment("default.origin.httpPort=8080"), {path: "default.origin.httpPort", value: 8080});
+        assert.deepEqual(ruleEdits.parseAssignment("default.origin.hostname=a=b"), {path: "default.origin.hostname", value: "a=b"});
+    });
+
+    it('should add, move, rename and remove rules', function () {
+        let changes = ruleEdits.apply(tree, [
+            {op: "add-rule", path: "default/Performance", value: '{"name": "API", "behaviors": []}', index: 0},
+            {op: "move-rule", path: "default/Images v1.2", index: 0},
+            {op: "move-rule", path: "default/Performance/API", to: "default"},
+            {op: "rename-rule", path: "default/API", value: "Api"},
+            {op: "remove-rule", path: "default/Static Content"},
+            {op: "comment-rule", path: "default/Api", value: "Public API"},
+            {op: "comment-rule", path: "default/Performance", value: ""}
+        ]);
+        assert.deepEqual(changes, [
+            "added default/Performance/API at index 0",
+            "moved default/Images v1.2 to default/Images v1.2 at index 0",
+            "moved default/Performance/API to default/API at index 3",
+            "renamed default/API to Api",
+            "removed default/Static Content",
+            "commented default/Api",
+            "removed the comments of default/Performance"
+        ]);
+        assert.deepEqual(tree.rules.children.map(rule => rule.name), ["Images v1.2", "Performance", "Api"]);
+        assert.deepEqual(tree.rules.children[2], {name: "Api", children: [], behaviors: [], criteria: [], comments: "Public API"});
+        assert.strictEqual(tree.rules.children[1].comments, undefined);
+        assert.throws(() => ruleEdits.moveRule(tree, "default/Performance", "default/Performance"), /cannot be moved into itself/);
+        assert.throws(() => ruleEdits.addRule(tree, "default", {name: "X"}, 5), /Index 5 is out of range, default has 3 child rules/);
+        assert.throws(() => ruleEdits.removeRule(tree, "default"), /default rule cannot be removed/);
+    });
+
+    it('should write the rules only when every edit applies', function () {
+        return akamaiweb.editRules("edits.example.com", 0, [
+            {op: "set", path: "default/Performance.sureRoute.enabled", value: false},
+            {op: "set", path: "default/Static Content[fileExtension].values", value: ["css", "js"]}
+        ])
+            .then(() => akamaiweb.retrieve("edits.example.com"))
+            .then(rules => {
+                assert.strictEqual(rules.rules.children[0].behaviors[0].options.enabled, false);
+                assert.deepEqual(rules.rules.children[1].criteria[0].options.values, ["css", "js"]);
+                return akamaiweb.editRules("edits.example.com", 0, [
+                    {op: "set", path: "default.origin.hostname", value: "origin3.example.com"},
+                    {op: "unset", path: "default.nosuchBehavior"}
+                ]);
+            })
+            .then(() => assert.fail("expected an error"), error => {
+                assert(error instanceof ValidationError);
+                return akamaiweb.retrieve("edits.example.com");
+            })
+            .then(rules => assert.equal(rules.rules.behaviors[0].options.hostname, "origin.example.com"))
+    });
+})
@@ -0,0 +1,30 @@
+var assert = require("assert");
+var ruleWalk = require('../index').ruleWalk;
+var ruleEdits = require('../index').ruleEdits;
+
+describe('Rule tree walk', function () {
+    var tree;
+
+    beforeEach(function () {
+        tree = {name: "default", criteria: [], behaviors: [{name: "origin"}, {name: "caching"}, {name: "caching"}], children: [
+            {name: "Images", criteria: [{name: "fileExtension"}], children: [{name: "JPEG"}, {name: "JPEG"}]},
+            {name: "Images", children: []}
+        ]};
+    });
+
+    it('should visit every rule with the paths of ruleEdits', function () {
+        let visited = [];
+        ruleWalk.walk(tree, (rule, rulePath, depth, inherited) => visited.push([rulePath, depth, inherited.length]));
+        assert.deepEqual(visited, [["default", 0, 0], ["default/Images", 1, 0], ["default/Images/JPEG", 2, 1],
+            ["default/Images/JPEG#2", 2, 1], ["default/Images#2", 1, 0]]);
+        visited.forEach(entry => assert(ruleEdits.resolve(tree, entry[0]).kind === 'rule'));
+        assert.equal(ruleEdits.resolve(tree, "default/Images/JPEG#2").rule, tree.children[0].children[1]);
+    });
+
+    it('should label repeated names', function () {
+        assert.deepEqual(ruleWalk.labels(tree.behaviors).map(entry => entry.label), ["origin", "caching", "caching#2"]);
+        assert.deepEqual(ruleWalk.labels(undefined), []);
+        assert.equal(ruleWalk.itemPath("default", "behavior", tree.behaviors, 2), "default.caching#2");
+        assert.equal(ruleWalk.itemPath("default/Images", "criteria", tree.children[0].criteria, 0), "default/Images[fileExtension]");
+    });
+})
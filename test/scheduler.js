@@ -0,0 +1,69 @@
+var assert = require("assert");
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+var RequestScheduler = require('../index').RequestScheduler;
+
+// Transport answering from the offline server after a short delay, keeping track of the requests in flight
+function slowTransport(server) {
+    return {
+        inFlight: 0,
+        maxInFlight: 0,
+        send: function (request) {
+            this.inFlight++;
+            this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+            return new Promise(resolve => setTimeout(resolve, 5))
+                .then(() => {
+                    this.inFlight--;
+                    return server.send(request);
+                })
+        }
+    };
+}
+
+describe('Request scheduler', function () {
+    it('should cap concurrent requests while crawling groups', function () {
+        let server = new MockPapiServer();
+        for (let i = 0; i < 20; i++) {
+            server.state.groups.push({groupId: 'grp_2000' + i, groupName: 'Group ' + i, contractIds: ['ctr_C-MOCK']});
+        }
+        let transport = slowTransport(server);
+        let akamaiweb = new WebSite({transport: transport, throttle: 3});
+        return akamaiweb._initPropertyCache("example.com")
+            .then(() => {
+                assert.equal(transport.maxInFlight, 3);
+                assert(akamaiweb._propertyByName["example.com"]);
+            })
+    });
+
+    it('should cap requests per second', function () {
+        let scheduler = new RequestScheduler({concurrency: 10, rate: 4});
+        let started = Date.now();
+        let times = [];
+        let tasks = [];
+        for (let i = 0; i < 6; i++) {
+            tasks.push(scheduler.schedule(() => {
+                times.push(Date.now() - started);
+                return Promise.resolve(i);
+            }));
+        }
+        return Promise.all(tasks)
+            .then(results => {
+                assert.deepEqual(results, [0, 1, 2, 3, 4, 5]);
+                assert(times[3] < 500);
+                assert(times[4] >= 950);
+            })
+    });
+
+    it('should share one scheduler between instances', function () {
+        let scheduler = new RequestScheduler({concurrency: 1});
+        let server = new MockPapiServer();
+        let transport = slowTransport(server);
+        let first = new WebSite({transport: transport, scheduler: scheduler});
+        let second = new WebSite({transport: transport, scheduler: scheduler});
+        return Promise.all([first.retrieveGroups(), second.retrieveGroups(), first.retrieveFormats()])
+            .then(() => {
+                assert.equal(transport.maxInFlight, 1);
+                assert.equal(scheduler.pending, 0);
+            })
+    });
+})
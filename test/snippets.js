@@ -0,0 +1,74 @@
+var assert = require("assert");
+var fs = require('fs');
+var path = require('path');
+var ValidationError = require('../index').ValidationError;
+var ruleFiles = require('../src/ruleFiles');
+var fixtures = require('./support/fixtures');
+
+describe('Rule snippets', function () {
+    var server, akamaiweb, dir;
+
+    beforeEach(function () {
+        ({server, akamaiweb} = fixtures.mockWebSite("snippets.example.com"));
+        dir = fixtures.tempDir('snippets');
+    });
+
+    afterEach(function () {
+        fixtures.removeDir(dir);
+    });
+
+    it('should write one file per top level rule and read them back', function () {
+        let retrieved;
+        return akamaiweb.retrieveToSnippets("snippets.example.com", dir)
+            .then(rules => {
+                retrieved = rules;
+                let main = JSON.parse(fs.readFileSync(path.join(dir, "main.json")));
+                assert.deepEqual(main.rules.children, rules.rules.children.map(child =>
+                    "#include:" + child.name.replace(/[^\w.-]+/g, '_') + ".json"));
+                assert.deepEqual(ruleFiles.read(dir), retrieved);
+            })
+    });
+
+    it('should write a file for the child rules at every level', function () {
+        let tree = {rules: {name: "default", children: [
+            {name: "Static Content", children: [
+                {name: "Images", children: [{name: "JPEG", behaviors: [{name: "caching"}], children: []}]}]}]}};
+        let written = ruleFiles.writeSnippets(dir, JSON.parse(JSON.stringify(tree)));
+        assert.deepEqual(written, ["main.json", "Static_Content.json", "Static_Content-Images.json",
+            "Static_Content-Images-JPEG.json"]);
+        assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "Static_Content-Images.json"))).children,
+            ["#include:Static_Content-Images-JPEG.json"]);
+        assert.deepEqual(ruleFiles.read(dir), tree);
+        assert.deepEqual(ruleFiles.read(path.join(dir, "Static_Content.json")), tree.rules.children[0]);
+    });
+
+    it('should update a property from snippets', function () {
+        return akamaiweb.retrieveToSnippets("snippets.example.com", dir)
+            .then(rules => {
+                let file = path.join(dir, rules.rules.children[0].name + ".json");
+                let child = JSON.parse(fs.readFileSync(file));
+                child.behaviors.push({name: "prefetch", options: {enabled: true}});
+                fs.writeFileSync(file, JSON.stringify(child));
+                return akamaiweb.updateFromFile("snippets.example.com", dir);
+            })
+            .then(() => akamaiweb.retrieve("snippets.example.com"))
+            .then(rules => {
+                assert.equal(rules.propertyVersion, 2);
+                assert(rules.rules.children[0].behaviors.some(behavior => behavior.name === "prefetch"));
+            })
+    });
+
+    it('should name the file of a broken include', function () {
+        fs.writeFileSync(path.join(dir, "main.json"), JSON.stringify({rules: {name: "default", children: ["#include:a.json"]}}));
+        fs.writeFileSync(path.join(dir, "a.json"), JSON.stringify({name: "A", children: ["#include:b.json"]}));
+        fs.writeFileSync(path.join(dir, "b.json"), '{"name": "B",');
+        assert.throws(() => ruleFiles.read(dir), error => error instanceof ValidationError &&
+            /^b\.json \(included from a\.json\) is not valid JSON/.test(error.message));
+
+        fs.writeFileSync(path.join(dir, "b.json"), JSON.stringify({name: "B", children: ["#include:a.json"]}));
+        assert.throws(() => ruleFiles.read(dir), /includes itself \(main\.json -> a\.json -> b\.json -> a\.json\)/);
+
+        fs.writeFileSync(path.join(dir, "b.json"), JSON.stringify({name: "B", children: ["#include:../b.json"]}));
+        assert.throws(() => ruleFiles.read(dir), /outside of the snippet directory/);
+    });
+})
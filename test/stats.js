@@ -0,0 +1,57 @@
+var assert = require("assert");
+var MockPapiServer = require('../index').MockPapiServer;
+var ValidationError = require('../index').ValidationError;
+var ruleStats = require('../index').ruleStats;
+var fixtures = require('./support/fixtures');
+
+// A chain of `depth` rules nested one in the other under the default rule
+function nested(rules, depth) {
+    let rule = rules.rules;
+    for (let i = 1; i <= depth; i++) {
+        let child = {name: `Level ${i}`, children: [], behaviors: [], criteria: []};
+        rule.children.push(child);
+        rule = child;
+    }
+    return rules;
+}
+
+describe('Rule stats', function () {
+    var server, akamaiweb;
+
+    beforeEach(function () {
+        ({server, akamaiweb} = fixtures.mockWebSite("stats.example.com"));
+    });
+
+    it('should measure rules and compare them with the limits', function () {
+        let rules = {rules: MockPapiServer.defaultRules("prd_SPM")};
+        rules.rules.variables = [{name: "PMUSER_A", value: "", description: "", hidden: false, sensitive: false}];
+        nested(rules, 8);
+        let stats = ruleStats.measure(rules);
+        assert.deepEqual([stats.rules, stats.depth, stats.behaviors, stats.behaviorsPerRule, stats.busiestRule, stats.criteria, stats.variables],
+            [11, 8, 6, 3, "default", 1, 1]);
+        assert.equal(stats.size, JSON.stringify(rules).length);
+        let results = ruleStats.check(stats);
+        assert.deepEqual(results.map(result => result.name), ["rules", "depth", "behaviorsPerRule", "criteria", "variables", "size"]);
+        assert.deepEqual(results.filter(result => result.level !== 'ok').map(result => [result.name, result.level]), [["depth", "warning"]]);
+        assert.deepEqual(ruleStats.check(stats, {depth: 7, rules: 11}).filter(result => result.level !== 'ok').map(result => [result.name, result.level]),
+            [["rules", "warning"], ["depth", "error"]]);
+        assert.equal(ruleStats.describe(results[2], stats), "behaviorsPerRule: 3 of 100 in default");
+    });
+
+    it('should refuse to update with rules over a limit before creating a version', function () {
+        let latestVersion;
+        return akamaiweb.stats("stats.example.com")
+            .then(result => {
+                latestVersion = result.propertyVersion;
+                assert.deepEqual(result.limits.filter(limit => limit.level !== 'ok'), []);
+                return akamaiweb.retrieve("stats.example.com");
+            })
+            .then(rules => akamaiweb.update("stats.example.com", nested(rules, 11)))
+            .then(() => assert.fail("expected an error"), error => {
+                assert(error instanceof ValidationError);
+                assert.equal(error.message, "The rules are over a limit of PAPI: depth: 11 of 10");
+            })
+            .then(() => akamaiweb.retrieve("stats.example.com"))
+            .then(rules => assert.equal(rules.propertyVersion, latestVersion))
+    });
+})
@@ -0,0 +1,49 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var WebSite = require('../../index').WebSite;
+var MockPapiServer = require('../../index').MockPapiServer;
+
+/**
+ * Fixtures of the offline tests: a WebSite answered by a MockPapiServer, and temporary directories. They live out of
+ * the test directory so that mocha does not load them as tests.
+ */
+
+/**
+ * A MockPapiServer with a property, and a WebSite on it
+ *
+ * @param {Object|string} property the options of MockPapiServer.addProperty, or a name which is also the hostname
+ * @param {Object} options of the WebSite, its transport is the server unless one is given
+ * @returns {Object} the `server`, the `property` it has and the WebSite as `akamaiweb`
+ */
+function mockWebSite(property, options = {}) {
+    let server = new MockPapiServer();
+    if (typeof property === 'string')
+        property = {propertyName: property, hostnames: [property]};
+    let added = server.addProperty(property);
+    return {
+        server: server,
+        property: added,
+        akamaiweb: new WebSite(Object.assign({transport: server}, options))
+    };
+}
+
+/**
+ * A new empty directory in the temporary directory
+ */
+function tempDir(prefix) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+}
+
+/**
+ * Remove a directory of tempDir() with what it has
+ */
+function removeDir(dir) {
+    fs.rmSync(dir, {recursive: true, force: true});
+}
+
+module.exports = {
+    mockWebSite: mockWebSite,
+    tempDir: tempDir,
+    removeDir: removeDir
+};
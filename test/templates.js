@@ -0,0 +1,103 @@
+var assert = require("assert");
+var fs = require('fs');
+var path = require('path');
+var WebSite = require('../index').WebSite;
+var ValidationError = require('../index').ValidationError;
+var templates = require('../index').templates;
+var fixtures = require('./support/fixtures');
+
+describe('Rule templates', function () {
+    var server, akamaiweb, dir, file;
+
+    beforeEach(function () {
+        ({server, akamaiweb} = fixtures.mockWebSite("qa.example.com"));
+        dir = fixtures.tempDir('templates');
+        file = path.join(dir, 'template.json');
+    });
+
+    afterEach(function () {
+        fixtures.removeDir(dir);
+    });
+
+    it('should fill in values keeping the type of whole placeholders', function () {
+        let rules = {rules: {name: "default", behaviors: [
+            {name: "origin", options: {hostname: "${env.origin.hostname}", httpPort: "${env.origin.port}"}},
+            {name: "cpCode", options: {value: {id: "${env.cpcode}"}}},
+            {name: "setVariable", options: {value: "{{user.PMUSER_X}}-${env.stage}"}}
+        ]}};
+        let values = {origin: {hostname: "origin-qa.example.com", port: 8080}, cpcode: 12345, stage: "qa"};
+        let behaviors = templates.render(rules, values).rules.behaviors;
+        assert.deepEqual(behaviors[0].options, {hostname: "origin-qa.example.com", httpPort: 8080});
+        assert.strictEqual(behaviors[1].options.value.id, 12345);
+        assert.equal(behaviors[2].options.value, "{{user.PMUSER_X}}-qa");
+        assert.equal(rules.rules.behaviors[1].options.value.id, "${env.cpcode}");
+    });
+
+    it('should list every unresolved placeholder', function () {
+        let rules = {rules: {name: "default", behaviors: [
+            {name: "origin", options: {hostname: "${env.originHostname}"}},
+            {name: "cpCode", options: {value: {id: "${env.cpcode}"}}}
+        ]}};
+        assert.throws(() => templates.render(rules, {cpcode: 1}), error => error instanceof ValidationError &&
+            error.errors.length === 1 && error.errors[0].errorLocation === "rules.behaviors[0].options.hostname");
+        assert.throws(() => templates.render(rules), error => error.errors.length === 2 && /--values/.test(error.message));
+    });
+
+    it('should turn retrieved rules into a template and back', function () {
+        let values = {originHostname: "origin.example.com"};
+        return akamaiweb.retrieveToFile("qa.example.com", file, 0, undefined, values, null, false, {originHostname: "default.origin.hostname"})
+            .then(() => {
+                let template = JSON.parse(fs.readFileSync(file));
+                let origin = template.rules.behaviors.find(behavior => behavior.name === "origin");
+                assert.equal(origin.options.hostname, "${env.originHostname}");
+                return akamaiweb.updateFromFile("qa.example.com", file, false, undefined, {originHostname: "origin-qa.example.com"});
+            })
+            .then(() => akamaiweb.retrieve("qa.example.com"))
+            .then(rules => {
+                let origin = rules.rules.behaviors.find(behavior => behavior.name === "origin");
+                assert.equal(origin.options.hostname, "origin-qa.example.com");
+                // retrieving again puts the placeholders where the template has them
+                return akamaiweb.retrieveToFile("qa.example.com", file, 0, undefined, {originHostname: "origin-qa.example.com"});
+            })
+            .then(() => {
+                let origin = JSON.parse(fs.readFileSync(file)).rules.behaviors.find(behavior => behavior.name === "origin");
+                assert.equal(origin.options.hostname, "${env.originHostname}");
+            })
+    });
+
+    it('should put placeholders only at the options of their values', function () {
+        let rules = {rules: {name: "default", behaviors: [
+            {name: "origin", options: {hostname: "origin-qa.example.com", httpPort: 80}},
+            {name: "caching", options: {ttl: "qa"}}
+        ], children: [{name: "API", criteria: [{name: "hostname", options: {values: ["api-qa.example.com", "qa.example.com"]}}]}]}};
+        let values = {originHostname: "origin-qa.example.com", port: 80, stage: "qa"};
+        let paths = {originHostname: "default.origin.hostname", port: ["default.origin.httpPort"], stage: "default/API[hostname].values.0"};
+        let template = templates.templatize(rules, values, paths);
+        assert.deepEqual(template.rules.behaviors[0].options, {hostname: "${env.originHostname}", httpPort: "${env.port}"});
+        assert.equal(template.rules.behaviors[1].options.ttl, "qa");
+        assert.deepEqual(template.rules.children[0].criteria[0].options.values, ["api-${env.stage}.example.com", "qa.example.com"]);
+        assert.equal(rules.rules.behaviors[0].options.hostname, "origin-qa.example.com");
+        assert.deepEqual(templates.placeholderPaths(template), {originHostname: ["default.origin.hostname"],
+            port: ["default.origin.httpPort"], stage: ["default/API[hostname].values.0"]});
+        assert.deepEqual(templates.render(template, values), rules);
+        assert.throws(() => templates.templatize(rules, values), error => error instanceof ValidationError);
+        assert.throws(() => templates.templatize(rules, values, {stage: ["default.caching.ttl", "default.origin.httpPort", "default.gzip.enabled"]}),
+            error => error instanceof ValidationError && error.errors.map(problem => problem.errorLocation).join() === "default.origin.httpPort,default.gzip.enabled");
+    });
+
+    it('should not send anything when a placeholder has no value', function () {
+        let writes = 0;
+        let transport = {send: request => {
+            if (request.method !== 'GET')
+                writes++;
+            return server.send(request);
+        }};
+        akamaiweb = new WebSite({transport: transport});
+        fs.writeFileSync(file, JSON.stringify({rules: {name: "default", behaviors: [{name: "origin", options: {hostname: "${env.origin}"}}]}}));
+        return akamaiweb.updateFromFile("qa.example.com", file)
+            .then(() => assert.fail("expected an error"), error => {
+                assert(error instanceof ValidationError);
+                assert.equal(writes, 0);
+            })
+    });
+})
@@ -0,0 +1,53 @@
+var assert = require("assert");
+var fs = require('fs');
+var path = require('path');
+var terraform = require('../index').terraform;
+var fixtures = require('./support/fixtures');
+
+describe('Terraform export', function () {
+    var server, akamaiweb, dir;
+
+    beforeEach(function () {
+        ({server, akamaiweb} = fixtures.mockWebSite({propertyName: "tf.example.com", hostnames: ["tf.example.com", "www.tf.example.com"], edgeHostnameId: "ehn_100001"}));
+        dir = path.join(fixtures.tempDir('terraform'), 'out');
+    });
+
+    afterEach(function () {
+        fixtures.removeDir(path.dirname(dir));
+    });
+
+    it('should write the resources, the rules and the imports', function () {
+        return akamaiweb.exportTerraform("tf.example.com", dir)
+            .then(result => {
+                assert.deepEqual(result.files, ["property.tf", "rules.json", "import.sh"]);
+                let config = fs.readFileSync(path.join(dir, "property.tf"), 'utf8');
+                assert(config.indexOf('resource "akamai_property" "tf_example_com" {') >= 0);
+                assert(config.indexOf('  rules       = file("${path.module}/rules.json")') >= 0);
+                assert.equal(config.split('cname_to               = akamai_edge_hostname.www_example_com_edgesuite_net.edge_hostname').length, 3);
+                assert(/resource "akamai_cp_code" "example_com" \{\n  name        = "example.com"\n  contract_id = "ctr_C-MOCK"/.test(config));
+                let rules = JSON.parse(fs.readFileSync(path.join(dir, "rules.json"), 'utf8'));
+                assert.deepEqual(Object.keys(rules), ["rules"]);
+                assert.equal(rules.rules.behaviors[1].options.value.id, 100001);
+                assert.deepEqual(fs.readFileSync(path.join(dir, "import.sh"), 'utf8').split('\n').slice(4), [
+                    "terraform import akamai_cp_code.example_com cpc_100001,ctr_C-MOCK,grp_10001",
+                    "terraform import akamai_edge_hostname.www_example_com_edgesuite_net ehn_100001,ctr_C-MOCK,grp_10001",
+                    "terraform import akamai_property.tf_example_com prp_200002,ctr_C-MOCK,grp_10001",
+                    ""
+                ]);
+                assert(fs.statSync(path.join(dir, "import.sh")).mode & 0o100);
+            })
+    });
+
+    it('should name resources and quote strings the way Terraform reads them', function () {
+        let taken = [];
+        assert.equal(terraform.resourceName("www.example.com", taken), "www_example_com");
+        assert.equal(terraform.resourceName("www-example.com", taken), "www-example_com");
+        assert.equal(terraform.resourceName("www.example.com", taken), "www_example_com_2");
+        assert.equal(terraform.resourceName("123.example.com", taken), "_123_example_com");
+        let result = terraform.render({propertyId: "prp_1", propertyName: "${env}.example.com", contractId: "ctr_1", groupId: "grp_1", productId: "prd_SPM"},
+            {propertyVersion: 2, ruleFormat: "v2018-02-27", rules: {name: "default"}}, [{cnameFrom: "a.example.com", cnameTo: "a.example.com.edgekey.net"}], [], []);
+        assert(result.files["property.tf"].indexOf('name        = "$${env}.example.com"') >= 0);
+        assert(result.files["property.tf"].indexOf('cname_to               = "a.example.com.edgekey.net"') >= 0);
+        assert.deepEqual(result.imports, [{resource: "akamai_property.env_example_com", id: "prp_1,ctr_1,grp_1"}]);
+    });
+})
@@ -0,0 +1,51 @@
+var assert = require("assert");
+var MockPapiServer = require('../index').MockPapiServer;
+var ValidationError = require('../index').ValidationError;
+var ruleTree = require('../index').ruleTree;
+
+describe('Rule tree outline', function () {
+    var rules;
+
+    beforeEach(function () {
+        rules = {rules: MockPapiServer.defaultRules("prd_SPM")};
+        rules.rules.children.push({name: "API", criteriaMustSatisfy: "any", criteria: [
+            {name: "path", options: {matchOperator: "MATCHES_ONE_OF", values: ["/api/*"], matchCaseSensitive: false}},
+            {name: "requestHeader", options: {headerName: "X-Api", matchOperator: "EXISTS"}}
+        ], behaviors: [
+            {name: "origin", options: {hostname: "api-origin.example.com", httpPort: 80}},
+            {name: "gzipResponse", options: {behavior: "ALWAYS"}}
+        ], children: [{name: "v1", behaviors: [{name: "caching", options: {behavior: "NO_STORE"}}]}]});
+    });
+
+    it('should outline rules with their criteria and the main options of their behaviors', function () {
+        assert.deepEqual(ruleTree.format(ruleTree.outline(rules)).split('\n'), [
+            "default",
+            "  origin: hostname=origin.example.com",
+            "  cpCode: value.id=100001",
+            "  caching: behavior=NO_STORE",
+            "  Performance",
+            "    sureRoute: enabled=true",
+            "    http2",
+            "  Static Content",
+            "    if fileExtension is one of css, js, jpg, png, gif",
+            "    caching: behavior=MAX_AGE ttl=7d",
+            "  API",
+            "    if path matches /api/*",
+            "    or requestHeader X-Api exists",
+            "    origin: hostname=api-origin.example.com",
+            "    gzipResponse: behavior=ALWAYS",
+            "    v1",
+            "      caching: behavior=NO_STORE"
+        ]);
+    });
+
+    it('should start from a rule and stop at a depth', function () {
+        let lines = ruleTree.outline(rules, {path: "default/API", depth: 0});
+        assert.deepEqual(lines.map(line => [line.depth, line.kind]), [[0, "rule"], [1, "criteria"], [1, "criteria"], [1, "behavior"], [1, "behavior"], [1, "more"]]);
+        assert.equal(lines[0].text, "default/API");
+        assert.equal(lines[5].text, "... 1 child rule");
+        assert.equal(ruleTree.format(lines.slice(0, 2), {criteria: text => `<${text}>`}), "default/API\n  <if path matches /api/*>");
+        assert.throws(() => ruleTree.outline(rules, {path: "default/API.origin"}), ValidationError);
+        assert.throws(() => ruleTree.outline(rules, {path: "default/Nope"}), ValidationError);
+    });
+})
@@ -0,0 +1,84 @@
+var assert = require("assert");
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+var formatUpgrade = require('../index').formatUpgrade;
+
+describe('Rule format upgrade', function () {
+    var server, akamaiweb;
+
+    function addProperty(name, ruleFormat, change) {
+        let rules = MockPapiServer.defaultRules("prd_SPM");
+        change(rules);
+        server.addProperty({propertyName: name, hostnames: [name], rules: rules, ruleFormat: ruleFormat});
+    }
+
+    beforeEach(function () {
+        server = new MockPapiServer();
+        addProperty("old.example.com", "v2018-02-27", rules => rules.children[0].behaviors.push(
+            {name: "allowPost", options: {enabled: true, allowNoContentLength: true}},
+            {name: "downstreamCache", options: {allowBehavior: "LESSER"}}
+        ));
+        addProperty("new.example.com", "latest", rules => {
+            rules.behaviors[0].options.ipVersion = "DUAL_STACK";
+            rules.children[0].behaviors.push({name: "mPulse", options: {enabled: true}});
+        });
+        akamaiweb = new WebSite({transport: server});
+    });
+
+    it('should tell renamed options from the schemas of both formats', function () {
+        let schema = options => ({definitions: {catalog: {behaviors: {allowPost: {properties: {options: {properties: options}}}}}}});
+        let changes = formatUpgrade.compareSchemas(
+            schema({enabled: {type: "boolean"}, allowNoContentLength: {type: "boolean"}, ttl: {type: "string"}}),
+            schema({enabled: {type: "boolean"}, allowWithoutContentLength: {type: "boolean"}, maxAge: {type: "integer"}}));
+        assert.deepEqual(changes, [
+            {kind: "behavior", name: "allowPost", option: "allowNoContentLength", change: "renamed", to: "allowWithoutContentLength"},
+            {kind: "behavior", name: "allowPost", option: "ttl", change: "removed"},
+            {kind: "behavior", name: "allowPost", option: "maxAge", change: "added"}
+        ]);
+        assert.equal(formatUpgrade.formatChanges(changes),
+            "~ behavior allowPost.allowNoContentLength -> allowWithoutContentLength\n" +
+            "- behavior allowPost.ttl\n" +
+            "+ behavior allowPost.maxAge");
+    });
+
+    it('should migrate the rules on a new version', function () {
+        return akamaiweb.upgradeFormat("old.example.com", "v2018-09-12")
+            .then(result => {
+                assert.equal(result.from, "v2018-02-27");
+                assert.equal(result.newVersion, 2);
+                assert(result.schemaChanges.some(change => change.name === "mPulse" && change.change === "added"));
+                assert.deepEqual(result.migrations.map(migration => migration.path), [
+                    "default/Performance.allowPost.allowNoContentLength",
+                    "default/Performance.downstreamCache.behavior"
+                ]);
+                assert.deepEqual(result.problems, []);
+                return akamaiweb.retrieve("old.example.com", 2);
+            })
+            .then(rules => {
+                assert.equal(rules.ruleFormat, "v2018-09-12");
+                assert.deepEqual(rules.rules.children[0].behaviors[2].options, {enabled: true, allowWithoutContentLength: true});
+                assert.deepEqual(rules.rules.children[0].behaviors[3].options, {allowBehavior: "LESSER", behavior: "ALLOW"});
+                return akamaiweb.retrieve("old.example.com", 1);
+            })
+            .then(rules => assert.equal(rules.ruleFormat, "v2018-02-27"))
+    });
+
+    it('should write nothing while a migration is left to do', function () {
+        return akamaiweb.upgradeFormat("new.example.com", "v2018-02-27")
+            .then(result => {
+                assert.strictEqual(result.newVersion, undefined);
+                assert.deepEqual(result.migrations, [
+                    {path: "default.origin.ipVersion", automatic: true,
+                        message: 'dropped the option ipVersion ("DUAL_STACK"), v2018-02-27 has no such option'},
+                    {path: "default/Performance.mPulse", automatic: false,
+                        message: "the behavior mPulse is not in v2018-02-27, replace or remove it"}
+                ]);
+                assert.deepEqual(result.problems.map(problem => problem.pointer), ["/rules/children/0/behaviors/2"]);
+                return akamaiweb.retrieve("new.example.com");
+            })
+            .then(rules => {
+                assert.equal(rules.propertyVersion, 1);
+                assert.equal(rules.ruleFormat, "latest");
+            })
+    });
+})
@@ -0,0 +1,95 @@
+var assert = require("assert");
+var fs = require('fs');
+var path = require('path');
+var WebSite = require('../index').WebSite;
+var MockPapiServer = require('../index').MockPapiServer;
+var RuleValidator = require('../index').RuleValidator;
+var ValidationError = require('../index').ValidationError;
+var fixtures = require('./support/fixtures');
+
+describe('Rule validation', function () {
+    var server, akamaiweb, dir, file;
+
+    beforeEach(function () {
+        dir = fixtures.tempDir('schemas');
+        file = path.join(dir, 'rules.json');
+        ({server, akamaiweb} = fixtures.mockWebSite("valid.example.com", {schemas: {dir: dir}}));
+    });
+
+    afterEach(function () {
+        fixtures.removeDir(dir);
+    });
+
+    function brokenRules() {
+        let rules = {ruleFormat: "v2018-02-27", rules: MockPapiServer.defaultRules("prd_SPM")};
+        rules.rules.behaviors[0].options.hostnmae = "origin.example.com";
+        rules.rules.behaviors[1].options.value.id = "100001";
+        rules.rules.children[0].behaviors.push({name: "prefetchh", options: {enabled: true}});
+        return rules;
+    }
+
+    it('should report each problem with its JSON pointer', function () {
+        fs.writeFileSync(file, JSON.stringify(brokenRules()));
+        return akamaiweb.validate(file)
+            .then(result => {
+                assert.equal(result.productId, "prd_SPM");
+                assert.equal(result.ruleFormat, "v2018-02-27");
+                assert.deepEqual(result.problems, [
+                    {pointer: "/rules/behaviors/0/options/hostnmae", message: "unexpected property"},
+                    {pointer: "/rules/behaviors/1/options/value/id", message: "should be integer"},
+                    {pointer: "/rules/children/0/behaviors/2", message: 'unknown behavior "prefetchh" for this product and rule format'}
+                ]);
+                return akamaiweb.validate({rules: MockPapiServer.defaultRules("prd_SPM")});
+            })
+            .then(result => assert.deepEqual(result.problems, []))
+    });
+
+    it('should validate offline once the schema is cached', function () {
+        return akamaiweb.validate(brokenRules())
+            .then(() => {
+                assert(fs.existsSync(path.join(dir, "prd_SPM-v2018-02-27.json")));
+                let offline = {send: () => Promise.reject(Object.assign(new Error("getaddrinfo ENOTFOUND"), {code: "ENOTFOUND"}))};
+                return new WebSite({transport: offline, retry: {retries: 0}, schemas: new RuleValidator({dir: dir})}).validate(brokenRules());
+            })
+            .then(result => assert.equal(result.problems.length, 3))
+    });
+
+    it('should check the rules before updating a property', function () {
+        let writes = 0;
+        let transport = {send: request => {
+            if (request.method !== 'GET')
+                writes++;
+            return server.send(request);
+        }};
+        akamaiweb = new WebSite({transport: transport, schemas: {dir: dir}});
+        fs.writeFileSync(file, JSON.stringify(brokenRules()));
+        return akamaiweb.updateFromFile("valid.example.com", file)
+            .then(() => assert.fail("expected an error"), error => {
+                assert(error instanceof ValidationError);
+                assert.equal(error.errors.length, 3);
+                assert.equal(error.errors[0].errorLocation, "/rules/behaviors/0/options/hostnmae");
+                assert.equal(writes, 0);
+            })
+    });
+
+    it('should refresh the latest schema once it expires', function () {
+        let now = Date.now();
+        let validator = new RuleValidator({dir: dir, ttl: 60, now: () => now});
+        validator.save("prd_SPM", "latest", {description: "old"});
+        validator.save("prd_SPM", "v2018-02-27", {description: "frozen"});
+        now += 61 * 1000;
+        assert.strictEqual(validator.cached("prd_SPM", "latest"), undefined);
+        assert.equal(validator.cached("prd_SPM", "latest", true).description, "old");
+        assert.equal(validator.cached("prd_SPM", "v2018-02-27").description, "frozen");
+        return new WebSite({transport: server, schemas: validator}).validate({rules: MockPapiServer.defaultRules("prd_SPM")})
+            .then(() => assert.equal(validator.cached("prd_SPM", "latest").description, "Rule format latest"))
+    });
+
+    it('should not use schema files others can write', function () {
+        new RuleValidator({dir: dir}).save("prd_SPM", "v2018-02-27", {description: "frozen"});
+        let file = new RuleValidator({dir: dir}).file("prd_SPM", "v2018-02-27");
+        assert.equal(new RuleValidator({dir: dir}).cached("prd_SPM", "v2018-02-27").description, "frozen");
+        fs.chmodSync(file, 0o666);
+        assert.strictEqual(new RuleValidator({dir: dir}).cached("prd_SPM", "v2018-02-27"), undefined);
+    });
+})
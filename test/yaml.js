@@ -0,0 +1,88 @@
+var assert = require("assert");
+var fs = require('fs');
+var path = require('path');
+var MockPapiServer = require('../index').MockPapiServer;
+var ValidationError = require('../index').ValidationError;
+var ruleFiles = require('../index').ruleFiles;
+var fixtures = require('./support/fixtures');
+
+describe('YAML rule files', function () {
+    var server, akamaiweb, dir;
+
+    beforeEach(function () {
+        ({server, akamaiweb} = fixtures.mockWebSite("yaml.example.com"));
+        dir = fixtures.tempDir('yaml');
+    });
+
+    afterEach(function () {
+        fixtures.removeDir(dir);
+    });
+
+    it('should round-trip values YAML would read as something else', function () {
+        let rules = {rules: MockPapiServer.defaultRules("prd_SPM"), ruleFormat: "v2018-02-27"};
+        rules.rules.comments = "Line one\nline two: with a colon";
+        rules.rules.behaviors.push({name: "setVariable", options: {
+            variableName: "PMUSER_FLAG", valueSource: "EXPRESSION", variableValue: "yes",
+            transform: null, port: "0123", ratio: "1e3", url: "https://" + "www.example.com/".repeat(10)
+        }});
+        let text = ruleFiles.stringify(rules, "yaml");
+        assert.deepEqual(ruleFiles.parse(text, "yaml"), rules);
+        assert.deepEqual(Object.keys(ruleFiles.parse(text, "yaml")), ["ruleFormat", "rules"]);
+        assert.equal(text.split('\n').filter(line => /www\.example\.com/.test(line)).length, 1);
+        assert.deepEqual(ruleFiles.parse("ruleFormat: 2018-02-27\nenabled: yes\n", "yaml"), {ruleFormat: "2018-02-27", enabled: "yes"});
+    });
+
+    it('should write the same YAML whatever the order of the keys', function () {
+        let rules = {propertyVersion: 2, etag: "abc", ruleFormat: "v2018-02-27", rules: MockPapiServer.defaultRules("prd_SPM")};
+        let reversed = value => {
+            if (Array.isArray(value))
+                return value.map(reversed);
+            if (!value || typeof value !== 'object')
+                return value;
+            let result = {};
+            Object.keys(value).reverse().forEach(key => result[key] = reversed(value[key]));
+            return result;
+        };
+        let text = ruleFiles.stringify(rules, "yaml");
+        assert.equal(ruleFiles.stringify(reversed(rules), "yaml"), text);
+        assert(/^etag: abc\npropertyVersion: 2\nruleFormat: v2018-02-27\nrules:\n  name: default\n/.test(text), text);
+        assert.deepEqual(ruleFiles.parse(text, "yaml"), rules);
+        assert.deepEqual(ruleFiles.parse(ruleFiles.stringify(ruleFiles.parse(text, "yaml"), "yaml"), "yaml"), rules);
+    });
+
+    it('should tell the format by the extension unless it is given', function () {
+        assert.equal(ruleFiles.formatOf("rules.yaml"), "yaml");
+        assert.equal(ruleFiles.formatOf("rules.YML"), "yaml");
+        assert.equal(ruleFiles.formatOf("rules.txt"), "json");
+        assert.equal(ruleFiles.formatOf("rules.txt", "yml"), "yaml");
+        assert.throws(() => ruleFiles.formatOf("rules.txt", "toml"), ValidationError);
+        let file = path.join(dir, "broken.yaml");
+        fs.writeFileSync(file, "rules:\n  name: [default\n");
+        assert.throws(() => ruleFiles.read(file), error => error instanceof ValidationError && /broken\.yaml is not valid YAML/.test(error.message));
+    });
+
+    it('should retrieve to and update from a YAML file', function () {
+        let file = path.join(dir, "rules.yaml");
+        return akamaiweb.retrieveToFile("yaml.example.com", file)
+            .then(rules => {
+                assert(/^rules:\n  name: default\n/m.test(fs.readFileSync(file, 'utf8')));
+                let edited = ruleFiles.read(file);
+                assert.deepEqual(edited, rules);
+                edited.rules.behaviors[0].options.hostname = "origin2.example.com";
+                fs.writeFileSync(file, ruleFiles.stringify(edited, "yaml"));
+                return akamaiweb.updateFromFile("yaml.example.com", file);
+            })
+            .then(() => akamaiweb.retrieve("yaml.example.com"))
+            .then(rules => assert.equal(rules.rules.behaviors[0].options.hostname, "origin2.example.com"))
+    });
+
+    it('should set variables from a YAML file', function () {
+        let file = path.join(dir, "vars.txt");
+        fs.writeFileSync(file, "- name: PMUSER_ORIGIN\n  value: origin.example.com\n  description: ''\n" +
+            "  hidden: false\n  sensitive: false\n  action:\n    - create\n");
+        return akamaiweb.setVariables("yaml.example.com", 0, file, undefined, "yaml")
+            .then(() => akamaiweb.retrieve("yaml.example.com"))
+            .then(rules => assert.deepEqual(rules.rules.variables, [{name: "PMUSER_ORIGIN", value: "origin.example.com",
+                description: "", hidden: false, sensitive: false}]))
+    });
+})